@@ -0,0 +1,24 @@
+/**
+ * CSV files for spreadsheets and the payroll provider: comma-separated, CRLF line
+ * endings, and values with commas, quotes or line breaks quoted. Text a spreadsheet
+ * would run as a formula (starting with =, +, -, @, a tab or a carriage return)
+ * gets a ' in front; numbers, negative ones included, are left as they are.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+const csvValue = (value) => {
+    let text = value == null ? '' : String(value);
+    if (FORMULA_START.test(text) && !NUMBER.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array[]} rows - the header row, then one array of values per row
+ */
+const toCsv = (rows) => rows.map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+    toCsv
+};
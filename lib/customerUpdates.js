@@ -0,0 +1,249 @@
+/**
+ * Customer updates
+ *
+ * What customers see of their order: a status page, reached through a private link
+ * (/status/<token>), and an email each time the order moves on a stage:
+ *
+ *   Received -> Digitizing -> Quality Check -> Complete
+ *
+ * Customer stages are a simpler view of Ops Status. The order keeps the last stage
+ * the customer was emailed about in 'Customer Notified Stage', so a stage is only
+ * announced once, even if QC sends the order back and it comes through again.
+ * The link's token is made with the first email and kept in 'Status Token'.
+ *
+ * Routes queue the email once they've responded (queueStageChange), so a slow or
+ * failing mail server never holds up a check-in or the order's lock.
+ */
+
+const crypto = require('crypto');
+
+const { EVENT_SOURCES } = require('./orderEvents');
+const { createKeyedLock } = require('./idempotency');
+const { orderBoxes } = require('./receipts');
+
+const CUSTOMER_STAGES = ['Received', 'Digitizing', 'Quality Check', 'Complete'];
+
+const STAGE_BY_OPS_STATUS = {
+    'Media Received': 'Received',
+    'Digitizing': 'Digitizing',
+    'Quality Check': 'Quality Check',
+    'Shipping Back': 'Complete',
+    'Complete': 'Complete'
+};
+
+// 24 random bytes, base64url
+const STATUS_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+const newStatusToken = () => crypto.randomBytes(24).toString('base64url');
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+const stageIndex = (stage) => CUSTOMER_STAGES.indexOf(stage);
+
+/**
+ * The customer stage an order is in, or null before it has arrived
+ */
+const customerStage = (order) => STAGE_BY_OPS_STATUS[order.fields['Ops Status']] || null;
+
+const money = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * The email for an order reaching a stage: { subject, text }
+ */
+const stageMessage = (stage, order, statusUrl) => {
+    const orderNumber = order.fields['Order Number'];
+    const name = String(firstValue(order.fields['Customer Name'] || order.fields['Customer']) || '').split(' ')[0];
+    const itemsReceived = order.fields['Items Received'] || 0;
+    const extraItems = order.fields['Extra Items'] || 0;
+    const boxes = orderBoxes(order);
+    const boxesIn = boxes.filter(b => b.received).length;
+
+    const lines = {
+        'Received': boxes.length > 1 && boxesIn < boxes.length
+            ? [`Your package has arrived at our studio - ${boxesIn} of ${boxes.length} boxes so far. We'll count your items once they're all in.`]
+            : ['Your package has arrived at our studio.'],
+        'Digitizing': [
+            `We counted ${itemsReceived} item${itemsReceived === 1 ? '' : 's'} in your package and digitizing has started.`,
+            ...(extraItems > 0
+                ? [`That's ${extraItems} more than your package includes, which comes to ${money(order.fields['Extra Items Charge'])}. The invoice is emailed separately.`]
+                : [])
+        ],
+        'Quality Check': ['Your memories are digitized! Our team is now checking every file before we send them back.'],
+        'Complete': ['Your order is complete and on its way back to you, along with your digitized files.']
+    }[stage];
+
+    return {
+        subject: `Your HeritageBox order ${orderNumber}: ${stage}`,
+        text: [
+            `Hi${name ? ` ${name}` : ''},`,
+            '',
+            ...lines,
+            '',
+            `See where your order is at any time: ${statusUrl}`,
+            '',
+            'The HeritageBox team'
+        ].join('\n')
+    };
+};
+
+/**
+ * When each stage was reached, from the order's history (lib/orderEvents)
+ */
+const stageTimes = (events) => {
+    const times = {};
+    events.forEach(event => {
+        const changes = event.changes || {};
+        const reached = [];
+        if (changes['Check-In Date'] || changes['Receipt Status']) reached.push('Received');
+        if (changes['Ops Status'] && STAGE_BY_OPS_STATUS[changes['Ops Status'].to]) reached.push(STAGE_BY_OPS_STATUS[changes['Ops Status'].to]);
+        reached.forEach(stage => { if (!times[stage]) times[stage] = event.at; });
+    });
+    return times;
+};
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.repo - lib/repository
+ * @param {Object} deps.invoices - invoice provider (lib/invoicing)
+ * @param {Object} deps.transport - notification transport (lib/notifications)
+ * @param {string} deps.baseUrl - where the app is served, for status links
+ */
+const createCustomerUpdates = ({ repo, invoices, transport, baseUrl }) => {
+    const statusUrl = (token) => `${baseUrl.replace(/\/$/, '')}/status/${token}`;
+
+    // Queued emails, one at a time per order
+    const notifyLock = createKeyedLock();
+    const queued = new Set();
+
+    /**
+     * The order's status link, making its token if it doesn't have one yet
+     */
+    const getStatusLink = async (order, audit = {}) => {
+        let token = order.fields['Status Token'];
+        if (!token) {
+            token = newStatusToken();
+            await repo.updateOrder(order.id, { 'Status Token': token }, { ...audit, action: 'Status Link Created', before: order });
+        }
+        return statusUrl(token);
+    };
+
+    /**
+     * Email the customer if the order has reached a stage they haven't heard about.
+     * Call with the order as saved after a change. Never throws: a failed email is
+     * logged and the change it's about stands. Returns the message sent, or null.
+     */
+    const notifyStageChange = async (order) => {
+        try {
+            const stage = customerStage(order);
+            if (!stage || stageIndex(stage) <= stageIndex(order.fields['Customer Notified Stage'])) return null;
+
+            const to = firstValue(order.fields['Customer Email']);
+            if (!to) return null;
+
+            const token = order.fields['Status Token'] || newStatusToken();
+            const message = await transport.send({ to, ...stageMessage(stage, order, statusUrl(token)) });
+            console.log(`Emailed ${to} that order ${order.fields['Order Number']} is at ${stage}`);
+
+            await repo.updateOrder(order.id, {
+                'Customer Notified Stage': stage,
+                'Customer Notified At': new Date().toISOString(),
+                'Status Token': token
+            }, { action: `Customer Notified (${stage})`, source: EVENT_SOURCES.SYSTEM, before: order });
+            return message;
+        } catch (err) {
+            console.error(`Could not notify the customer of order ${order.id}:`, err.message);
+            return null;
+        }
+    };
+
+    /**
+     * notifyStageChange in the background, for a route to call with the order as saved
+     * once it has responded. Emails for the same order go out one at a time, each
+     * checked against what the ones before it announced.
+     */
+    const queueStageChange = (order) => {
+        const notify = async () => {
+            const { fields } = await repo.getOrder(order.id);
+            const announced = { 'Customer Notified Stage': fields['Customer Notified Stage'], 'Status Token': fields['Status Token'] };
+            return notifyStageChange({ ...order, fields: { ...order.fields, ...announced } });
+        };
+        const notification = notifyLock.withLock(order.id, notify)
+            .catch(err => console.error(`Could not notify the customer of order ${order.id}:`, err.message))
+            .finally(() => queued.delete(notification));
+        queued.add(notification);
+    };
+
+    /**
+     * Wait for the queued emails to go out
+     */
+    const settled = () => Promise.all(queued);
+
+    /**
+     * What the status page shows. Nothing internal (employees, notes, pay) is included.
+     * @param {Object} order
+     * @param {Object[]} events - the order's history entries (toHistoryEntry)
+     */
+    const statusView = async (order, events) => {
+        const stage = customerStage(order);
+        const times = stageTimes(events);
+        const boxes = orderBoxes(order);
+        const checkedIn = Boolean(order.fields['Check-In Date']);
+
+        let outstanding = 0;
+        let invoiceUrl = null;
+        const invoiceId = order.fields['Extra Items Invoice ID'];
+        if (invoiceId) {
+            try {
+                const invoice = await invoices.getInvoice(invoiceId);
+                if (invoice && invoice.status === 'open') {
+                    outstanding = Math.round((invoice.amount - (invoice.amountCredited || 0)) * 100) / 100;
+                    invoiceUrl = invoice.url;
+                }
+            } catch (err) {
+                // Shown from the order's own fields instead
+                console.error(`Could not load invoice ${invoiceId}:`, err.message);
+                if (order.fields['Extra Items Invoice Status'] === 'Open') outstanding = order.fields['Extra Items Charge'] || 0;
+            }
+        }
+
+        return {
+            orderNumber: order.fields['Order Number'],
+            customerName: String(firstValue(order.fields['Customer Name'] || order.fields['Customer']) || '').split(' ')[0] || null,
+            stage,
+            stages: CUSTOMER_STAGES.map(name => ({
+                name,
+                reached: stage !== null && stageIndex(name) <= stageIndex(stage),
+                current: name === stage,
+                at: times[name] || null
+            })),
+            items: {
+                included: order.fields['Package Items Included'] || 0,
+                received: checkedIn || boxes.some(b => b.received) ? order.fields['Items Received'] || 0 : null,
+                digitized: order.fields['Digitization Complete'] ? order.fields['Items Digitized'] || 0 : null
+            },
+            boxes: boxes.length > 1 ? { total: boxes.length, received: boxes.filter(b => b.received).length } : null,
+            balance: {
+                extraItems: order.fields['Extra Items'] || 0,
+                extraItemsCharge: order.fields['Extra Items Charge'] || 0,
+                outstanding,
+                invoiceUrl
+            }
+        };
+    };
+
+    return {
+        getStatusLink,
+        notifyStageChange,
+        queueStageChange,
+        settled,
+        statusView
+    };
+};
+
+module.exports = {
+    CUSTOMER_STAGES,
+    STATUS_TOKEN_PATTERN,
+    customerStage,
+    stageMessage,
+    createCustomerUpdates
+};
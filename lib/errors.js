@@ -0,0 +1,75 @@
+/**
+ * API errors
+ *
+ * Every error response has the same shape:
+ *
+ *   { error: 'What went wrong, for people', code: 'MACHINE_READABLE_CODE', details? }
+ *
+ * Routes send a specific code where the app acts on it (ALREADY_CHECKED_IN,
+ * NOTES_CHANGED, ...). Any other error response gets the general code for its
+ * status from errorEnvelope. `details` is the list of problems for VALIDATION_FAILED
+ * and the underlying error message for INTERNAL_ERROR.
+ */
+
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR'
+};
+
+const codeForStatus = (status) => ERROR_CODES[status] || (status >= 500 ? ERROR_CODES[500] : ERROR_CODES[400]);
+
+// A storage lookup of a record that doesn't exist (Airtable or the local store)
+const isNotFound = (err) => err.statusCode === 404 || err.error === 'NOT_FOUND';
+
+/**
+ * Middleware: give error responses sent without a code the one for their status
+ */
+const errorEnvelope = (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body === 'object' && body.error && !body.code) {
+            return json({ ...body, code: codeForStatus(res.statusCode) });
+        }
+        return json(body);
+    };
+    next();
+};
+
+/**
+ * Respond to an error caught in a route: a 404 if a record it looked up doesn't
+ * exist, otherwise a 500 with `message`
+ */
+const sendServerError = (res, error, message) => {
+    if (isNotFound(error)) {
+        return res.status(404).json({ error: 'Record not found', code: ERROR_CODES[404] });
+    }
+    return res.status(500).json({ error: message, code: ERROR_CODES[500], details: error.message });
+};
+
+/**
+ * Last middleware: bodies that aren't valid JSON, and anything thrown outside a route's own try/catch
+ */
+const handleUncaughtError = (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' });
+    }
+    console.error('Unhandled error:', err.message);
+    return sendServerError(res, err, 'Something went wrong');
+};
+
+module.exports = {
+    ERROR_CODES,
+    isNotFound,
+    errorEnvelope,
+    sendServerError,
+    handleUncaughtError
+};
@@ -0,0 +1,194 @@
+/**
+ * Order exceptions
+ *
+ * Problems found with what a customer sent: a crushed box, a damaged or moldy item,
+ * an item the customer listed that isn't in the box, media with no label. Each one
+ * is an Order Exceptions record with its type, a description and photos from the
+ * device camera. Photos are saved in photo storage (lib/photos); the record keeps
+ * the list of them as JSON in 'Photos'.
+ *
+ * While an order has an open exception its 'Exception Open' box is checked, and it
+ * can't be completed or pass QC until a supervisor resolves every one.
+ */
+
+const crypto = require('crypto');
+
+const { createKeyedLock } = require('./idempotency');
+
+// The app gets them from GET /api/config
+const EXCEPTION_TYPES = ['Damaged Box', 'Damaged Item', 'Missing Item', 'Unlabeled Media'];
+
+const EXCEPTION_STATUS = {
+    OPEN: 'Open',
+    RESOLVED: 'Resolved'
+};
+
+// Image types a photo can be uploaded as, and the file extension each is saved with
+const PHOTO_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/heic': 'heic'
+};
+
+// Largest photo accepted; phone cameras are well under this
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+
+const MAX_PHOTOS_PER_EXCEPTION = 10;
+
+const PHOTO_ID_PATTERN = /^ph_[0-9a-f]{16}$/;
+
+// Rule violations carry the HTTP status and a code for the route to send
+const exceptionError = (message, status, code) => Object.assign(new Error(message), { status, code });
+
+const isOpenException = (record) => record.fields['Status'] === EXCEPTION_STATUS.OPEN;
+
+// The photos saved for an exception: [{ id, key, contentType, uploadedAt }]
+const photosOf = (record) => {
+    try {
+        const photos = JSON.parse(record.fields['Photos'] || '[]');
+        return Array.isArray(photos) ? photos : [];
+    } catch (err) {
+        return [];
+    }
+};
+
+/**
+ * An exception as the app shows it. Photos are listed by ID; each is fetched from
+ * GET /api/orders/:recordId/exceptions/:exceptionId/photos/:photoId
+ */
+const toException = (record, employeeNames = {}) => {
+    const employee = (ids) => {
+        const id = (ids || [])[0];
+        return id ? { id, name: employeeNames[id] || 'Unknown' } : null;
+    };
+    return {
+        id: record.id,
+        orderId: record.fields['Order Record ID'],
+        orderNumber: record.fields['Order Number'],
+        type: record.fields['Type'],
+        description: record.fields['Description'] || '',
+        status: record.fields['Status'],
+        reportedBy: employee(record.fields['Reported By']),
+        reportedAt: record.fields['Reported At'] || null,
+        resolution: record.fields['Resolution'] || '',
+        resolvedBy: employee(record.fields['Resolved By']),
+        resolvedAt: record.fields['Resolved At'] || null,
+        photos: photosOf(record).map(({ id, contentType, uploadedAt }) => ({ id, contentType, uploadedAt }))
+    };
+};
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.repo - lib/repository
+ * @param {Object} deps.photos - photo storage from lib/photos
+ */
+const createExceptions = ({ repo, photos }) => {
+    // Reports and resolutions on an order happen one at a time so its flag matches its
+    // exceptions, and so do photo uploads to an exception so none overwrites another
+    const { withLock } = createKeyedLock();
+
+    // An exception of the order's; one on another order is as good as missing
+    const findOnOrder = async (orderId, exceptionId) => {
+        const record = await repo.getOrderException(exceptionId);
+        if (record.fields['Order Record ID'] !== orderId) {
+            throw exceptionError('Exception not found on this order', 404, 'NOT_FOUND');
+        }
+        return record;
+    };
+
+    /**
+     * Report an exception on an order and flag the order.
+     * Returns { exception, order } with the records as saved.
+     */
+    const report = (orderId, { type, description }, employee, audit) => withLock(orderId, async () => {
+        const order = await repo.getOrder(orderId);
+        const exception = await repo.createOrderException({
+            'Order Number': order.fields['Order Number'],
+            'Order': [order.id],
+            'Order Record ID': order.id,
+            'Type': type,
+            'Description': description || '',
+            'Status': EXCEPTION_STATUS.OPEN,
+            'Reported By': [employee.id],
+            'Reported At': new Date().toISOString(),
+            'Photos': '[]'
+        });
+        const updated = order.fields['Exception Open']
+            ? order
+            : await repo.updateOrder(order.id, { 'Exception Open': true }, { ...audit, before: order });
+        return { exception, order: updated };
+    });
+
+    /**
+     * Save a photo ({ data, contentType }) with an exception. Returns the exception record.
+     */
+    const addPhoto = (orderId, exceptionId, { data, contentType }) => withLock(exceptionId, async () => {
+        const record = await findOnOrder(orderId, exceptionId);
+        const saved = photosOf(record);
+        if (saved.length >= MAX_PHOTOS_PER_EXCEPTION) {
+            throw exceptionError(`An exception can have at most ${MAX_PHOTOS_PER_EXCEPTION} photos`, 409, 'TOO_MANY_PHOTOS');
+        }
+        const id = `ph_${crypto.randomBytes(8).toString('hex')}`;
+        const key = `${orderId}/${exceptionId}/${id}.${PHOTO_TYPES[contentType]}`;
+        await photos.save(key, data);
+        return repo.updateOrderException(exceptionId, {
+            'Photos': JSON.stringify([...saved, { id, key, contentType, uploadedAt: new Date().toISOString() }])
+        });
+    });
+
+    /**
+     * One of an exception's photos: { data, contentType }
+     */
+    const readPhoto = async (orderId, exceptionId, photoId) => {
+        const record = await findOnOrder(orderId, exceptionId);
+        const photo = photosOf(record).find(p => p.id === photoId);
+        const data = photo ? await photos.read(photo.key) : null;
+        if (!data) throw exceptionError('Photo not found', 404, 'NOT_FOUND');
+        return { data, contentType: photo.contentType };
+    };
+
+    /**
+     * Resolve an open exception, clearing the order's flag once none are left open.
+     * Returns { exception, order }.
+     */
+    const resolve = (orderId, exceptionId, { resolution }, employee, audit) => withLock(orderId, async () => {
+        const record = await findOnOrder(orderId, exceptionId);
+        if (!isOpenException(record)) {
+            throw exceptionError('This exception has already been resolved', 409, 'ALREADY_RESOLVED');
+        }
+        const exception = await repo.updateOrderException(exceptionId, {
+            'Status': EXCEPTION_STATUS.RESOLVED,
+            'Resolution': resolution,
+            'Resolved By': [employee.id],
+            'Resolved At': new Date().toISOString()
+        });
+        const [order, open] = await Promise.all([
+            repo.getOrder(orderId),
+            repo.listOrderExceptions({ orderId, openOnly: true })
+        ]);
+        const updated = open.length === 0 && order.fields['Exception Open']
+            ? await repo.updateOrder(orderId, { 'Exception Open': false }, { ...audit, before: order })
+            : order;
+        return { exception, order: updated };
+    });
+
+    return {
+        report,
+        addPhoto,
+        readPhoto,
+        resolve
+    };
+};
+
+module.exports = {
+    EXCEPTION_TYPES,
+    EXCEPTION_STATUS,
+    PHOTO_TYPES,
+    MAX_PHOTO_BYTES,
+    MAX_PHOTOS_PER_EXCEPTION,
+    PHOTO_ID_PATTERN,
+    isOpenException,
+    toException,
+    createExceptions
+};
@@ -0,0 +1,395 @@
+/**
+ * Extra-items invoices
+ *
+ * Check-in bills the customer for items beyond their package. The order keeps
+ * its current invoice in 'Extra Items Invoice ID' and any it was billed on before
+ * a recount in 'Extra Items Previous Invoice IDs'.
+ *
+ * What the customer has been billed is read back from the invoice provider, so a
+ * check-in only invoices the difference:
+ * - same total: nothing changes
+ * - unpaid invoices are voided and the new total is reissued
+ * - paid invoices stay; more items are billed on a new invoice, fewer are refunded with a credit note
+ *
+ * An order checked in with a manifest (lib/manifest) is billed with a line per media
+ * type of the extra items; the price per item is the same for every type.
+ *
+ * Sending fewer items than the package includes is settled by lib/shortItems with the
+ * same check-in: the shortfall is saved with the counts and any credit applied after.
+ *
+ * A new invoice is created as a draft, saved on the order, and only then sent.
+ * If the order can't be saved the draft is deleted, so no invoice goes out without
+ * an order pointing at it. Anything that fails after the save is put right by the
+ * next check-in of the same order, or by reconcileInvoices.
+ */
+
+const { previousInvoiceIds } = require('./repository');
+const { getExtraItemPrice } = require('./pricing');
+const { createKeyedLock } = require('./idempotency');
+const { isNotFound } = require('./errors');
+const { EVENT_SOURCES } = require('./orderEvents');
+const { manifestTotal, extraItemsByMedia } = require('./manifest');
+const { SHORT_ITEMS_DECISIONS, planShortItems, shortItemsFields, toShortfall, createShortItems } = require('./shortItems');
+
+const UNPAID_STATUSES = ['draft', 'open', 'uncollectible'];
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// What's still billed on an invoice after credit notes
+const remaining = (invoice) => (toCents(invoice.amount) - toCents(invoice.amountCredited)) / 100;
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Invoice lines for the extra items by media type, or null to bill them on one line
+ * (no manifest, or one that doesn't cover every item received)
+ */
+const mediaLineItems = ({ itemsByMedia, itemsReceived, included, extraItemPrice, orderNumber }) => {
+    if (!itemsByMedia || manifestTotal(itemsByMedia) !== itemsReceived) return null;
+    return extraItemsByMedia(itemsByMedia, included).map(({ mediaType, items }) => ({
+        description: `${mediaType}: ${items} extra ${items === 1 ? 'item' : 'items'} @ $${extraItemPrice}/each - Order ${orderNumber}`,
+        amount: toCents(items * extraItemPrice) / 100
+    }));
+};
+
+// Order fields for a newly sent or newly linked current invoice
+const invoiceStatusFields = (status) => ({
+    'Extra Items Invoice Status': status,
+    'Extra Items Invoice Status At': new Date().toISOString(),
+    'Extra Items Paid': status === 'Paid'
+});
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.repo - lib/repository
+ * @param {Object} deps.invoices - invoice provider (lib/invoicing)
+ */
+const createExtraItemsInvoices = ({ repo, invoices }) => {
+    // Check-ins and reconciliation of the same order run one at a time
+    const { withLock: withOrderLock } = createKeyedLock();
+    const shortItems = createShortItems({ repo, invoices });
+
+    // The order's invoices, oldest first, with deleted ones left out
+    const loadOrderInvoices = async (order) => {
+        const ids = [...previousInvoiceIds(order), order.fields['Extra Items Invoice ID']].filter(Boolean);
+        const found = await Promise.all(ids.map(id => invoices.getInvoice(id)));
+        return found.filter(Boolean);
+    };
+
+    const dropUnpaid = (invoice) => (invoice.status === 'draft'
+        ? invoices.deleteDraft(invoice.id)
+        : invoices.voidInvoice(invoice.id));
+
+    /**
+     * Finalize and send an invoice the order already points at, then mark it Open.
+     * The invoice is out once finalized, so a failed status update is only logged.
+     * `audit` is who it's sent for (see repo.updateOrder).
+     */
+    const sendLinkedInvoice = async (order, invoiceId, audit) => {
+        const sent = await invoices.finalizeInvoice(invoiceId);
+        try {
+            await repo.updateOrder(order.id, invoiceStatusFields('Open'), { ...audit, action: 'Invoice Sent', before: order });
+        } catch (err) {
+            console.error(`Invoice ${invoiceId} sent but order ${order.id} not updated:`, err.message);
+        }
+        return sent;
+    };
+
+    /**
+     * Save a check-in and bring the order's extra-items invoices in line with the count.
+     * Call inside withOrderLock.
+     *
+     * @param {Object} params
+     * @param {Object} params.order - the order as it was before this check-in
+     * @param {number} params.itemsReceived
+     * @param {Object} [params.itemsByMedia] - the order's manifest, { mediaType: count }, to itemize the invoice by
+     * @param {string} [params.notes]
+     * @param {string} params.employeeId - who checked it in
+     * @param {string} [params.idempotencyKey] - passed on to the invoice provider
+     * @param {Object} [params.receiptFields] - box receipt fields saved with the check-in (lib/receipts)
+     * @param {Object} [params.audit] - who made the change, for the order's history (see repo.updateOrder)
+     * @returns {{ order, invoice, adjustments, invoiceError, shortfall }}
+     */
+    const checkIn = async ({ order, itemsReceived, itemsByMedia, notes, employeeId, idempotencyKey, receiptFields, audit }) => {
+        const now = new Date().toISOString();
+        const isRecount = Boolean(order.fields['Check-In Date']);
+        const expectedItems = order.fields['Package Items Included'] || 0;
+        const extraItems = Math.max(0, itemsReceived - expectedItems);
+        // Priced as of when the order was placed (config/pricing.json)
+        const extraItemPrice = getExtraItemPrice(order.fields['Package Type'], order.fields['Created Time']);
+        const extraCharge = Math.round(extraItems * extraItemPrice * 100) / 100;
+        const orderNumber = order.fields['Order Number'];
+        const providerKey = idempotencyKey && `checkin:${order.id}:${idempotencyKey}`;
+        const shortPlan = planShortItems(order, itemsReceived);
+
+        const fields = {
+            'Items Received': itemsReceived,
+            'Extra Items': extraItems,
+            'Extra Items Charge': extraCharge,
+            ...shortItemsFields(order, shortPlan),
+            // A recount only corrects the numbers; the order stays where it is in the workflow
+            ...(!isRecount && {
+                'Ops Status': 'Digitizing',
+                'Ops Status Updated': now,
+                'Check-In Date': now,
+                'Assigned Employee': [employeeId]
+            }),
+            ...(notes && { 'Check-In Notes': notes }),
+            ...receiptFields
+        };
+
+        const adjustments = [];
+        let invoiceError = null;
+        let draft = null;
+        let toDrop = [];
+        let toCredit = [];
+        let finalizeCurrent = false;
+
+        try {
+            const existing = await loadOrderInvoices(order);
+            const active = existing.filter(invoice => invoice.status !== 'void');
+            const billed = active.reduce((sum, invoice) => sum + toCents(remaining(invoice)), 0) / 100;
+            const current = existing.find(invoice => invoice.id === order.fields['Extra Items Invoice ID']);
+
+            if (toCents(billed) === toCents(extraCharge)) {
+                // Already billed right; a draft left by an interrupted check-in still needs sending
+                finalizeCurrent = Boolean(current && current.status === 'draft');
+            } else {
+                const paid = active.filter(invoice => invoice.status === 'paid');
+                const paidTotal = paid.reduce((sum, invoice) => sum + toCents(remaining(invoice)), 0) / 100;
+                const difference = (toCents(extraCharge) - toCents(paidTotal)) / 100;
+                toDrop = active.filter(invoice => UNPAID_STATUSES.includes(invoice.status));
+
+                if (difference < 0) {
+                    // Refund from the newest paid invoice back
+                    let left = -difference;
+                    [...paid].reverse().forEach(invoice => {
+                        const amount = Math.min(left, remaining(invoice));
+                        if (amount > 0) toCredit.push({ invoice, amount });
+                        left = (toCents(left) - toCents(amount)) / 100;
+                    });
+                }
+
+                const customerEmail = firstValue(order.fields['Customer Email']);
+                if (difference > 0 && customerEmail) {
+                    const chargedItems = paid.length > 0 ? Math.round(difference / extraItemPrice) : extraItems;
+                    // Topping up a paid invoice bills the difference on one line
+                    const lineItems = paid.length === 0
+                        ? mediaLineItems({ itemsByMedia, itemsReceived, included: expectedItems, extraItemPrice, orderNumber })
+                        : null;
+                    draft = await invoices.createInvoice({
+                        customerEmail,
+                        customerName: firstValue(order.fields['Customer Name'] || order.fields['Customer']),
+                        orderNumber,
+                        amount: difference,
+                        description: paid.length > 0
+                            ? `Additional digitization items (${chargedItems} more items @ $${extraItemPrice}/each, ${extraItems} in total) - Order ${orderNumber}`
+                            : `Additional digitization items (${extraItems} items @ $${extraItemPrice}/each) - Order ${orderNumber}`,
+                        ...(lineItems && { lineItems }),
+                        metadata: { extra_items: extraItems.toString(), order_record_id: order.id },
+                        idempotencyKey: providerKey
+                    });
+                }
+
+                if (draft || toDrop.length > 0) {
+                    // Current invoice afterwards: the new one, else the newest paid one left
+                    const ids = [...previousInvoiceIds(order), order.fields['Extra Items Invoice ID']].filter(Boolean);
+                    const currentId = draft ? draft.id : (paid.length > 0 ? paid[paid.length - 1].id : null);
+                    if (draft) ids.push(draft.id);
+
+                    Object.assign(fields, {
+                        'Extra Items Invoice ID': currentId,
+                        'Extra Items Previous Invoice IDs': ids.filter(id => id !== currentId).join(', ') || null,
+                        ...(currentId !== (current ? current.id : null) && invoiceStatusFields(draft ? 'Draft' : (currentId ? 'Paid' : null)))
+                    });
+                }
+            }
+        } catch (err) {
+            // Check-in still goes through; invoicing is retried by the next check-in or reconciliation
+            console.error('Invoice error:', err.message);
+            invoiceError = err.message;
+            draft = null;
+            toDrop = [];
+            toCredit = [];
+        }
+
+        let updatedOrder;
+        try {
+            updatedOrder = await repo.updateOrder(order.id, fields, { ...audit, before: order });
+        } catch (err) {
+            if (draft) {
+                await invoices.deleteDraft(draft.id).catch(deleteError => {
+                    console.error(`Could not delete draft invoice ${draft.id} for order ${orderNumber}:`, deleteError.message);
+                });
+            }
+            throw err;
+        }
+
+        // The order is saved; from here on failures are logged and repaired later
+        const attempt = async (description, fn) => {
+            try {
+                await fn();
+            } catch (err) {
+                console.error(`Invoice error (${description}) for order ${orderNumber}:`, err.message);
+                invoiceError = invoiceError || err.message;
+            }
+        };
+
+        let sentInvoice = null;
+        const sendId = draft ? draft.id : (finalizeCurrent ? order.fields['Extra Items Invoice ID'] : null);
+        if (sendId) {
+            await attempt('send', async () => {
+                sentInvoice = await sendLinkedInvoice(updatedOrder, sendId, audit);
+                adjustments.push({ action: 'sent', invoiceId: sendId, amount: sentInvoice.amount });
+            });
+        }
+        for (const invoice of toDrop) {
+            await attempt(`void ${invoice.id}`, async () => {
+                await dropUnpaid(invoice);
+                adjustments.push({ action: invoice.status === 'draft' ? 'deleted' : 'voided', invoiceId: invoice.id, amount: invoice.amount });
+            });
+        }
+        for (const { invoice, amount } of toCredit) {
+            await attempt(`credit ${invoice.id}`, async () => {
+                await invoices.creditInvoice(invoice.id, amount, {
+                    reason: `Item count corrected at check-in to ${itemsReceived} (${extraItems} extra)`,
+                    idempotencyKey: providerKey && `${providerKey}:${invoice.id}`
+                });
+                adjustments.push({ action: 'credited', invoiceId: invoice.id, amount });
+            });
+        }
+
+        if (adjustments.length > 0) {
+            console.log(`Order ${orderNumber} extra items invoices: ${adjustments.map(a => `${a.action} ${a.invoiceId} ($${a.amount})`).join(', ')}`);
+        }
+
+        // A credit that fails is applied by the next check-in of the order
+        let credited = null;
+        let creditError = null;
+        if (shortPlan.decision === SHORT_ITEMS_DECISIONS.CREDIT) {
+            try {
+                credited = await shortItems.applyCredit(updatedOrder, audit);
+                if (credited) console.log(`Order ${orderNumber} short ${shortPlan.shortItems} items: credited $${credited.credit.amount} (${credited.credit.id})`);
+            } catch (err) {
+                console.error(`Short items credit error for order ${orderNumber}:`, err.message);
+                creditError = err.message;
+            }
+        }
+
+        const saved = sentInvoice || credited ? await repo.getOrder(order.id) : updatedOrder;
+        return {
+            order: saved,
+            invoice: sentInvoice ? { id: sentInvoice.id, url: sentInvoice.url, amount: sentInvoice.amount } : null,
+            adjustments,
+            invoiceError,
+            shortfall: toShortfall(saved, creditError)
+        };
+    };
+
+    /**
+     * What reconciliation should do with one invoice, or null if it's fine as it is
+     */
+    const planReconcile = async (invoice) => {
+        let order = null;
+        if (invoice.metadata.order_record_id) {
+            order = await repo.getOrder(invoice.metadata.order_record_id).catch(err => {
+                if (isNotFound(err)) return null;
+                throw err;
+            });
+        } else {
+            order = await repo.findOrderByInvoiceId(invoice.id);
+        }
+
+        const unpaid = UNPAID_STATUSES.includes(invoice.status);
+        if (!order) {
+            if (invoice.status === 'draft') return { action: 'delete', order };
+            return unpaid ? { action: 'unresolved', order, note: 'No order found for this invoice' } : null;
+        }
+
+        const currentId = order.fields['Extra Items Invoice ID'];
+        if (invoice.id === currentId) {
+            return invoice.status === 'draft' ? { action: 'send', order } : null;
+        }
+        if (previousInvoiceIds(order).includes(invoice.id)) {
+            return unpaid ? { action: invoice.status === 'draft' ? 'delete' : 'void', order, note: 'Replaced by a later invoice' } : null;
+        }
+
+        // Not linked to its order
+        if (invoice.status === 'void') return null;
+        if (invoice.status === 'draft') return { action: 'delete', order };
+        if (!currentId) return { action: 'link', order };
+        if (unpaid) return { action: 'void', order, note: `Order is already billed on ${currentId}` };
+        return { action: 'unresolved', order, note: `Paid, but the order is billed on ${currentId} - refund or credit it in Stripe` };
+    };
+
+    /**
+     * Find extra-items invoices that don't match an order and fix them:
+     * orphaned drafts are deleted, unsent current drafts are sent, unpaid duplicates
+     * are voided and an invoice for an order with none is linked to it.
+     * Paid duplicates are reported for a person to sort out.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.days] - how far back to look (default 30)
+     * @param {boolean} [options.dryRun] - only report what would be done
+     * @param {string} [options.actor] - employee ID of whoever ran it, for the order history
+     */
+    const reconcileInvoices = async ({ days = 30, dryRun = false, actor } = {}) => {
+        const recent = await invoices.listRecentInvoices({ days });
+        const results = [];
+        const audit = { actor, source: EVENT_SOURCES.RECONCILE };
+
+        const reconcileInvoice = async (invoice) => {
+            const plan = await planReconcile(invoice);
+            if (!plan) return;
+
+            const result = {
+                invoiceId: invoice.id,
+                orderNumber: plan.order ? plan.order.fields['Order Number'] : invoice.metadata.order_number,
+                status: invoice.status,
+                amount: invoice.amount,
+                action: plan.action,
+                ...(plan.note && { note: plan.note })
+            };
+            results.push(result);
+            if (dryRun || plan.action === 'unresolved') return;
+
+            try {
+                if (plan.action === 'delete') await invoices.deleteDraft(invoice.id);
+                if (plan.action === 'void') await invoices.voidInvoice(invoice.id);
+                if (plan.action === 'send') await sendLinkedInvoice(plan.order, invoice.id, audit);
+                if (plan.action === 'link') {
+                    await repo.updateOrder(plan.order.id, {
+                        'Extra Items Invoice ID': invoice.id,
+                        ...invoiceStatusFields(invoice.status === 'paid' ? 'Paid' : 'Open')
+                    }, { ...audit, action: 'Invoice Linked', before: plan.order });
+                }
+                console.log(`Reconciled invoice ${invoice.id} (${result.orderNumber}): ${plan.action}`);
+            } catch (err) {
+                console.error(`Could not reconcile invoice ${invoice.id}:`, err.message);
+                Object.assign(result, { action: 'unresolved', note: `${plan.action} failed: ${err.message}` });
+            }
+        };
+
+        for (const invoice of recent) {
+            // Locked per order so a check-in's draft isn't taken for an orphan before it's saved
+            const orderId = invoice.metadata.order_record_id;
+            if (orderId) {
+                await withOrderLock(orderId, () => reconcileInvoice(invoice));
+            } else {
+                await reconcileInvoice(invoice);
+            }
+        }
+
+        return { checked: recent.length, dryRun, results };
+    };
+
+    return {
+        withOrderLock,
+        checkIn,
+        reconcileInvoices
+    };
+};
+
+module.exports = {
+    createExtraItemsInvoices
+};
@@ -0,0 +1,80 @@
+/**
+ * Request de-duplication
+ *
+ * Phones on flaky warehouse Wi-Fi retry requests, and people double-tap buttons.
+ * - createIdempotencyCache: replays the first result for a repeated Idempotency-Key
+ * - createKeyedLock: runs work for the same key (e.g. an order) one at a time
+ *
+ * Both are in-memory, so they cover a single server process.
+ */
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - how long a result is replayed (default 24 hours)
+ */
+const createIdempotencyCache = (options = {}) => {
+    const ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+
+    // key -> { expiresAt, promise }
+    const entries = new Map();
+
+    const prune = () => {
+        const now = Date.now();
+        entries.forEach((entry, key) => {
+            if (entry.expiresAt <= now) entries.delete(key);
+        });
+    };
+
+    /**
+     * Run fn once per key. A repeat while the first call is still running waits for it.
+     * Failures aren't remembered, so the client can retry with the same key.
+     * Returns { value, replayed }. Without a key fn just runs.
+     */
+    const run = async (key, fn) => {
+        if (!key) return { value: await fn(), replayed: false };
+
+        prune();
+        const existing = entries.get(key);
+        if (existing) return { value: await existing.promise, replayed: true };
+
+        const promise = fn();
+        entries.set(key, { expiresAt: Date.now() + ttlMs, promise });
+        try {
+            return { value: await promise, replayed: false };
+        } catch (err) {
+            entries.delete(key);
+            throw err;
+        }
+    };
+
+    return { run };
+};
+
+const createKeyedLock = () => {
+    // key -> promise of the last queued task
+    const tails = new Map();
+
+    /**
+     * Run fn after any earlier work for the same key has finished
+     */
+    const withLock = (key, fn) => {
+        const previous = tails.get(key) || Promise.resolve();
+        const run = () => fn();
+        const result = previous.then(run, run);
+        const tail = result.catch(() => {});
+        tails.set(key, tail);
+        tail.then(() => {
+            if (tails.get(key) === tail) tails.delete(key);
+        });
+        return result;
+    };
+
+    return { withLock };
+};
+
+module.exports = {
+    createIdempotencyCache,
+    createKeyedLock
+};
@@ -0,0 +1,147 @@
+/**
+ * Fake invoice provider
+ *
+ * Records invoices and balance credits in memory and logs them instead of calling Stripe,
+ * for offline dev and tests. Webhook events use Stripe's signature format,
+ * so signed test payloads work the same as against the Stripe provider;
+ * with no webhook secret set, events are accepted unsigned.
+ */
+
+const crypto = require('crypto');
+const Stripe = require('stripe');
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.webhookSecret]
+ */
+const createFakeInvoiceProvider = (options = {}) => {
+    const invoices = [];
+    const credits = [];
+    // idempotency key -> result of the first call made with it
+    const idempotent = new Map();
+
+    const once = async (idempotencyKey, create) => {
+        if (!idempotencyKey) return create();
+        if (!idempotent.has(idempotencyKey)) idempotent.set(idempotencyKey, create());
+        return idempotent.get(idempotencyKey);
+    };
+
+    const findInvoice = (invoiceId) => {
+        const invoice = invoices.find(i => i.id === invoiceId);
+        if (!invoice) throw new Error(`No such invoice: '${invoiceId}'`);
+        return invoice;
+    };
+
+    const toInvoice = (invoice) => ({
+        id: invoice.id,
+        status: invoice.status,
+        amount: invoice.amount,
+        amountCredited: invoice.amountCredited,
+        url: invoice.url,
+        metadata: { ...invoice.metadata },
+        created: invoice.createdAt
+    });
+
+    const createInvoice = ({ customerEmail, customerName, orderNumber, amount, description, lineItems, metadata, idempotencyKey }) => once(idempotencyKey && `${idempotencyKey}:invoice`, () => {
+        const invoice = {
+            id: `in_fake_${crypto.randomBytes(8).toString('hex')}`,
+            url: null,
+            customerEmail,
+            customerName: customerName || 'Customer',
+            amount,
+            amountCredited: 0,
+            description,
+            lineItems: lineItems || [{ description, amount }],
+            metadata: { order_number: orderNumber, ...metadata },
+            status: 'draft',
+            createdAt: new Date().toISOString()
+        };
+        invoices.push(invoice);
+        return toInvoice(invoice);
+    });
+
+    const finalizeInvoice = async (invoiceId) => {
+        const invoice = findInvoice(invoiceId);
+        if (invoice.status === 'draft') {
+            invoice.status = 'open';
+            console.log(`[fake invoices] ${invoice.id} to ${invoice.customerEmail}: $${invoice.amount.toFixed(2)} - ${invoice.description}`);
+        }
+        return toInvoice(invoice);
+    };
+
+    const getInvoice = async (invoiceId) => {
+        const invoice = invoices.find(i => i.id === invoiceId);
+        return invoice ? toInvoice(invoice) : null;
+    };
+
+    const deleteDraft = async (invoiceId) => {
+        const invoice = findInvoice(invoiceId);
+        if (invoice.status !== 'draft') throw new Error(`Invoice ${invoiceId} is ${invoice.status}, only drafts can be deleted`);
+        invoices.splice(invoices.indexOf(invoice), 1);
+    };
+
+    const voidInvoice = async (invoiceId) => {
+        const invoice = findInvoice(invoiceId);
+        if (!['open', 'uncollectible'].includes(invoice.status)) throw new Error(`Invoice ${invoiceId} is ${invoice.status} and can't be voided`);
+        invoice.status = 'void';
+        console.log(`[fake invoices] voided ${invoice.id}`);
+        return toInvoice(invoice);
+    };
+
+    const creditInvoice = (invoiceId, amount, { reason, idempotencyKey } = {}) => once(idempotencyKey && `${idempotencyKey}:credit`, () => {
+        const invoice = findInvoice(invoiceId);
+        if (amount > invoice.amount - invoice.amountCredited) throw new Error(`Credit of $${amount} is more than is left on ${invoiceId}`);
+        invoice.amountCredited += amount;
+        console.log(`[fake invoices] credited $${amount.toFixed(2)} on ${invoice.id}${reason ? ` - ${reason}` : ''}`);
+        return { id: `cn_fake_${crypto.randomBytes(8).toString('hex')}`, amount };
+    });
+
+    const creditCustomerBalance = ({ customerEmail, orderNumber, amount, description, metadata, idempotencyKey }) => once(idempotencyKey && `${idempotencyKey}:balance`, () => {
+        const credit = {
+            id: `cbtxn_fake_${crypto.randomBytes(8).toString('hex')}`,
+            customerEmail,
+            amount,
+            description,
+            metadata: { order_number: orderNumber, ...metadata },
+            createdAt: new Date().toISOString()
+        };
+        credits.push(credit);
+        console.log(`[fake invoices] credited $${amount.toFixed(2)} to ${customerEmail}'s balance - ${description}`);
+        return { id: credit.id, amount };
+    });
+
+    const listRecentInvoices = async ({ days }) => {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        return invoices.filter(i => i.createdAt >= since).reverse().map(toInvoice);
+    };
+
+    const constructWebhookEvent = (payload, signature) => {
+        if (options.webhookSecret) {
+            return Stripe.webhooks.constructEvent(payload, signature, options.webhookSecret);
+        }
+        return JSON.parse(Buffer.isBuffer(payload) ? payload.toString('utf8') : payload);
+    };
+
+    return {
+        name: 'fake',
+        createInvoice,
+        finalizeInvoice,
+        getInvoice,
+        deleteDraft,
+        voidInvoice,
+        creditInvoice,
+        creditCustomerBalance,
+        listRecentInvoices,
+        constructWebhookEvent,
+        // Invoices created so far (deleted drafts excluded), oldest first
+        listInvoices: () => invoices.map(invoice => ({ ...invoice, lineItems: [...invoice.lineItems], metadata: { ...invoice.metadata } })),
+        // Customer balance credits made so far, oldest first
+        listCustomerCredits: () => credits.map(credit => ({ ...credit, metadata: { ...credit.metadata } })),
+        // Stand-in for the customer paying, since nothing is really sent
+        markPaid: (invoiceId) => { findInvoice(invoiceId).status = 'paid'; }
+    };
+};
+
+module.exports = {
+    createFakeInvoiceProvider
+};
@@ -0,0 +1,51 @@
+/**
+ * Invoice providers
+ *
+ * INVOICE_PROVIDER picks who sends extra-items invoices and short-item credits:
+ * - 'stripe' (default): Stripe (STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET)
+ * - 'fake': recorded in memory and logged, nothing is sent
+ *
+ * Every provider implements (amounts in dollars):
+ *   createInvoice({ customerEmail, customerName, orderNumber, amount, description, lineItems, metadata, idempotencyKey })
+ *                                        -> draft invoice, not sent yet. One line for `amount` with the
+ *                                           description, or `lineItems` ([{ description, amount }], adding
+ *                                           up to `amount`) with the description on the invoice itself
+ *   finalizeInvoice(invoiceId)           -> finalizes a draft and emails it to the customer
+ *   getInvoice(invoiceId)                -> invoice, or null if it doesn't exist
+ *   deleteDraft(invoiceId)
+ *   voidInvoice(invoiceId)               -> for open (unpaid) invoices
+ *   creditInvoice(invoiceId, amount, { reason, idempotencyKey }) -> refunds part of a paid invoice
+ *   creditCustomerBalance({ customerEmail, customerName, orderNumber, amount, description, metadata, idempotencyKey })
+ *                                        -> { id, amount }; credits the customer's balance, taken off
+ *                                           their next invoice (short items, lib/shortItems)
+ *   listRecentInvoices({ days })         -> extra-items invoices created in the last `days` days
+ *   constructWebhookEvent(rawBody, signature) -> event (throws on a bad signature)
+ *
+ * Invoices look like { id, status, amount, amountCredited, url, metadata, created },
+ * where status is Stripe's: draft, open, paid, uncollectible or void.
+ */
+
+const { createStripeInvoiceProvider } = require('./stripe');
+const { createFakeInvoiceProvider } = require('./fake');
+
+const createInvoiceProvider = (provider = process.env.INVOICE_PROVIDER || 'stripe') => {
+    switch (provider) {
+        case 'stripe':
+            return createStripeInvoiceProvider({
+                secretKey: process.env.STRIPE_SECRET_KEY,
+                webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+            });
+        case 'fake':
+            return createFakeInvoiceProvider({
+                webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+            });
+        default:
+            throw new Error(`Unknown INVOICE_PROVIDER "${provider}" (expected "stripe" or "fake")`);
+    }
+};
+
+module.exports = {
+    createInvoiceProvider,
+    createStripeInvoiceProvider,
+    createFakeInvoiceProvider
+};
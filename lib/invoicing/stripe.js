@@ -0,0 +1,169 @@
+/**
+ * Stripe invoice provider
+ *
+ * Sends extra-items invoices through Stripe, credits customer balances for short
+ * items and verifies Stripe webhook signatures.
+ * Calls that create something take an idempotency key, so a retried request
+ * gets back what the first one created instead of a second invoice or credit note.
+ */
+
+const Stripe = require('stripe');
+
+const toDollars = (cents) => (cents || 0) / 100;
+const toCents = (amount) => Math.round(amount * 100);
+
+// Stripe options for a create call; parts keep one key per call of a multi-call operation
+const keyed = (idempotencyKey, part) => (idempotencyKey ? { idempotencyKey: `${idempotencyKey}:${part}` } : undefined);
+
+// The provider-neutral invoice shape (see lib/invoicing/index.js)
+const toInvoice = (invoice) => ({
+    id: invoice.id,
+    status: invoice.status,
+    amount: toDollars(invoice.total),
+    amountCredited: toDollars((invoice.post_payment_credit_notes_amount || 0) + (invoice.pre_payment_credit_notes_amount || 0)),
+    url: invoice.hosted_invoice_url || null,
+    metadata: invoice.metadata || {},
+    created: new Date(invoice.created * 1000).toISOString()
+});
+
+/**
+ * @param {Object} options
+ * @param {Object} [options.stripe] - a Stripe client; built from secretKey if omitted
+ * @param {string} [options.secretKey]
+ * @param {string} [options.webhookSecret]
+ */
+const createStripeInvoiceProvider = (options = {}) => {
+    const stripe = options.stripe || new Stripe(options.secretKey);
+
+    // The customer with this email, created if they don't exist yet
+    const findOrCreateCustomer = async ({ customerEmail, customerName, orderNumber, idempotencyKey }) => {
+        const existingCustomers = await stripe.customers.list({ email: customerEmail, limit: 1 });
+        if (existingCustomers.data.length > 0) return existingCustomers.data[0];
+
+        return stripe.customers.create({
+            email: customerEmail,
+            name: customerName || 'Customer',
+            metadata: { airtable_order: orderNumber }
+        }, keyed(idempotencyKey, 'customer'));
+    };
+
+    /**
+     * Create a draft invoice with a single line item, or one per `lineItems` entry.
+     * Nothing is sent until finalizeInvoice. The customer is looked up by email and
+     * created if they don't exist yet.
+     */
+    const createInvoice = async ({ customerEmail, customerName, orderNumber, amount, description, lineItems, metadata, idempotencyKey }) => {
+        const customer = await findOrCreateCustomer({ customerEmail, customerName, orderNumber, idempotencyKey });
+
+        const invoice = await stripe.invoices.create({
+            customer: customer.id,
+            collection_method: 'send_invoice',
+            days_until_due: 7,
+            auto_advance: false,
+            ...(lineItems && { description }),
+            metadata: { order_number: orderNumber, ...metadata }
+        }, keyed(idempotencyKey, 'invoice'));
+
+        const items = lineItems || [{ description, amount }];
+        for (const [idx, item] of items.entries()) {
+            await stripe.invoiceItems.create({
+                customer: customer.id,
+                invoice: invoice.id,
+                amount: toCents(item.amount),
+                currency: 'usd',
+                description: item.description
+            }, keyed(idempotencyKey, idx === 0 ? 'item' : `item:${idx}`));
+        }
+
+        return toInvoice(await stripe.invoices.retrieve(invoice.id));
+    };
+
+    /**
+     * Finalize a draft invoice and email it to the customer.
+     * An invoice that's already finalized is returned as is.
+     */
+    const finalizeInvoice = async (invoiceId) => {
+        const invoice = await stripe.invoices.retrieve(invoiceId);
+        if (invoice.status !== 'draft') return toInvoice(invoice);
+
+        const finalizedInvoice = await stripe.invoices.finalizeInvoice(invoiceId, { auto_advance: false });
+        await stripe.invoices.sendInvoice(finalizedInvoice.id);
+        return toInvoice(finalizedInvoice);
+    };
+
+    // Returns null for an invoice that doesn't exist (e.g. a deleted draft)
+    const getInvoice = async (invoiceId) => {
+        try {
+            return toInvoice(await stripe.invoices.retrieve(invoiceId));
+        } catch (err) {
+            if (err.code === 'resource_missing') return null;
+            throw err;
+        }
+    };
+
+    const deleteDraft = async (invoiceId) => {
+        await stripe.invoices.del(invoiceId);
+    };
+
+    const voidInvoice = async (invoiceId) => toInvoice(await stripe.invoices.voidInvoice(invoiceId));
+
+    /**
+     * Refund part of a paid invoice with a credit note
+     */
+    const creditInvoice = async (invoiceId, amount, { reason, idempotencyKey } = {}) => {
+        const creditNote = await stripe.creditNotes.create({
+            invoice: invoiceId,
+            amount: toCents(amount),
+            refund_amount: toCents(amount),
+            ...(reason && { memo: reason })
+        }, keyed(idempotencyKey, 'credit'));
+        return { id: creditNote.id, amount: toDollars(creditNote.amount) };
+    };
+
+    /**
+     * Credit the customer's balance, which Stripe takes off their next invoices.
+     * The customer is looked up by email and created if they don't exist yet.
+     */
+    const creditCustomerBalance = async ({ customerEmail, customerName, orderNumber, amount, description, metadata, idempotencyKey }) => {
+        const customer = await findOrCreateCustomer({ customerEmail, customerName, orderNumber, idempotencyKey });
+        // A negative balance transaction is a credit
+        const transaction = await stripe.customers.createBalanceTransaction(customer.id, {
+            amount: -toCents(amount),
+            currency: 'usd',
+            description,
+            metadata: { order_number: orderNumber, ...metadata }
+        }, keyed(idempotencyKey, 'balance'));
+        return { id: transaction.id, amount: -toDollars(transaction.amount) };
+    };
+
+    /**
+     * Extra-items invoices created in the last `days` days, newest first
+     */
+    const listRecentInvoices = async ({ days }) => {
+        const since = Math.floor(Date.now() / 1000) - days * 24 * 60 * 60;
+        const recent = await stripe.invoices.list({ created: { gte: since }, limit: 100 }).autoPagingToArray({ limit: 10000 });
+        return recent
+            .filter(invoice => invoice.metadata && invoice.metadata.order_number)
+            .map(toInvoice);
+    };
+
+    // Throws if the signature doesn't match
+    const constructWebhookEvent = (payload, signature) => stripe.webhooks.constructEvent(payload, signature, options.webhookSecret);
+
+    return {
+        name: 'stripe',
+        createInvoice,
+        finalizeInvoice,
+        getInvoice,
+        deleteDraft,
+        voidInvoice,
+        creditInvoice,
+        creditCustomerBalance,
+        listRecentInvoices,
+        constructWebhookEvent
+    };
+};
+
+module.exports = {
+    createStripeInvoiceProvider
+};
@@ -0,0 +1,138 @@
+/**
+ * Item manifests
+ *
+ * What's in an order by media type. A box can hold photos, VHS tapes, film reels and
+ * audio cassettes, which take very different effort, so check-in records how many of
+ * each arrived and completion how many of each were digitized. Every count is a
+ * Manifest Items record against the order: media type, quantity, stage ('Received' or
+ * 'Digitized') and, for orders checked in a box at a time, the box's label number.
+ *
+ * The order's 'Items Received' and 'Items Digitized' stay the totals, so an order
+ * checked in or completed with a single count works as it always has.
+ */
+
+// The app gets them from GET /api/config
+const MEDIA_TYPES = ['Photos', 'Slides & Negatives', 'Film Reels', 'VHS Tapes', 'Audio Cassettes', 'Other Media'];
+
+const MANIFEST_STAGES = {
+    RECEIVED: 'Received',
+    DIGITIZED: 'Digitized'
+};
+
+const lineBox = (line) => line.fields['Box'] || null;
+
+const onStage = (lines, stage, box) => lines.filter(line => (
+    line.fields['Stage'] === stage && (box == null || lineBox(line) === box)
+));
+
+/**
+ * Items in a manifest ({ mediaType: count })
+ */
+const manifestTotal = (counts) => Object.values(counts || {}).reduce((sum, count) => sum + count, 0);
+
+/**
+ * Counts by media type from an order's line items for one stage, and one box if given.
+ * Media types are in MEDIA_TYPES order and ones with nothing are left out.
+ */
+const manifestCounts = (lines, stage, { box } = {}) => {
+    const totals = {};
+    onStage(lines, stage, box).forEach(line => {
+        const mediaType = line.fields['Media Type'];
+        totals[mediaType] = (totals[mediaType] || 0) + (line.fields['Quantity'] || 0);
+    });
+    const counts = {};
+    MEDIA_TYPES.forEach(mediaType => {
+        if (totals[mediaType] > 0) counts[mediaType] = totals[mediaType];
+    });
+    return counts;
+};
+
+/**
+ * An order's manifest as the app shows it: { received, digitized, boxes: { label: received } },
+ * or null if it has none
+ */
+const manifestSummary = (lines) => {
+    if (!lines || lines.length === 0) return null;
+    const labels = [...new Set(onStage(lines, MANIFEST_STAGES.RECEIVED).map(lineBox).filter(Boolean))];
+    return {
+        received: manifestCounts(lines, MANIFEST_STAGES.RECEIVED),
+        digitized: manifestCounts(lines, MANIFEST_STAGES.DIGITIZED),
+        boxes: Object.fromEntries(labels.map(label => [label, manifestCounts(lines, MANIFEST_STAGES.RECEIVED, { box: label })]))
+    };
+};
+
+/**
+ * Extra items by media type, [{ mediaType, items }]. The package's included items are
+ * counted against the manifest in MEDIA_TYPES order; what's left over is extra.
+ */
+const extraItemsByMedia = (counts, included) => {
+    let allowance = included || 0;
+    const extras = [];
+    MEDIA_TYPES.forEach(mediaType => {
+        const count = (counts || {})[mediaType] || 0;
+        const covered = Math.min(count, allowance);
+        allowance -= covered;
+        if (count - covered > 0) extras.push({ mediaType, items: count - covered });
+    });
+    return extras;
+};
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.repo - lib/repository
+ */
+const createManifests = ({ repo }) => {
+    /**
+     * Set an order's counts for a stage, replacing what was recorded before: for one box
+     * if `box` is given, otherwise for the whole order. Lines are updated in place (a
+     * media type no longer in the counts goes to 0), so recording the same counts again
+     * changes nothing. Returns the order's line items afterwards.
+     */
+    const record = async (order, stage, counts, { box } = {}) => {
+        const lines = await repo.listManifestItems([order.id]);
+        const current = onStage(lines, stage, box);
+        const updates = [];
+        const creates = [];
+
+        MEDIA_TYPES.forEach(mediaType => {
+            const quantity = counts[mediaType] || 0;
+            const [first, ...rest] = current.filter(line => line.fields['Media Type'] === mediaType);
+            if (first) {
+                const fields = { 'Quantity': quantity, 'Box': box || null };
+                if (first.fields['Quantity'] !== quantity || lineBox(first) !== (box || null)) updates.push({ id: first.id, fields });
+            } else if (quantity > 0) {
+                creates.push({
+                    'Order': [order.id],
+                    'Order Number': order.fields['Order Number'],
+                    'Order Record ID': order.id,
+                    'Media Type': mediaType,
+                    'Stage': stage,
+                    'Quantity': quantity,
+                    ...(box && { 'Box': box })
+                });
+            }
+            rest.filter(line => line.fields['Quantity']).forEach(line => updates.push({ id: line.id, fields: { 'Quantity': 0 } }));
+        });
+
+        if (updates.length === 0 && creates.length === 0) return lines;
+        await Promise.all([
+            ...(updates.length > 0 ? [repo.updateManifestItems(updates)] : []),
+            ...creates.map(fields => repo.createManifestItem(fields))
+        ]);
+        return repo.listManifestItems([order.id]);
+    };
+
+    return {
+        record
+    };
+};
+
+module.exports = {
+    MEDIA_TYPES,
+    MANIFEST_STAGES,
+    manifestTotal,
+    manifestCounts,
+    manifestSummary,
+    extraItemsByMedia,
+    createManifests
+};
@@ -0,0 +1,41 @@
+/**
+ * Console notification transport
+ *
+ * Logs each message and keeps it in memory instead of sending it,
+ * for offline dev and tests.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.from]
+ */
+const createConsoleTransport = (options = {}) => {
+    const sent = [];
+
+    const send = async ({ to, subject, text }) => {
+        const message = {
+            id: `msg_console_${crypto.randomBytes(8).toString('hex')}`,
+            from: options.from,
+            to,
+            subject,
+            text,
+            sentAt: new Date().toISOString()
+        };
+        sent.push(message);
+        console.log(`[notifications] to ${to}: ${subject}`);
+        return { id: message.id };
+    };
+
+    return {
+        name: 'console',
+        send,
+        // Messages "sent" so far, oldest first
+        listSent: () => sent.map(message => ({ ...message }))
+    };
+};
+
+module.exports = {
+    createConsoleTransport
+};
@@ -0,0 +1,40 @@
+/**
+ * File notification transport
+ *
+ * Appends each message to a file as one line of JSON instead of sending it,
+ * so a local server's customer emails can be read back.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param {Object} options
+ * @param {string} options.file
+ * @param {string} [options.from]
+ */
+const createFileTransport = ({ file, from }) => {
+    const send = async ({ to, subject, text }) => {
+        const message = {
+            id: `msg_file_${crypto.randomBytes(8).toString('hex')}`,
+            from,
+            to,
+            subject,
+            text,
+            sentAt: new Date().toISOString()
+        };
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, `${JSON.stringify(message)}\n`);
+        return { id: message.id };
+    };
+
+    return {
+        name: 'file',
+        send
+    };
+};
+
+module.exports = {
+    createFileTransport
+};
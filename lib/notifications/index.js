@@ -0,0 +1,49 @@
+/**
+ * Notification transports
+ *
+ * NOTIFICATION_TRANSPORT picks how customer emails go out:
+ * - 'console' (default): logged and kept in memory, nothing is sent
+ * - 'file': appended as JSON lines to NOTIFICATION_FILE (default data/notifications.log)
+ * - 'smtp': sent through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ *
+ * Every transport implements:
+ *   send({ to, subject, text }) -> { id }
+ *
+ * Messages come from NOTIFICATION_FROM.
+ */
+
+const path = require('path');
+
+const { createConsoleTransport } = require('./console');
+const { createFileTransport } = require('./file');
+const { createSmtpTransport } = require('./smtp');
+
+const DEFAULT_NOTIFICATION_FILE = path.join(__dirname, '..', '..', 'data', 'notifications.log');
+const DEFAULT_FROM = 'HeritageBox <orders@heritagebox.com>';
+
+const createNotificationTransport = (transport = process.env.NOTIFICATION_TRANSPORT || 'console') => {
+    const from = process.env.NOTIFICATION_FROM || DEFAULT_FROM;
+    switch (transport) {
+        case 'console':
+            return createConsoleTransport({ from });
+        case 'file':
+            return createFileTransport({ from, file: process.env.NOTIFICATION_FILE || DEFAULT_NOTIFICATION_FILE });
+        case 'smtp':
+            return createSmtpTransport({
+                from,
+                host: process.env.SMTP_HOST,
+                port: process.env.SMTP_PORT != null ? Number(process.env.SMTP_PORT) : undefined,
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            });
+        default:
+            throw new Error(`Unknown NOTIFICATION_TRANSPORT "${transport}" (expected "console", "file" or "smtp")`);
+    }
+};
+
+module.exports = {
+    createNotificationTransport,
+    createConsoleTransport,
+    createFileTransport,
+    createSmtpTransport
+};
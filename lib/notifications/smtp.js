@@ -0,0 +1,40 @@
+/**
+ * SMTP notification transport
+ *
+ * Sends customer emails through any SMTP server (SendGrid, Postmark, Google Workspace, ...).
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * @param {Object} options
+ * @param {Object} [options.transporter] - a nodemailer transporter; built from host/port/user/pass if omitted
+ * @param {string} [options.host]
+ * @param {number} [options.port] - 587 by default; 465 uses TLS from the start
+ * @param {string} [options.user]
+ * @param {string} [options.pass]
+ * @param {string} [options.from]
+ */
+const createSmtpTransport = (options = {}) => {
+    const port = options.port || 587;
+    const transporter = options.transporter || nodemailer.createTransport({
+        host: options.host,
+        port,
+        secure: port === 465,
+        auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+
+    const send = async ({ to, subject, text }) => {
+        const info = await transporter.sendMail({ from: options.from, to, subject, text });
+        return { id: info.messageId };
+    };
+
+    return {
+        name: 'smtp',
+        send
+    };
+};
+
+module.exports = {
+    createSmtpTransport
+};
@@ -0,0 +1,93 @@
+/**
+ * Order events
+ *
+ * The history of an order: every write the app makes to an order is appended to
+ * the Order Events table with what changed (each field's value before and after),
+ * who made the change, where it came from and when. Events are only ever added,
+ * never updated or deleted.
+ *
+ * Writes go through repo.updateOrder, which records the event; callers describe
+ * the change with an `audit` object: { action, actor, source, device, before }.
+ */
+
+const EVENT_SOURCES = {
+    APP: 'App',
+    STRIPE: 'Stripe Webhook',
+    RECONCILE: 'Invoice Reconciliation',
+    SYSTEM: 'System'
+};
+
+// Airtable leaves empty values out of records, so null, '', false and [] all mean "not set"
+const normalize = (value) => {
+    if (value == null || value === '' || value === false) return null;
+    if (Array.isArray(value)) return value.length > 0 ? value : null;
+    return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+/**
+ * The fields an update changes: { field: { from, to } }, leaving out fields written
+ * with the value they already had
+ */
+const diffFields = (before, fields) => {
+    const changes = {};
+    Object.entries(fields).forEach(([field, value]) => {
+        const previous = before ? before.fields[field] : undefined;
+        if (!sameValue(previous, value)) {
+            changes[field] = { from: normalize(previous), to: normalize(value) };
+        }
+    });
+    return changes;
+};
+
+/**
+ * Order Events record fields for one change to an order
+ */
+const eventFields = ({ order, changes, action, actor, source, device, at = new Date().toISOString() }) => ({
+    'Order Record ID': order.id,
+    'Order Number': order.fields['Order Number'],
+    'At': at,
+    'Action': action || 'Updated',
+    'Source': source || EVENT_SOURCES.SYSTEM,
+    ...(actor && { 'Actor': [actor] }),
+    'Device': device || '',
+    'Changed Fields': Object.keys(changes).join(', '),
+    'Changes': JSON.stringify(changes)
+});
+
+/**
+ * An Order Events record as the history endpoint returns it.
+ * employeeNames maps employee ID -> name.
+ */
+const toHistoryEntry = (record, employeeNames = {}) => {
+    const actorId = (record.fields['Actor'] || [])[0] || null;
+    let changes = {};
+    try {
+        changes = JSON.parse(record.fields['Changes'] || '{}');
+    } catch (err) {
+        // Edited by hand in Airtable; show the event without its details
+    }
+    // Linked employees are shown by name
+    const display = (value) => (Array.isArray(value) ? value.map(id => employeeNames[id] || id) : value);
+    Object.values(changes).forEach(change => {
+        change.from = display(change.from);
+        change.to = display(change.to);
+    });
+    return {
+        id: record.id,
+        at: record.fields['At'],
+        action: record.fields['Action'],
+        source: record.fields['Source'] || EVENT_SOURCES.SYSTEM,
+        actor: actorId ? { id: actorId, name: employeeNames[actorId] || 'Unknown' } : null,
+        device: record.fields['Device'] || null,
+        changes
+    };
+};
+
+module.exports = {
+    EVENT_SOURCES,
+    diffFields,
+    eventFields,
+    toHistoryEntry
+};
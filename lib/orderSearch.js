@@ -0,0 +1,128 @@
+/**
+ * Order search
+ *
+ * One search box for everything an employee might have in hand: an order number,
+ * the customer's name or email, a tracking number from any of the order's labels
+ * (full or its last digits) or the code on a work ticket. Matches are ranked so the
+ * order they most likely mean comes first:
+ *
+ *   100  work ticket code (record ID)
+ *    95  full tracking number
+ *    90  order number, exactly or without its HB- prefix
+ *    85  customer email, exactly
+ *    80  last digits of a tracking number
+ *    70  customer name, exactly
+ *    60  start of the order number
+ *    50  start of a word in the customer name
+ *    40  anywhere in the order number, name or email
+ */
+
+const { TRACKING_FIELDS } = require('./receipts');
+
+// Matches at this score or above are what the employee typed or scanned in full
+const EXACT_SCORE = 85;
+
+// Tracking numbers are matched on their last digits from this many characters
+const MIN_TRACKING_DIGITS = 4;
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+const lower = (value) => String(firstValue(value) || '').toLowerCase();
+
+const isTrackingLike = (query) => /^[A-Za-z0-9]+$/.test(query) && query.length >= MIN_TRACKING_DIGITS;
+
+/**
+ * The where condition (lib/storage) for orders that could match the query
+ */
+const searchCondition = (query) => ({
+    or: [
+        { field: 'Order Number', containsText: query },
+        { field: 'Customer Name', containsText: query },
+        { field: 'Customer', containsText: query },
+        { field: 'Customer Email', containsText: query },
+        ...(isTrackingLike(query) ? TRACKING_FIELDS.map(field => ({ field, endsWith: query.toUpperCase() })) : [])
+    ]
+});
+
+/**
+ * How well an order matches the query: { score, matchedOn, tracking }, or null.
+ * `tracking` is the label's tracking number when the match was on one.
+ */
+const scoreOrder = (order, query) => {
+    const q = query.toLowerCase();
+    const candidates = [];
+    const add = (score, matchedOn, extra = {}) => candidates.push({ score, matchedOn, ...extra });
+
+    if (order.id === query) add(100, 'Work ticket');
+
+    TRACKING_FIELDS.forEach((field, i) => {
+        const tracking = String(order.fields[field] || '');
+        if (!tracking) return;
+        const label = `Label ${i + 1} tracking`;
+        if (tracking.toLowerCase() === q) add(95, label, { tracking });
+        else if (isTrackingLike(query) && tracking.toLowerCase().endsWith(q)) add(80, label, { tracking });
+    });
+
+    const orderNumber = lower(order.fields['Order Number']);
+    if (orderNumber) {
+        if (orderNumber === q || orderNumber.replace(/^hb-/, '') === q) add(90, 'Order number');
+        else if (orderNumber.startsWith(q)) add(60, 'Order number');
+        else if (orderNumber.includes(q)) add(40, 'Order number');
+    }
+
+    const email = lower(order.fields['Customer Email']);
+    if (email) {
+        if (email === q) add(85, 'Customer email');
+        else if (email.includes(q)) add(40, 'Customer email');
+    }
+
+    const name = lower(order.fields['Customer Name'] || order.fields['Customer']);
+    if (name) {
+        if (name === q) add(70, 'Customer name');
+        else if (name.split(/\s+/).some(word => word.startsWith(q)) || name.startsWith(q)) add(50, 'Customer name');
+        else if (name.includes(q)) add(40, 'Customer name');
+    }
+
+    if (candidates.length === 0) return null;
+    return candidates.reduce((best, c) => (c.score > best.score ? c : best));
+};
+
+/**
+ * A search result, best match first by score and then by order number
+ */
+const toResult = (order, match) => ({
+    id: order.id,
+    orderNumber: order.fields['Order Number'],
+    customer: firstValue(order.fields['Customer Name'] || order.fields['Customer']) || null,
+    email: firstValue(order.fields['Customer Email']) || null,
+    opsStatus: order.fields['Ops Status'] || null,
+    checkedIn: Boolean(order.fields['Check-In Date']),
+    score: match.score,
+    matchedOn: match.matchedOn,
+    tracking: match.tracking || null
+});
+
+/**
+ * Rank the orders found for a query, dropping any that don't really match
+ */
+const rankOrders = (orders, query, { limit = 20 } = {}) => orders
+    .map(order => ({ order, match: scoreOrder(order, query) }))
+    .filter(({ match }) => match)
+    .map(({ order, match }) => toResult(order, match))
+    .sort((a, b) => b.score - a.score || String(a.orderNumber).localeCompare(String(b.orderNumber)))
+    .slice(0, limit);
+
+/**
+ * Whether the top result is clearly the one meant: the only result, or an exact
+ * match with nothing else as good
+ */
+const isClearMatch = (results) => results.length === 1
+    || (results.length > 1 && results[0].score >= EXACT_SCORE && results[1].score < EXACT_SCORE);
+
+module.exports = {
+    EXACT_SCORE,
+    searchCondition,
+    scoreOrder,
+    rankOrders,
+    isClearMatch
+};
@@ -0,0 +1,408 @@
+/**
+ * Payroll close-out
+ *
+ * Pay Periods has one record per employee per period. The records that share a
+ * Start Date make up a pay run, which supervisors create, close and export together:
+ * - Draft: pay is worked out live from the orders completed in the date range
+ * - Ready for Payment: closing snapshots each employee's orders into 'Orders' and locks
+ *   the period ('Locked At' / 'Locked By'). From then on pay comes from the linked orders only
+ * - Paid: the payroll provider has paid it ('Date Paid')
+ *
+ * Closing also picks up orders left out of the employee's last closed period (on pay
+ * hold at the time, or completed late), so released pay isn't lost. Orders still on
+ * pay hold stay out until QC approves them.
+ */
+
+const { calculatePay } = require('./pricing');
+const { classifyOrderItems } = require('./products');
+const { MANIFEST_STAGES, manifestCounts } = require('./manifest');
+const { createKeyedLock } = require('./idempotency');
+const { toCsv } = require('./csv');
+
+const PERIOD_STATUS = {
+    DRAFT: 'Draft',
+    READY: 'Ready for Payment',
+    PAID: 'Paid'
+};
+
+// Order fields needed to work out pay and who earned it
+const PAY_ORDER_FIELDS = ['Order Number', 'Items Digitized', 'Total Order Pay', 'Digitization Completion Date', 'Base Pay', 'Per Item Pay', 'Package Type', 'Order Items', 'Employee Link', 'Assigned Employee', 'Pay Hold'];
+
+const CSV_COLUMNS = ['Employee', 'Employee ID', 'Pay Period', 'Start Date', 'End Date', 'Status', 'Orders', 'Order Numbers', 'Items', 'Base Pay', 'Per Item Pay', 'Tier Bonus', 'Total Pay'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const todayDate = () => new Date().toISOString().split('T')[0];
+
+const parseDay = (day) => new Date(`${day}T00:00:00.000Z`);
+
+const formatDay = (date) => date.toISOString().split('T')[0];
+
+const addDays = (day, days) => formatDay(new Date(parseDay(day).getTime() + days * DAY_MS));
+
+const lastDayOfMonth = (day) => {
+    const date = parseDay(day);
+    return formatDay(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)));
+};
+
+const isWholeMonth = (startDate, endDate) => startDate.endsWith('-01') && endDate === lastDayOfMonth(startDate);
+
+/**
+ * "February 2026" for a calendar month, otherwise "Feb 1 - Feb 14, 2026"
+ */
+const periodName = (startDate, endDate) => {
+    if (isWholeMonth(startDate, endDate)) {
+        return parseDay(startDate).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    }
+    const short = (day) => parseDay(day).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    return `${short(startDate)} - ${short(endDate)}, ${endDate.slice(0, 4)}`;
+};
+
+/**
+ * The period after { startDate, endDate }: the next calendar month if it was one,
+ * otherwise the same number of days
+ */
+const nextPeriodDates = ({ startDate, endDate }) => {
+    const nextStart = addDays(endDate, 1);
+    if (isWholeMonth(startDate, endDate)) {
+        return { startDate: nextStart, endDate: lastDayOfMonth(nextStart) };
+    }
+    const days = Math.round((parseDay(endDate) - parseDay(startDate)) / DAY_MS);
+    return { startDate: nextStart, endDate: addDays(nextStart, days) };
+};
+
+const periodStatus = (period) => period.fields['Status'] || PERIOD_STATUS.DRAFT;
+
+// Ready for Payment and Paid periods are locked: their orders and pay are final
+const isLockedPeriod = (period) => [PERIOD_STATUS.READY, PERIOD_STATUS.PAID].includes(periodStatus(period));
+
+const periodEmployeeId = (period) => {
+    const employee = period.fields['Employee'];
+    return Array.isArray(employee) ? employee[0] || null : employee || null;
+};
+
+/**
+ * Whether an employee completed an order, by Employee Link or, for orders without
+ * one, the legacy Assigned Employee (a linked record, or a single-select name).
+ * An order with an Employee Link is only ever its employee's, so it isn't paid twice.
+ */
+const isCompletedBy = (order, employeeId, employeeName) => {
+    const empLink = order.fields['Employee Link'];
+    const assignedEmployee = order.fields['Assigned Employee'];
+    if (Array.isArray(empLink) && empLink.length > 0) return empLink.includes(employeeId);
+    if (assignedEmployee && employeeName) {
+        if (typeof assignedEmployee === 'string') {
+            return assignedEmployee.toLowerCase() === employeeName.toLowerCase();
+        }
+        if (Array.isArray(assignedEmployee)) {
+            return assignedEmployee.includes(employeeId);
+        }
+    }
+    return false;
+};
+
+// Bases that still have the Base Pay / Per Item Pay / Total Order Pay formulas keep using them
+const hasPayFormulas = (record) => record.fields['Total Order Pay'] != null;
+
+/**
+ * Pay for a completed order: the Airtable pay formulas if the base has them,
+ * otherwise config/pricing.json as of the order's completion date, with the
+ * media-specific rates for the items digitized by media type (manifest line items).
+ * Returns { basePay, perItemPay, tierBonus, totalPay }.
+ */
+const getOrderPay = (record, processingTier, manifestLines = []) => {
+    if (hasPayFormulas(record)) {
+        return {
+            basePay: record.fields['Base Pay'] || 0,
+            perItemPay: record.fields['Per Item Pay'] || 0,
+            tierBonus: 0,
+            totalPay: record.fields['Total Order Pay']
+        };
+    }
+    const { basePay, perItemPay, tierBonus, totalPay } = calculatePay({
+        packageType: record.fields['Package Type'],
+        itemsDigitized: record.fields['Items Digitized'] || 0,
+        itemsByMedia: manifestCounts(manifestLines, MANIFEST_STAGES.DIGITIZED),
+        processingTier,
+        date: record.fields['Digitization Completion Date'] || todayDate()
+    });
+    return { basePay, perItemPay, tierBonus, totalPay };
+};
+
+// Rule violations carry the HTTP status and a code for the route to send
+const payrollError = (message, status, code) => Object.assign(new Error(message), { status, code });
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.repo - lib/repository
+ */
+const createPayroll = ({ repo }) => {
+    // Creating, closing and paying runs happen one at a time
+    const { withLock } = createKeyedLock();
+
+    const loadRun = async (startDate) => {
+        const periods = await repo.listPayPeriods();
+        const run = periods.filter(p => p.fields['Start Date'] === startDate);
+        if (run.length === 0) {
+            throw payrollError(`No pay period starts on ${startDate}`, 404, 'PERIOD_NOT_FOUND');
+        }
+        return { periods, run };
+    };
+
+    const runSummary = (run, employeeNames) => {
+        const [first] = run;
+        let status = PERIOD_STATUS.PAID;
+        if (run.some(p => !isLockedPeriod(p))) status = PERIOD_STATUS.DRAFT;
+        else if (run.some(p => periodStatus(p) === PERIOD_STATUS.READY)) status = PERIOD_STATUS.READY;
+        return {
+            startDate: first.fields['Start Date'],
+            endDate: first.fields['End Date'] || null,
+            name: first.fields['Pay Period Name'] || 'Unnamed Period',
+            status,
+            periods: run.map(period => {
+                const employeeId = periodEmployeeId(period);
+                return {
+                    id: period.id,
+                    employeeId,
+                    employeeName: employeeNames[employeeId] || 'Unknown',
+                    status: periodStatus(period),
+                    orderCount: (period.fields['Orders'] || []).length,
+                    lockedAt: period.fields['Locked At'] || null,
+                    datePaid: period.fields['Date Paid'] || null
+                };
+            })
+        };
+    };
+
+    /**
+     * Pay per employee from the orders linked to a run's locked periods.
+     * Orders put back on pay hold since are left out, as on the employee's pay screen.
+     */
+    const lockedRunPay = async (run, employeeNames) => {
+        const locked = run.filter(isLockedPeriod);
+        const orders = await repo.getOrdersByIds(locked.flatMap(p => p.fields['Orders'] || []), PAY_ORDER_FIELDS);
+        const ordersById = new Map(orders.map(r => [r.id, r]));
+        const priced = orders.filter(r => !hasPayFormulas(r));
+        const [orderItems, manifests] = await Promise.all([
+            repo.getOrderItemsForOrders(priced),
+            repo.getManifestsForOrders(priced)
+        ]);
+
+        return locked.map(period => {
+            const employeeId = periodEmployeeId(period);
+            const totals = { items: 0, basePay: 0, perItemPay: 0, tierBonus: 0, totalPay: 0 };
+            const orderNumbers = [];
+            (period.fields['Orders'] || []).map(id => ordersById.get(id)).filter(Boolean).forEach(r => {
+                if (r.fields['Pay Hold'] === true) return;
+                const { processingTier } = classifyOrderItems(orderItems.get(r.id) || []);
+                const pay = getOrderPay(r, processingTier, manifests.get(r.id));
+                totals.items += r.fields['Items Digitized'] || 0;
+                totals.basePay += pay.basePay;
+                totals.perItemPay += pay.perItemPay;
+                totals.tierBonus += pay.tierBonus;
+                totals.totalPay += pay.totalPay;
+                orderNumbers.push(r.fields['Order Number']);
+            });
+            return {
+                periodId: period.id,
+                employeeId,
+                employeeName: employeeNames[employeeId] || 'Unknown',
+                name: period.fields['Pay Period Name'] || 'Unnamed Period',
+                startDate: period.fields['Start Date'],
+                endDate: period.fields['End Date'] || null,
+                status: periodStatus(period),
+                orderNumbers,
+                items: totals.items,
+                basePay: roundMoney(totals.basePay),
+                perItemPay: roundMoney(totals.perItemPay),
+                tierBonus: roundMoney(totals.tierBonus),
+                totalPay: roundMoney(totals.totalPay)
+            };
+        });
+    };
+
+    /**
+     * Every pay run, newest first, with each employee's period in it
+     */
+    const listRuns = async () => {
+        const [periods, employeeNames] = await Promise.all([repo.listPayPeriods(), repo.getEmployeeNames()]);
+        const runs = new Map();
+        periods.filter(p => p.fields['Start Date']).forEach(period => {
+            const startDate = period.fields['Start Date'];
+            if (!runs.has(startDate)) runs.set(startDate, []);
+            runs.get(startDate).push(period);
+        });
+        return [...runs.values()].map(run => runSummary(run, employeeNames));
+    };
+
+    /**
+     * Create a Draft period for each of `employees` ([{ id, name }]) that doesn't have one
+     * in the run yet. Without dates this is the period after the latest one.
+     * Returns { startDate, endDate, name, created: [{ id, employeeId, employeeName }], existing }.
+     */
+    const createRun = ({ startDate, endDate, employees }) => withLock('payroll', async () => {
+        const periods = await repo.listPayPeriods();
+
+        if (!startDate) {
+            const latest = periods.find(p => p.fields['Start Date'] && p.fields['End Date']);
+            if (!latest) {
+                throw payrollError('There are no pay periods yet - give the first one a startDate and endDate', 400, 'DATES_REQUIRED');
+            }
+            ({ startDate, endDate } = nextPeriodDates({ startDate: latest.fields['Start Date'], endDate: latest.fields['End Date'] }));
+        }
+
+        const run = periods.filter(p => p.fields['Start Date'] === startDate);
+        if (run.some(isLockedPeriod)) {
+            throw payrollError(`The pay period starting ${startDate} is closed`, 409, 'PERIOD_LOCKED');
+        }
+        if (run.length > 0 && run[0].fields['End Date'] !== endDate) {
+            throw payrollError(`The pay period starting ${startDate} ends on ${run[0].fields['End Date']}`, 409, 'PERIOD_DATES_MISMATCH');
+        }
+        const overlapping = periods.find(p => p.fields['Start Date'] !== startDate
+            && p.fields['Start Date'] <= endDate && (p.fields['End Date'] || p.fields['Start Date']) >= startDate);
+        if (overlapping) {
+            throw payrollError(`Overlaps ${overlapping.fields['Pay Period Name'] || overlapping.fields['Start Date']}`, 409, 'PERIOD_OVERLAP');
+        }
+
+        const name = run.length > 0 ? run[0].fields['Pay Period Name'] : periodName(startDate, endDate);
+        const existing = new Set(run.map(periodEmployeeId));
+        const created = [];
+        for (const employee of employees.filter(e => !existing.has(e.id))) {
+            const record = await repo.createPayPeriod({
+                'Pay Period Name': name,
+                'Start Date': startDate,
+                'End Date': endDate,
+                'Status': PERIOD_STATUS.DRAFT,
+                'Employee': [employee.id]
+            });
+            created.push({ id: record.id, employeeId: employee.id, employeeName: employee.name });
+        }
+        return { startDate, endDate, name, created, existing: run.length };
+    });
+
+    /**
+     * Close a run: link each employee's completed orders to their period and lock it
+     * as Ready for Payment. Periods already closed are left alone.
+     * Returns the run's pay per employee, with the orders held back and carried over.
+     */
+    const closeRun = ({ startDate, closedBy }) => withLock('payroll', async () => {
+        const { periods, run } = await loadRun(startDate);
+        const drafts = run.filter(p => !isLockedPeriod(p));
+        if (drafts.length === 0) {
+            throw payrollError(`The pay period starting ${startDate} is already closed`, 409, 'PERIOD_LOCKED');
+        }
+        const endDate = run[0].fields['End Date'] || null;
+
+        // Orders left out of an employee's last closed period are paid in this one
+        const lookbackFrom = (employeeId) => {
+            const previous = periods.find(p => isLockedPeriod(p)
+                && periodEmployeeId(p) === employeeId && p.fields['Start Date'] < startDate);
+            return previous ? previous.fields['Start Date'] : startDate;
+        };
+        const lookbacks = new Map(drafts.map(p => [p.id, lookbackFrom(periodEmployeeId(p))]));
+
+        const [completed, employeeNames] = await Promise.all([
+            repo.listCompletedOrders({ startDate: [...lookbacks.values()].sort()[0], endDate, fields: PAY_ORDER_FIELDS }),
+            repo.getEmployeeNames()
+        ]);
+        const linked = new Set(periods.filter(isLockedPeriod).flatMap(p => p.fields['Orders'] || []));
+
+        const lockedAt = new Date().toISOString();
+        const snapshots = new Map();
+        for (const period of drafts) {
+            const employeeId = periodEmployeeId(period);
+            const lookback = lookbacks.get(period.id);
+            const earned = completed.filter(r => !linked.has(r.id)
+                && r.fields['Digitization Completion Date'] >= lookback
+                && isCompletedBy(r, employeeId, employeeNames[employeeId]));
+            const held = earned.filter(r => r.fields['Pay Hold'] === true);
+            const included = earned.filter(r => r.fields['Pay Hold'] !== true);
+            included.forEach(r => linked.add(r.id));
+
+            await repo.updatePayPeriod(period.id, {
+                'Orders': [...new Set([...(period.fields['Orders'] || []), ...included.map(r => r.id)])],
+                'Status': PERIOD_STATUS.READY,
+                'Locked At': lockedAt,
+                ...(closedBy && { 'Locked By': [closedBy] })
+            });
+            snapshots.set(period.id, {
+                heldOrders: held.map(r => r.fields['Order Number']),
+                carriedOverOrders: included.filter(r => r.fields['Digitization Completion Date'] < startDate).map(r => r.fields['Order Number'])
+            });
+        }
+
+        const { run: closed } = await loadRun(startDate);
+        const pay = await lockedRunPay(closed, employeeNames);
+        return {
+            ...runSummary(closed, employeeNames),
+            employees: pay.map(row => ({ ...row, heldOrders: [], carriedOverOrders: [], ...snapshots.get(row.periodId) }))
+        };
+    });
+
+    /**
+     * Mark a closed run's Ready for Payment periods as Paid
+     */
+    const markRunPaid = ({ startDate, datePaid = todayDate() }) => withLock('payroll', async () => {
+        const { run } = await loadRun(startDate);
+        if (!run.every(isLockedPeriod)) {
+            throw payrollError('Close the pay period before marking it paid', 409, 'PERIOD_NOT_CLOSED');
+        }
+        for (const period of run.filter(p => periodStatus(p) === PERIOD_STATUS.READY)) {
+            await repo.updatePayPeriod(period.id, { 'Status': PERIOD_STATUS.PAID, 'Date Paid': datePaid });
+        }
+        const { run: paid } = await loadRun(startDate);
+        return runSummary(paid, await repo.getEmployeeNames());
+    });
+
+    /**
+     * Payroll CSV for a run's closed periods, one row per employee.
+     * Returns { filename, csv }.
+     */
+    const exportRun = async (startDate) => {
+        const [{ run }, employeeNames] = await Promise.all([loadRun(startDate), repo.getEmployeeNames()]);
+        if (!run.some(isLockedPeriod)) {
+            throw payrollError('Close the pay period before exporting it', 409, 'PERIOD_NOT_CLOSED');
+        }
+        const pay = await lockedRunPay(run, employeeNames);
+        const rows = pay
+            .sort((a, b) => a.employeeName.localeCompare(b.employeeName))
+            .map(row => [
+                row.employeeName,
+                row.employeeId,
+                row.name,
+                row.startDate,
+                row.endDate,
+                row.status,
+                row.orderNumbers.length,
+                row.orderNumbers.join(' '),
+                row.items,
+                row.basePay.toFixed(2),
+                row.perItemPay.toFixed(2),
+                row.tierBonus.toFixed(2),
+                row.totalPay.toFixed(2)
+            ]);
+        return { filename: `payroll-${startDate}.csv`, csv: toCsv([CSV_COLUMNS, ...rows]) };
+    };
+
+    return {
+        listRuns,
+        createRun,
+        closeRun,
+        markRunPaid,
+        exportRun
+    };
+};
+
+module.exports = {
+    PERIOD_STATUS,
+    PAY_ORDER_FIELDS,
+    isLockedPeriod,
+    isCompletedBy,
+    hasPayFormulas,
+    getOrderPay,
+    nextPeriodDates,
+    periodName,
+    createPayroll
+};
@@ -0,0 +1,35 @@
+/**
+ * Photo storage
+ *
+ * PHOTO_STORAGE picks where exception photos (lib/exceptions) are kept:
+ * - 'local' (default): files under PHOTO_DIR (default data/photos)
+ * - 'memory': kept in memory and lost on restart, for tests
+ *
+ * Every backend implements, with keys like 'recOrder/recException/ph_1234.jpg':
+ *   save(key, data)  - data is a Buffer; replaces anything saved under the key
+ *   read(key)        -> Buffer, or null if nothing is saved under the key
+ */
+
+const path = require('path');
+
+const { createLocalPhotoStorage } = require('./local');
+const { createMemoryPhotoStorage } = require('./memory');
+
+const DEFAULT_PHOTO_DIR = path.join(__dirname, '..', '..', 'data', 'photos');
+
+const createPhotoStorage = (backend = process.env.PHOTO_STORAGE || 'local') => {
+    switch (backend) {
+        case 'local':
+            return createLocalPhotoStorage({ dir: process.env.PHOTO_DIR || DEFAULT_PHOTO_DIR });
+        case 'memory':
+            return createMemoryPhotoStorage();
+        default:
+            throw new Error(`Unknown PHOTO_STORAGE "${backend}" (expected "local" or "memory")`);
+    }
+};
+
+module.exports = {
+    createPhotoStorage,
+    createLocalPhotoStorage,
+    createMemoryPhotoStorage
+};
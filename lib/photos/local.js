@@ -0,0 +1,49 @@
+/**
+ * Local disk photo storage
+ *
+ * Each photo is a file under `dir`, at its key. On a host without a persistent
+ * disk, point PHOTO_DIR at a mounted volume or photos go with the next deploy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param {Object} options
+ * @param {string} options.dir
+ */
+const createLocalPhotoStorage = ({ dir }) => {
+    const root = path.resolve(dir);
+
+    // Keys are made by the app, but never let one reach outside the photo directory
+    const fileFor = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(`${root}${path.sep}`)) throw new Error(`Invalid photo key "${key}"`);
+        return file;
+    };
+
+    const save = async (key, data) => {
+        const file = fileFor(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, data);
+    };
+
+    const read = async (key) => {
+        try {
+            return await fs.promises.readFile(fileFor(key));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    };
+
+    return {
+        name: 'local',
+        save,
+        read
+    };
+};
+
+module.exports = {
+    createLocalPhotoStorage
+};
@@ -0,0 +1,28 @@
+/**
+ * In-memory photo storage
+ *
+ * Keeps photos in memory instead of on disk, for tests.
+ */
+
+const createMemoryPhotoStorage = () => {
+    // key -> Buffer
+    const photos = new Map();
+
+    const save = async (key, data) => {
+        photos.set(key, Buffer.from(data));
+    };
+
+    const read = async (key) => (photos.has(key) ? Buffer.from(photos.get(key)) : null);
+
+    return {
+        name: 'memory',
+        save,
+        read,
+        // Keys saved so far
+        listKeys: () => [...photos.keys()]
+    };
+};
+
+module.exports = {
+    createMemoryPhotoStorage
+};
@@ -0,0 +1,249 @@
+/**
+ * Pricing and pay rules
+ *
+ * What customers pay for extra items and what digitizers are paid per order,
+ * from config/pricing.json (override with PRICING_CONFIG_PATH). The app gets
+ * the rules from GET /api/config/pricing, and orders come with their rates resolved.
+ *
+ * Each rule set starts on its effectiveFrom date and runs until the next one starts:
+ * - extraItemPrice: per extra item, by package type ('default' for the rest)
+ * - basePay: per completed order, by package type
+ * - perItemPay: tiers of { upTo, rate }, applied in order to the items digitized;
+ *   the last tier has no upTo and covers the rest
+ * - perItemPayByMedia (optional): tiers like perItemPay for a media type (lib/manifest),
+ *   applied to the items of that type digitized. The rest share the perItemPay tiers
+ * - tierBonus: added to the pay for Rush / Expedited orders
+ * - shortItems (optional): what's done when a customer sends fewer items than their
+ *   package includes (lib/shortItems). `policy` is 'credit' (creditPerItem, by package
+ *   type with a 'default', goes on their Stripe balance), 'downgrade' (offer the smallest
+ *   of the packageItems packages, { packageType: items }, that holds what they sent)
+ *   or 'none'. Without it, shortfalls are only recorded
+ *
+ * Orders are priced with the rule set in effect when it mattered: the extra item
+ * price when the order was placed, pay when digitization was completed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { PROCESSING_TIERS } = require('./products');
+const { MEDIA_TYPES } = require('./manifest');
+
+const DEFAULT_PRICING_PATH = path.join(__dirname, '..', 'config', 'pricing.json');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const SHORT_ITEMS_POLICIES = ['credit', 'downgrade', 'none'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const isMoney = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// YYYY-MM-DD for a date string, Date or timestamp; today if empty
+const toDay = (date) => (date ? new Date(date) : new Date()).toISOString().split('T')[0];
+
+// `name` is which tiers they are, e.g. 'perItemPay'
+const validateTiers = (tiers, label, name) => {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        throw new Error(`${label} needs at least one ${name} tier`);
+    }
+    tiers.forEach((tier, tierIdx) => {
+        const isLast = tierIdx === tiers.length - 1;
+        if (!isMoney(tier.rate)) throw new Error(`${label} ${name} tier ${tierIdx} needs a rate`);
+        if (isLast && tier.upTo != null) throw new Error(`${label}: the last ${name} tier can't have upTo`);
+        if (!isLast && !(tier.upTo > (tierIdx > 0 ? tiers[tierIdx - 1].upTo : 0))) {
+            throw new Error(`${label} ${name} tier ${tierIdx} needs an upTo above the tier before it`);
+        }
+    });
+};
+
+const validateShortItems = (shortItems, label) => {
+    const { policy, creditPerItem = {}, packageItems = {} } = shortItems;
+    if (!SHORT_ITEMS_POLICIES.includes(policy)) {
+        throw new Error(`${label} has unknown shortItems policy "${policy}" (expected ${SHORT_ITEMS_POLICIES.map(p => `"${p}"`).join(', ')})`);
+    }
+    Object.entries(creditPerItem).forEach(([name, amount]) => {
+        if (!isMoney(amount)) throw new Error(`${label} has an invalid short item credit for "${name}"`);
+    });
+    Object.entries(packageItems).forEach(([name, items]) => {
+        if (!Number.isInteger(items) || items < 1) throw new Error(`${label} has an invalid item count for package "${name}"`);
+    });
+    if (policy === 'credit' && creditPerItem.default == null) {
+        throw new Error(`${label} needs a shortItems.creditPerItem.default amount for the credit policy`);
+    }
+    if (policy === 'downgrade' && Object.keys(packageItems).length === 0) {
+        throw new Error(`${label} needs shortItems.packageItems for the downgrade policy`);
+    }
+};
+
+const validateRuleSet = (ruleSet, idx) => {
+    const label = `Pricing rule set ${idx}${ruleSet.effectiveFrom ? ` (${ruleSet.effectiveFrom})` : ''}`;
+    if (!DATE_PATTERN.test(ruleSet.effectiveFrom || '')) {
+        throw new Error(`${label} needs an effectiveFrom date (YYYY-MM-DD)`);
+    }
+    if (!ruleSet.extraItemPrice || !isMoney(ruleSet.extraItemPrice.default)) {
+        throw new Error(`${label} needs an extraItemPrice.default amount`);
+    }
+    Object.entries({ ...ruleSet.extraItemPrice, ...ruleSet.basePay, ...ruleSet.tierBonus }).forEach(([name, amount]) => {
+        if (!isMoney(amount)) throw new Error(`${label} has an invalid amount for "${name}"`);
+    });
+    Object.keys(ruleSet.tierBonus || {}).forEach(tier => {
+        if (!PROCESSING_TIERS.includes(tier)) throw new Error(`${label} has a bonus for unknown processing tier "${tier}"`);
+    });
+
+    validateTiers(ruleSet.perItemPay, label, 'perItemPay');
+    Object.entries(ruleSet.perItemPayByMedia || {}).forEach(([mediaType, tiers]) => {
+        if (!MEDIA_TYPES.includes(mediaType)) throw new Error(`${label} has per item pay for unknown media type "${mediaType}"`);
+        validateTiers(tiers, label, `perItemPayByMedia "${mediaType}"`);
+    });
+    if (ruleSet.shortItems) validateShortItems(ruleSet.shortItems, label);
+};
+
+/**
+ * Load and validate a pricing file. Throws on a malformed file so a bad
+ * edit fails at startup instead of mispricing orders.
+ */
+const loadPricing = (pricingPath = process.env.PRICING_CONFIG_PATH || DEFAULT_PRICING_PATH) => {
+    const raw = JSON.parse(fs.readFileSync(pricingPath, 'utf8'));
+    const ruleSets = Array.isArray(raw.ruleSets) ? raw.ruleSets : [];
+    if (ruleSets.length === 0) {
+        throw new Error('Pricing config has no rule sets');
+    }
+    ruleSets.forEach(validateRuleSet);
+
+    const sorted = [...ruleSets].sort((a, b) => (a.effectiveFrom < b.effectiveFrom ? -1 : 1));
+    sorted.forEach((ruleSet, idx) => {
+        if (idx > 0 && ruleSet.effectiveFrom === sorted[idx - 1].effectiveFrom) {
+            throw new Error(`Two pricing rule sets start on ${ruleSet.effectiveFrom}`);
+        }
+    });
+    return { ruleSets: sorted };
+};
+
+let pricing = loadPricing();
+
+/**
+ * Every rule set, oldest first
+ */
+const getRuleSets = () => pricing.ruleSets;
+
+/**
+ * The rule set in effect on a date (today if omitted).
+ * Dates before the first rule set use the first one.
+ */
+const getRuleSet = (date) => {
+    const day = toDay(date);
+    const { ruleSets } = pricing;
+    return [...ruleSets].reverse().find(ruleSet => ruleSet.effectiveFrom <= day) || ruleSets[0];
+};
+
+/**
+ * Price per extra item for an order placed on `orderDate`
+ */
+const getExtraItemPrice = (packageType, orderDate) => {
+    const { extraItemPrice } = getRuleSet(orderDate);
+    return extraItemPrice[packageType] != null ? extraItemPrice[packageType] : extraItemPrice.default;
+};
+
+/**
+ * The short items policy for an order placed on `orderDate`:
+ * { policy, creditPerItem, packageItems }, with creditPerItem resolved for the package
+ * type (null if the rule set has none)
+ */
+const getShortItemsPolicy = (packageType, orderDate) => {
+    const { shortItems } = getRuleSet(orderDate);
+    if (!shortItems) return { policy: 'none', creditPerItem: null, packageItems: {} };
+    const credits = shortItems.creditPerItem || {};
+    const creditPerItem = credits[packageType] != null ? credits[packageType] : credits.default;
+    return {
+        policy: shortItems.policy,
+        creditPerItem: creditPerItem != null ? creditPerItem : null,
+        packageItems: shortItems.packageItems || {}
+    };
+};
+
+/**
+ * Pay for `items` items under a list of perItemPay tiers
+ */
+const calculatePerItemPay = (tiers, items) => {
+    let pay = 0;
+    let counted = 0;
+    for (const tier of tiers) {
+        const inTier = tier.upTo == null ? items - counted : Math.min(items, tier.upTo) - counted;
+        if (inTier <= 0) break;
+        pay += inTier * tier.rate;
+        counted += inTier;
+    }
+    return roundMoney(pay);
+};
+
+/**
+ * Per-item pay for `items` items, `itemsByMedia` of them broken down by media type.
+ * Media types with their own perItemPayByMedia tiers are paid on those; everything
+ * else shares the perItemPay tiers.
+ */
+const calculateItemPay = (rates, items, itemsByMedia = {}) => {
+    let pay = 0;
+    let pooled = items;
+    Object.entries(itemsByMedia).forEach(([mediaType, count]) => {
+        const tiers = (rates.perItemPayByMedia || {})[mediaType];
+        if (!tiers || !(count > 0)) return;
+        pay += calculatePerItemPay(tiers, count);
+        pooled -= count;
+    });
+    return roundMoney(pay + calculatePerItemPay(rates.perItemPay, Math.max(0, pooled)));
+};
+
+/**
+ * The pay rates for one order, e.g. to preview pay before the items are counted.
+ * Returns { effectiveFrom, basePay, perItemPay: [tiers], tierBonus }, and
+ * perItemPayByMedia ({ mediaType: [tiers] }) if the rule set has media rates.
+ */
+const getPayRates = ({ packageType, processingTier, date }) => {
+    const ruleSet = getRuleSet(date);
+    return {
+        effectiveFrom: ruleSet.effectiveFrom,
+        basePay: (ruleSet.basePay || {})[packageType] || 0,
+        perItemPay: ruleSet.perItemPay,
+        tierBonus: (ruleSet.tierBonus || {})[processingTier] || 0,
+        ...(ruleSet.perItemPayByMedia && { perItemPayByMedia: ruleSet.perItemPayByMedia })
+    };
+};
+
+/**
+ * Digitizer pay for an order completed on `date`, with the items digitized by media
+ * type if they were counted that way (lib/manifest).
+ * Returns { basePay, perItemPay, tierBonus, totalPay, effectiveFrom }.
+ */
+const calculatePay = ({ packageType, itemsDigitized, itemsByMedia, processingTier, date }) => {
+    const rates = getPayRates({ packageType, processingTier, date });
+    const perItemPay = calculateItemPay(rates, itemsDigitized || 0, itemsByMedia);
+    return {
+        basePay: rates.basePay,
+        perItemPay,
+        tierBonus: rates.tierBonus,
+        totalPay: roundMoney(rates.basePay + perItemPay + rates.tierBonus),
+        effectiveFrom: rates.effectiveFrom
+    };
+};
+
+/**
+ * Swap the active pricing (tests, or reloading after an edit)
+ */
+const setPricing = (newPricing) => {
+    pricing = newPricing;
+};
+
+module.exports = {
+    SHORT_ITEMS_POLICIES,
+    loadPricing,
+    setPricing,
+    getRuleSets,
+    getRuleSet,
+    getExtraItemPrice,
+    getShortItemsPolicy,
+    getPayRates,
+    calculatePerItemPay,
+    calculateItemPay,
+    calculatePay
+};
@@ -0,0 +1,136 @@
+/**
+ * Product classification
+ *
+ * Maps Order Items product names to the attributes the app cares about:
+ * - deliverable: what the customer gets ('Digital Download', 'USB Drive', 'Service', ...)
+ * - processingTier: 'Rush' / 'Expedited' for processing upgrades
+ * - itemAllowance: items included per unit, for add-on item packs
+ *
+ * The catalog lives in config/products.json (override with PRODUCT_CATALOG_PATH).
+ * Products that aren't in the catalog are reported as unmapped rather than ignored,
+ * so a renamed product shows up instead of silently dropping a USB drive or rush flag.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '..', 'config', 'products.json');
+
+const DELIVERABLE_USB_DRIVE = 'USB Drive';
+
+// Fastest tier wins when an order has more than one upgrade
+const PROCESSING_TIERS = ['Rush', 'Expedited', 'Standard'];
+
+// Labels the API has always returned as 'Expedited Type'
+const EXPEDITED_TYPE_BY_TIER = {
+    'Rush': 'Rush Processing',
+    'Expedited': 'Expedited Processing',
+    'Standard': null
+};
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Load and validate a catalog file. Throws on a malformed catalog so a bad
+ * edit fails at startup instead of misclassifying orders.
+ */
+const loadCatalog = (catalogPath = process.env.PRODUCT_CATALOG_PATH || DEFAULT_CATALOG_PATH) => {
+    const raw = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+    const products = Array.isArray(raw.products) ? raw.products : [];
+    const byName = new Map();
+
+    products.forEach((product, idx) => {
+        if (!product.name) {
+            throw new Error(`Product catalog entry ${idx} has no name`);
+        }
+        if (product.processingTier && !PROCESSING_TIERS.includes(product.processingTier)) {
+            throw new Error(`Product "${product.name}" has unknown processingTier "${product.processingTier}"`);
+        }
+        [product.name, ...(product.aliases || [])].forEach(name => {
+            const key = normalizeName(name);
+            if (byName.has(key)) {
+                throw new Error(`Product name "${name}" appears more than once in the catalog`);
+            }
+            byName.set(key, product);
+        });
+    });
+
+    return { products, byName };
+};
+
+let catalog = loadCatalog();
+
+/**
+ * Look up a product by name or alias. Returns null if it isn't in the catalog.
+ */
+const getProduct = (productName) => catalog.byName.get(normalizeName(productName)) || null;
+
+// Order Items 'Product Name' is a lookup field, so it can come back as an array
+const getProductName = (item) => {
+    const productName = item.fields['Product Name'];
+    return Array.isArray(productName) ? productName[0] : productName;
+};
+
+/**
+ * Classify an order's Order Items records.
+ * Returns USB drive count, processing tier, item allowance, quantities per
+ * deliverable and the names of any products the catalog doesn't know.
+ */
+const classifyOrderItems = (orderItemRecords) => {
+    let usbDriveCount = 0;
+    let processingTier = 'Standard';
+    let itemAllowance = null;
+    const deliverables = {};
+    const unmappedProducts = [];
+
+    orderItemRecords.forEach(item => {
+        const productName = getProductName(item);
+        if (!productName) return;
+
+        const quantity = item.fields['Quantity'] || 0;
+        const product = getProduct(productName);
+        if (!product) {
+            if (!unmappedProducts.includes(productName)) unmappedProducts.push(productName);
+            return;
+        }
+
+        if (product.deliverable) {
+            deliverables[product.deliverable] = (deliverables[product.deliverable] || 0) + quantity;
+            if (product.deliverable === DELIVERABLE_USB_DRIVE) usbDriveCount += quantity;
+        }
+        if (product.processingTier && PROCESSING_TIERS.indexOf(product.processingTier) < PROCESSING_TIERS.indexOf(processingTier)) {
+            processingTier = product.processingTier;
+        }
+        if (product.itemAllowance != null) {
+            itemAllowance = (itemAllowance || 0) + product.itemAllowance * (quantity || 1);
+        }
+    });
+
+    if (unmappedProducts.length > 0) {
+        console.warn(`Unmapped products (add them to the product catalog): ${unmappedProducts.join(', ')}`);
+    }
+
+    return {
+        usbDriveCount,
+        processingTier,
+        expeditedType: EXPEDITED_TYPE_BY_TIER[processingTier],
+        itemAllowance,
+        deliverables,
+        unmappedProducts
+    };
+};
+
+/**
+ * Swap the active catalog (tests, or reloading after an edit)
+ */
+const setCatalog = (newCatalog) => {
+    catalog = newCatalog;
+};
+
+module.exports = {
+    PROCESSING_TIERS,
+    loadCatalog,
+    setCatalog,
+    getProduct,
+    classifyOrderItems
+};
@@ -0,0 +1,125 @@
+/**
+ * Box receipts
+ *
+ * An order can ship in up to three boxes, one per 'Label N Tracking'. Each box is
+ * checked in on its own when its label is scanned, into:
+ * - 'Label N Items': items counted in that box
+ * - 'Label N Received At' / 'Label N Received By': when, and by whom
+ *
+ * 'Items Received' is the total of the boxes in so far. Until every labelled box has
+ * arrived the order is 'Partially Received' and stays where it is in the workflow;
+ * the check-in (Digitizing, due date, extra-items billing) happens with the last box,
+ * or when a supervisor marks the receipt complete without the missing ones.
+ */
+
+const LABEL_NUMBERS = [1, 2, 3];
+
+const TRACKING_FIELDS = LABEL_NUMBERS.map(label => `Label ${label} Tracking`);
+
+// What orderBoxes reads, for queries that only fetch some fields
+const RECEIPT_BOX_FIELDS = LABEL_NUMBERS.flatMap(label => ['Tracking', 'Items', 'Received At', 'Received By']
+    .map(name => `Label ${label} ${name}`));
+
+const RECEIPT_STATUS = {
+    PARTIAL: 'Partially Received',
+    RECEIVED: 'Received'
+};
+
+const labelField = (label, name) => `Label ${label} ${name}`;
+
+/**
+ * The order's labelled boxes: [{ label, tracking, received, itemsReceived, receivedAt, receivedBy }]
+ */
+const orderBoxes = (order) => LABEL_NUMBERS
+    .filter(label => order.fields[labelField(label, 'Tracking')])
+    .map(label => {
+        const receivedAt = order.fields[labelField(label, 'Received At')] || null;
+        const receivedBy = order.fields[labelField(label, 'Received By')];
+        return {
+            label,
+            tracking: order.fields[labelField(label, 'Tracking')],
+            received: Boolean(receivedAt),
+            itemsReceived: order.fields[labelField(label, 'Items')] || 0,
+            receivedAt,
+            receivedBy: Array.isArray(receivedBy) ? receivedBy[0] || null : receivedBy || null
+        };
+    });
+
+/**
+ * Which label a scanned tracking number is, matched the way the lookup matches it
+ * (the full number, or its last 5 digits or fewer)
+ */
+const matchLabel = (order, trackingNumber) => {
+    const box = orderBoxes(order).find(b => (trackingNumber.length <= 5
+        ? b.tracking.endsWith(trackingNumber)
+        : b.tracking === trackingNumber));
+    return box ? box.label : null;
+};
+
+// Some boxes in, the rest still on the way, and no supervisor override
+const isPartiallyReceived = (order) => {
+    const boxes = orderBoxes(order);
+    return !order.fields['Check-In Date']
+        && boxes.some(b => b.received)
+        && !boxes.every(b => b.received);
+};
+
+/**
+ * Record one box. A box counted again keeps who first received it and when.
+ * Returns { fields, boxes, itemsReceived, allIn } with the box counted in.
+ */
+const receiveBox = (order, { label, itemsReceived, employeeId, now = new Date().toISOString() }) => {
+    const boxes = orderBoxes(order).map(box => (box.label === label
+        ? {
+            ...box,
+            received: true,
+            itemsReceived,
+            receivedAt: box.receivedAt || now,
+            receivedBy: box.receivedBy || employeeId
+        }
+        : box));
+    const box = boxes.find(b => b.label === label);
+    return {
+        fields: {
+            [labelField(label, 'Items')]: itemsReceived,
+            [labelField(label, 'Received At')]: box.receivedAt,
+            ...(box.receivedBy && { [labelField(label, 'Received By')]: [box.receivedBy] })
+        },
+        boxes,
+        itemsReceived: boxes.filter(b => b.received).reduce((sum, b) => sum + b.itemsReceived, 0),
+        allIn: boxes.every(b => b.received)
+    };
+};
+
+/**
+ * Receipt summary for the app. employeeNames maps employee ID -> name.
+ */
+const receiptSummary = (order, employeeNames = {}) => {
+    const boxes = orderBoxes(order);
+    const override = order.fields['Receipt Override At']
+        ? {
+            at: order.fields['Receipt Override At'],
+            by: employeeNames[(order.fields['Receipt Override By'] || [])[0]] || null,
+            reason: order.fields['Receipt Override Reason'] || ''
+        }
+        : null;
+    return {
+        status: order.fields['Receipt Status'] || (order.fields['Check-In Date'] ? RECEIPT_STATUS.RECEIVED : null),
+        boxes: boxes.map(box => ({ ...box, receivedByName: box.receivedBy ? employeeNames[box.receivedBy] || null : null })),
+        boxesReceived: boxes.filter(b => b.received).length,
+        itemsReceived: order.fields['Items Received'] || 0,
+        override
+    };
+};
+
+module.exports = {
+    LABEL_NUMBERS,
+    TRACKING_FIELDS,
+    RECEIPT_BOX_FIELDS,
+    RECEIPT_STATUS,
+    orderBoxes,
+    matchLabel,
+    isPartiallyReceived,
+    receiveBox,
+    receiptSummary
+};
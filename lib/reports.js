@@ -0,0 +1,261 @@
+/**
+ * Operations reports
+ *
+ * Date-ranged numbers over Orders for management, as JSON for the app's Reports
+ * view and as CSV for spreadsheets. Dates are UTC days (YYYY-MM-DD), both ends
+ * included. Each report buckets orders by the date its event happened:
+ * - throughput: boxes received ('Label N Received At', or 'Check-In Date' for an
+ *   order checked in as a whole) and orders completed ('Digitization Completion Date') per day
+ * - employees: orders and items digitized per employee, by completion date
+ * - turnaround: days from check-in to Quality Check by package type and processing
+ *   tier, for orders that reached QC in the range
+ * - revenue: extra items invoiced (by check-in date) and paid ('Extra Items Payment Date') per day
+ */
+
+const { orderBoxes, RECEIPT_BOX_FIELDS } = require('./receipts');
+const { classifyOrderItems } = require('./products');
+const { toCsv } = require('./csv');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range a report covers
+const MAX_REPORT_DAYS = 366;
+
+const REPORT_ORDER_FIELDS = [
+    'Order Number', 'Package Type', 'Order Items', 'Check-In Date', 'Items Digitized',
+    'Digitization Completion Date', 'Employee Link', 'Extra Items Charge', 'Extra Items Invoice ID',
+    'Extra Items Paid', 'Extra Items Payment Date', 'Extra Items Refunded Amount', ...RECEIPT_BOX_FIELDS
+];
+
+// CSV columns per report: [key in the report's rows, header]
+const REPORTS = {
+    throughput: {
+        title: 'Boxes received and completed per day',
+        columns: [['date', 'Date'], ['boxesReceived', 'Boxes Received'], ['ordersCheckedIn', 'Orders Checked In'], ['ordersCompleted', 'Orders Completed'], ['itemsDigitized', 'Items Digitized']]
+    },
+    employees: {
+        title: 'Items digitized per employee',
+        columns: [['employeeName', 'Employee'], ['employeeId', 'Employee ID'], ['orders', 'Orders'], ['itemsDigitized', 'Items Digitized']]
+    },
+    turnaround: {
+        title: 'Check-in to QC turnaround',
+        columns: [['packageType', 'Package Type'], ['processingTier', 'Processing Tier'], ['orders', 'Orders'], ['averageDays', 'Average Days'], ['minDays', 'Fastest (Days)'], ['maxDays', 'Slowest (Days)']]
+    },
+    revenue: {
+        title: 'Extra-item revenue invoiced vs. paid',
+        columns: [['date', 'Date'], ['invoicedOrders', 'Orders Invoiced'], ['invoiced', 'Invoiced'], ['paidOrders', 'Orders Paid'], ['paid', 'Paid']]
+    }
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const dayOf = (value) => (value ? String(value).slice(0, 10) : null);
+
+const parseDay = (day) => new Date(`${day}T00:00:00.000Z`);
+
+const formatDay = (date) => date.toISOString().split('T')[0];
+
+const daysBetween = (from, to) => Math.round((parseDay(to) - parseDay(from)) / DAY_MS);
+
+// Every day from startDate to endDate
+const eachDay = (startDate, endDate) => Array.from(
+    { length: daysBetween(startDate, endDate) + 1 },
+    (_, i) => formatDay(new Date(parseDay(startDate).getTime() + i * DAY_MS))
+);
+
+// Rule violations carry the HTTP status and a code for the route to send
+const reportError = (message, status, code) => Object.assign(new Error(message), { status, code });
+
+/**
+ * The range to report on: the given dates, or the 30 days up to today
+ */
+const reportRange = ({ startDate, endDate } = {}, today = formatDay(new Date())) => {
+    const end = endDate || today;
+    const start = startDate || formatDay(new Date(parseDay(end).getTime() - 29 * DAY_MS));
+    if (start > end) {
+        throw reportError('The start date is after the end date', 400, 'INVALID_RANGE');
+    }
+    if (daysBetween(start, end) + 1 > MAX_REPORT_DAYS) {
+        throw reportError(`Reports cover at most ${MAX_REPORT_DAYS} days`, 400, 'INVALID_RANGE');
+    }
+    return { startDate: start, endDate: end };
+};
+
+/**
+ * Every report for orders over a range
+ * @param {Object} data
+ * @param {Object[]} data.orders - orders with REPORT_ORDER_FIELDS
+ * @param {Map} data.orderItems - order ID -> Order Items records (for the processing tier)
+ * @param {Object} data.employeeNames - employee ID -> name
+ * @param {string} data.startDate
+ * @param {string} data.endDate
+ */
+const buildReports = ({ orders, orderItems, employeeNames, startDate, endDate }) => {
+    const inRange = (day) => Boolean(day) && day >= startDate && day <= endDate;
+    const days = new Map(eachDay(startDate, endDate).map(date => [date, {
+        date, boxesReceived: 0, ordersCheckedIn: 0, ordersCompleted: 0, itemsDigitized: 0,
+        invoicedOrders: 0, invoiced: 0, paidOrders: 0, paid: 0
+    }]));
+    const employees = new Map();
+    const turnaround = new Map();
+    let refunded = 0;
+    let outstanding = 0;
+
+    orders.forEach(order => {
+        const { fields } = order;
+        const checkInDay = dayOf(fields['Check-In Date']);
+        const completedDay = dayOf(fields['Digitization Completion Date']);
+        const paidDay = dayOf(fields['Extra Items Payment Date']);
+        const items = fields['Items Digitized'] || 0;
+        const charge = fields['Extra Items Charge'] || 0;
+
+        // Boxes checked in one by one, or the order as a whole before boxes were tracked
+        const receivedBoxes = orderBoxes(order).filter(b => b.received);
+        if (receivedBoxes.length > 0) {
+            receivedBoxes.forEach(b => {
+                if (inRange(dayOf(b.receivedAt))) days.get(dayOf(b.receivedAt)).boxesReceived++;
+            });
+        } else if (inRange(checkInDay)) {
+            days.get(checkInDay).boxesReceived++;
+        }
+        if (inRange(checkInDay)) days.get(checkInDay).ordersCheckedIn++;
+
+        if (inRange(completedDay)) {
+            const day = days.get(completedDay);
+            day.ordersCompleted++;
+            day.itemsDigitized += items;
+
+            const employeeId = (fields['Employee Link'] || [])[0] || null;
+            const totals = employees.get(employeeId) || {
+                employeeId,
+                employeeName: (employeeId && employeeNames[employeeId]) || 'Unassigned',
+                orders: 0,
+                itemsDigitized: 0
+            };
+            totals.orders++;
+            totals.itemsDigitized += items;
+            employees.set(employeeId, totals);
+
+            if (checkInDay) {
+                const { processingTier } = classifyOrderItems(orderItems.get(order.id) || []);
+                const packageType = fields['Package Type'] || 'Unknown';
+                const key = `${packageType}|${processingTier}`;
+                const group = turnaround.get(key) || { packageType, processingTier, days: [] };
+                group.days.push(Math.max(0, daysBetween(checkInDay, completedDay)));
+                turnaround.set(key, group);
+            }
+        }
+
+        if (charge > 0 && fields['Extra Items Invoice ID']) {
+            if (inRange(checkInDay)) {
+                const day = days.get(checkInDay);
+                day.invoicedOrders++;
+                day.invoiced += charge;
+                if (!fields['Extra Items Paid']) outstanding += charge;
+            }
+            if (fields['Extra Items Paid'] && inRange(paidDay)) {
+                const day = days.get(paidDay);
+                day.paidOrders++;
+                day.paid += charge;
+                refunded += fields['Extra Items Refunded Amount'] || 0;
+            }
+        }
+    });
+
+    const dayRows = [...days.values()];
+    const invoiced = roundMoney(dayRows.reduce((sum, d) => sum + d.invoiced, 0));
+    const paid = roundMoney(dayRows.reduce((sum, d) => sum + d.paid, 0));
+
+    return {
+        startDate,
+        endDate,
+        throughput: {
+            days: dayRows.map(({ date, boxesReceived, ordersCheckedIn, ordersCompleted, itemsDigitized }) => (
+                { date, boxesReceived, ordersCheckedIn, ordersCompleted, itemsDigitized }
+            )),
+            totals: {
+                boxesReceived: dayRows.reduce((sum, d) => sum + d.boxesReceived, 0),
+                ordersCheckedIn: dayRows.reduce((sum, d) => sum + d.ordersCheckedIn, 0),
+                ordersCompleted: dayRows.reduce((sum, d) => sum + d.ordersCompleted, 0),
+                itemsDigitized: dayRows.reduce((sum, d) => sum + d.itemsDigitized, 0)
+            }
+        },
+        employees: {
+            rows: [...employees.values()].sort((a, b) => b.itemsDigitized - a.itemsDigitized || a.employeeName.localeCompare(b.employeeName))
+        },
+        turnaround: {
+            rows: [...turnaround.values()]
+                .map(({ packageType, processingTier, days: groupDays }) => ({
+                    packageType,
+                    processingTier,
+                    orders: groupDays.length,
+                    averageDays: Math.round(groupDays.reduce((sum, d) => sum + d, 0) / groupDays.length * 10) / 10,
+                    minDays: Math.min(...groupDays),
+                    maxDays: Math.max(...groupDays)
+                }))
+                .sort((a, b) => a.packageType.localeCompare(b.packageType) || a.processingTier.localeCompare(b.processingTier))
+        },
+        revenue: {
+            days: dayRows.map(({ date, invoicedOrders, invoiced: dayInvoiced, paidOrders, paid: dayPaid }) => (
+                { date, invoicedOrders, invoiced: roundMoney(dayInvoiced), paidOrders, paid: roundMoney(dayPaid) }
+            )),
+            totals: { invoiced, paid, refunded: roundMoney(refunded), outstanding: roundMoney(outstanding) }
+        }
+    };
+};
+
+/**
+ * A report as CSV: its rows (or days) under the report's columns
+ */
+const reportCsv = (name, reports) => {
+    const { columns } = REPORTS[name];
+    const rows = reports[name].rows || reports[name].days;
+    return toCsv([
+        columns.map(([, header]) => header),
+        ...rows.map(row => columns.map(([key]) => row[key]))
+    ]);
+};
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.repo - lib/repository
+ */
+const createReports = ({ repo }) => {
+    /**
+     * Every report for a range ({ startDate, endDate }, default the last 30 days)
+     */
+    const run = async (range) => {
+        const { startDate, endDate } = reportRange(range);
+        const [orders, employeeNames] = await Promise.all([
+            repo.listOrdersActiveBetween(startDate, endDate, { fields: REPORT_ORDER_FIELDS }),
+            repo.getEmployeeNames()
+        ]);
+        const orderItems = await repo.getOrderItemsForOrders(orders);
+        return buildReports({ orders, orderItems, employeeNames, startDate, endDate });
+    };
+
+    /**
+     * One report as a CSV file: { filename, csv }
+     */
+    const exportCsv = async (name, range) => {
+        const reports = await run(range);
+        return {
+            filename: `${name}-${reports.startDate}-to-${reports.endDate}.csv`,
+            csv: reportCsv(name, reports)
+        };
+    };
+
+    return {
+        run,
+        exportCsv
+    };
+};
+
+module.exports = {
+    REPORTS,
+    MAX_REPORT_DAYS,
+    reportRange,
+    buildReports,
+    reportCsv,
+    createReports
+};
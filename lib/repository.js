@@ -0,0 +1,422 @@
+/**
+ * Data access
+ *
+ * The queries the routes need, written against a storage backend (lib/storage)
+ * so they run the same on Airtable and on the local JSON store.
+ * Records come back as plain { id, fields } objects.
+ */
+
+const { LABEL_NUMBERS, TRACKING_FIELDS } = require('./receipts');
+const { diffFields, eventFields } = require('./orderEvents');
+const { searchCondition } = require('./orderSearch');
+const { EXCEPTION_STATUS } = require('./exceptions');
+
+const ORDERS_TABLE = 'Orders';
+const EMPLOYEES_TABLE = 'Employees';
+const PAY_PERIODS_TABLE = 'Pay Periods';
+const ORDER_ITEMS_TABLE = 'Order Items';
+const WEBHOOK_EVENTS_TABLE = 'Webhook Events';
+const ORDER_EVENTS_TABLE = 'Order Events';
+const WORK_SESSIONS_TABLE = 'Work Sessions';
+const MANIFEST_ITEMS_TABLE = 'Manifest Items';
+const ORDER_EXCEPTIONS_TABLE = 'Order Exceptions';
+
+// Orders per Manifest Items query
+const MANIFEST_LOOKUP_SIZE = 50;
+
+/**
+ * Invoice IDs an order was billed on before its current extra-items invoice,
+ * oldest first ('Extra Items Previous Invoice IDs' is a comma-separated text field)
+ */
+const previousInvoiceIds = (order) => String(order.fields['Extra Items Previous Invoice IDs'] || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+const statusIn = (statuses) => ({ or: statuses.map(status => ({ field: 'Ops Status', eq: status })) });
+
+/**
+ * Create a repository over a store
+ * @param {Object} store - a storage backend from lib/storage
+ */
+const createRepository = (store) => {
+    const { select, find } = store;
+
+    /**
+     * Fetch records by ID. Missing IDs are skipped; results keep the order of the requested IDs.
+     */
+    const findByIds = async (table, recordIds, fields) => {
+        const ids = [...new Set((recordIds || []).filter(Boolean))];
+        if (ids.length === 0) return [];
+
+        const byId = new Map();
+        (await store.findByIds(table, ids, fields)).forEach(record => byId.set(record.id, record));
+        return ids.map(id => byId.get(id)).filter(Boolean);
+    };
+
+    // ------------------------------------------
+    // Employees
+    // ------------------------------------------
+
+    const listEmployees = () => select(EMPLOYEES_TABLE, {
+        fields: ['Employee Name', 'Active', 'Role'],
+        sort: [{ field: 'Employee Name', direction: 'asc' }]
+    });
+
+    const getEmployee = (employeeId) => find(EMPLOYEES_TABLE, employeeId);
+
+    // Employee record ID -> name, for showing linked record fields
+    const getEmployeeNames = async () => {
+        const names = {};
+        (await listEmployees()).forEach(r => { names[r.id] = r.fields['Employee Name']; });
+        return names;
+    };
+
+    // ------------------------------------------
+    // Orders
+    // ------------------------------------------
+
+    const getOrder = (recordId) => find(ORDERS_TABLE, recordId);
+
+    const getOrdersByIds = (recordIds, fields) => findByIds(ORDERS_TABLE, recordIds, fields);
+
+    /**
+     * Update an order and add what changed to its history (lib/orderEvents).
+     * `audit` describes the change: { action, actor, source, device }, plus the
+     * order as it was in `before` when the caller already has it (saves a read).
+     * A history write that fails is logged; the update has already been made.
+     */
+    const updateOrder = async (recordId, fields, audit = {}) => {
+        const { before: knownBefore, ...event } = audit;
+        const before = knownBefore || await find(ORDERS_TABLE, recordId);
+        const updated = await store.update(ORDERS_TABLE, recordId, fields);
+
+        const changes = diffFields(before, fields);
+        if (Object.keys(changes).length > 0) {
+            try {
+                await store.create(ORDER_EVENTS_TABLE, eventFields({ order: updated, changes, ...event }));
+            } catch (err) {
+                console.error(`Could not record history for order ${recordId}:`, err.message);
+            }
+        }
+        return updated;
+    };
+
+    /**
+     * Orders in any of the given Ops Status stages
+     */
+    const listOrdersByStatus = (statuses, { fields, sort } = {}) => select(ORDERS_TABLE, {
+        where: statusIn(statuses),
+        fields,
+        sort
+    });
+
+    /**
+     * Orders in the given stages with nobody in Assigned Employee
+     */
+    const listUnassignedOrders = (status, { fields, sort } = {}) => select(ORDERS_TABLE, {
+        where: { and: [{ field: 'Ops Status', eq: status }, { field: 'Assigned Employee', eq: '' }] },
+        fields,
+        sort
+    });
+
+    /**
+     * Orders in the active stages, plus orders completed within the last `completeWithinDays` days
+     */
+    const listFloorOrders = (activeStages, completeWithinDays, { fields, sort } = {}) => select(ORDERS_TABLE, {
+        where: {
+            or: [
+                ...statusIn(activeStages).or,
+                { and: [{ field: 'Ops Status', eq: 'Complete' }, { modifiedWithinDays: completeWithinDays }] }
+            ]
+        },
+        fields,
+        sort
+    });
+
+    /**
+     * Look up orders by tracking number on any label - full number, or the last 5 digits or fewer
+     */
+    const findOrdersByTracking = (trackingNumber, { maxRecords } = {}) => {
+        const match = trackingNumber.length <= 5 ? 'endsWith' : 'eq';
+        return select(ORDERS_TABLE, {
+            where: { or: TRACKING_FIELDS.map(field => ({ field, [match]: trackingNumber })) },
+            maxRecords
+        });
+    };
+
+    /**
+     * Orders that could match a search (lib/orderSearch ranks them): order number,
+     * customer name or email, or any label's tracking number
+     */
+    const searchOrders = (query, { maxRecords = 50 } = {}) => select(ORDERS_TABLE, {
+        where: searchCondition(query),
+        maxRecords
+    });
+
+    /**
+     * The order an extra-items invoice was sent for, whether it's the order's
+     * current invoice or one it was billed on before a re-check-in
+     */
+    const findOrderByInvoiceId = async (invoiceId) => {
+        const records = await select(ORDERS_TABLE, {
+            where: {
+                or: [
+                    { field: 'Extra Items Invoice ID', eq: invoiceId },
+                    { field: 'Extra Items Previous Invoice IDs', contains: invoiceId }
+                ]
+            },
+            maxRecords: 5
+        });
+        // 'contains' is a substring match, so confirm the exact ID
+        return records.find(r => r.fields['Extra Items Invoice ID'] === invoiceId || previousInvoiceIds(r).includes(invoiceId)) || null;
+    };
+
+    // The order a customer's status link is for (lib/customerUpdates)
+    const findOrderByStatusToken = async (token) => {
+        const records = await select(ORDERS_TABLE, {
+            where: { field: 'Status Token', eq: token },
+            maxRecords: 1
+        });
+        return records[0] || null;
+    };
+
+    /**
+     * Orders with Digitization Complete, optionally limited to a completion date range (YYYY-MM-DD, inclusive).
+     * Newest completion first.
+     */
+    const listCompletedOrders = ({ startDate, endDate, fields } = {}) => {
+        const conditions = [{ field: 'Digitization Complete', eq: true }];
+        if (startDate) conditions.push({ field: 'Digitization Completion Date', gte: startDate });
+        if (startDate && endDate) conditions.push({ field: 'Digitization Completion Date', lte: endDate });
+        return select(ORDERS_TABLE, {
+            where: conditions.length > 1 ? { and: conditions } : conditions[0],
+            fields,
+            sort: [{ field: 'Digitization Completion Date', direction: 'desc' }]
+        });
+    };
+
+    /**
+     * Orders with something to report between two days (YYYY-MM-DD, both included):
+     * a box received, a check-in, a completion or an extra-items payment (lib/reports)
+     */
+    const listOrdersActiveBetween = (startDate, endDate, { fields } = {}) => {
+        const endOfDay = `${endDate}T23:59:59.999Z`;
+        const between = (field) => ({ and: [{ field, gte: startDate }, { field, lte: endOfDay }] });
+        return select(ORDERS_TABLE, {
+            where: {
+                or: [
+                    between('Check-In Date'),
+                    ...LABEL_NUMBERS.map(label => between(`Label ${label} Received At`)),
+                    between('Digitization Completion Date'),
+                    between('Extra Items Payment Date')
+                ]
+            },
+            fields
+        });
+    };
+
+    // ------------------------------------------
+    // Pay Periods
+    // ------------------------------------------
+
+    // Newest first
+    const listPayPeriods = () => select(PAY_PERIODS_TABLE, {
+        sort: [{ field: 'Start Date', direction: 'desc' }]
+    });
+
+    // 'Employee' is a linked record field, so it is matched in code rather than in a formula
+    const listPayPeriodsForEmployee = async (employeeId) => (await listPayPeriods()).filter(p => {
+        const employees = p.fields['Employee'];
+        if (!employees) return false;
+        if (Array.isArray(employees)) return employees.includes(employeeId);
+        return employees === employeeId;
+    });
+
+    const createPayPeriod = (fields) => store.create(PAY_PERIODS_TABLE, fields);
+
+    const updatePayPeriod = (recordId, fields) => store.update(PAY_PERIODS_TABLE, recordId, fields);
+
+    // ------------------------------------------
+    // Order Events
+    // ------------------------------------------
+
+    // Oldest first
+    const listOrderEvents = (recordId) => select(ORDER_EVENTS_TABLE, {
+        where: { field: 'Order Record ID', eq: recordId },
+        sort: [{ field: 'At', direction: 'asc' }]
+    });
+
+    // ------------------------------------------
+    // Work Sessions
+    // ------------------------------------------
+
+    /**
+     * Timer sessions (lib/workSessions), oldest first: an employee's, an order's
+     * or both. `openOnly` for the ones still running.
+     */
+    const listWorkSessions = ({ employeeId, orderIds, openOnly = false } = {}) => {
+        const conditions = [];
+        if (employeeId) conditions.push({ field: 'Employee Record ID', eq: employeeId });
+        if (orderIds) conditions.push({ or: orderIds.map(id => ({ field: 'Order Record ID', eq: id })) });
+        if (openOnly) conditions.push({ field: 'Ended At', eq: '' });
+        return select(WORK_SESSIONS_TABLE, {
+            where: conditions.length > 1 ? { and: conditions } : conditions[0],
+            sort: [{ field: 'Started At', direction: 'asc' }]
+        });
+    };
+
+    const createWorkSession = (fields) => store.create(WORK_SESSIONS_TABLE, fields);
+
+    const updateWorkSession = (recordId, fields) => store.update(WORK_SESSIONS_TABLE, recordId, fields);
+
+    // ------------------------------------------
+    // Manifest Items
+    // ------------------------------------------
+
+    /**
+     * The manifest line items of some orders (lib/manifest), looked up
+     * MANIFEST_LOOKUP_SIZE orders at a time to keep each query short
+     */
+    const listManifestItems = async (orderIds) => {
+        const ids = [...new Set(orderIds)];
+        const chunks = [];
+        for (let i = 0; i < ids.length; i += MANIFEST_LOOKUP_SIZE) chunks.push(ids.slice(i, i + MANIFEST_LOOKUP_SIZE));
+        const found = await Promise.all(chunks.map(chunk => select(MANIFEST_ITEMS_TABLE, {
+            where: { or: chunk.map(id => ({ field: 'Order Record ID', eq: id })) }
+        })));
+        return found.flat();
+    };
+
+    /**
+     * Manifest line items for many orders in one lookup.
+     * Returns a Map of order ID -> that order's line items.
+     */
+    const getManifestsForOrders = async (orders) => {
+        const lines = await listManifestItems(orders.map(o => o.id));
+        return new Map(orders.map(o => [o.id, lines.filter(line => line.fields['Order Record ID'] === o.id)]));
+    };
+
+    const createManifestItem = (fields) => store.create(MANIFEST_ITEMS_TABLE, fields);
+
+    const updateManifestItems = (updates) => store.updateMany(MANIFEST_ITEMS_TABLE, updates);
+
+    // ------------------------------------------
+    // Order Exceptions
+    // ------------------------------------------
+
+    /**
+     * Exceptions reported on orders (lib/exceptions), oldest first: one order's,
+     * or with `openOnly` every one still waiting for a supervisor
+     */
+    const listOrderExceptions = ({ orderId, openOnly = false } = {}) => {
+        const conditions = [];
+        if (orderId) conditions.push({ field: 'Order Record ID', eq: orderId });
+        if (openOnly) conditions.push({ field: 'Status', eq: EXCEPTION_STATUS.OPEN });
+        return select(ORDER_EXCEPTIONS_TABLE, {
+            where: conditions.length > 1 ? { and: conditions } : conditions[0],
+            sort: [{ field: 'Reported At', direction: 'asc' }]
+        });
+    };
+
+    const getOrderException = (recordId) => find(ORDER_EXCEPTIONS_TABLE, recordId);
+
+    const createOrderException = (fields) => store.create(ORDER_EXCEPTIONS_TABLE, fields);
+
+    const updateOrderException = (recordId, fields) => store.update(ORDER_EXCEPTIONS_TABLE, recordId, fields);
+
+    // ------------------------------------------
+    // Webhook Events
+    // ------------------------------------------
+
+    const findWebhookEvent = async (eventId) => {
+        const records = await select(WEBHOOK_EVENTS_TABLE, {
+            where: { field: 'Event ID', eq: eventId },
+            maxRecords: 1
+        });
+        return records[0] || null;
+    };
+
+    const recordWebhookEvent = (fields) => store.create(WEBHOOK_EVENTS_TABLE, fields);
+
+    // ------------------------------------------
+    // Order Items
+    // ------------------------------------------
+
+    const getOrderItems = (orderItemIds) => findByIds(ORDER_ITEMS_TABLE, orderItemIds, ['Product Name', 'Quantity']);
+
+    /**
+     * Order Items for many orders in one batched lookup.
+     * Returns a Map of order ID -> that order's Order Items records.
+     */
+    const getOrderItemsForOrders = async (orders) => {
+        const items = await getOrderItems(orders.flatMap(o => o.fields['Order Items'] || []));
+        const itemsById = new Map(items.map(item => [item.id, item]));
+        return new Map(orders.map(o => [
+            o.id,
+            (o.fields['Order Items'] || []).map(id => itemsById.get(id)).filter(Boolean)
+        ]));
+    };
+
+    return {
+        store,
+        // employees
+        listEmployees,
+        getEmployee,
+        getEmployeeNames,
+        // orders
+        getOrder,
+        getOrdersByIds,
+        updateOrder,
+        listOrdersByStatus,
+        listUnassignedOrders,
+        listFloorOrders,
+        findOrdersByTracking,
+        searchOrders,
+        findOrderByInvoiceId,
+        findOrderByStatusToken,
+        listCompletedOrders,
+        listOrdersActiveBetween,
+        // pay periods
+        listPayPeriods,
+        listPayPeriodsForEmployee,
+        createPayPeriod,
+        updatePayPeriod,
+        // order events
+        listOrderEvents,
+        // work sessions
+        listWorkSessions,
+        createWorkSession,
+        updateWorkSession,
+        // manifest items
+        listManifestItems,
+        getManifestsForOrders,
+        createManifestItem,
+        updateManifestItems,
+        // order exceptions
+        listOrderExceptions,
+        getOrderException,
+        createOrderException,
+        updateOrderException,
+        // webhook events
+        findWebhookEvent,
+        recordWebhookEvent,
+        // order items
+        getOrderItems,
+        getOrderItemsForOrders
+    };
+};
+
+module.exports = {
+    ORDERS_TABLE,
+    EMPLOYEES_TABLE,
+    PAY_PERIODS_TABLE,
+    ORDER_ITEMS_TABLE,
+    WEBHOOK_EVENTS_TABLE,
+    ORDER_EVENTS_TABLE,
+    WORK_SESSIONS_TABLE,
+    MANIFEST_ITEMS_TABLE,
+    ORDER_EXCEPTIONS_TABLE,
+    previousInvoiceIds,
+    createRepository
+};
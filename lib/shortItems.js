@@ -0,0 +1,146 @@
+/**
+ * Short items
+ *
+ * A customer who sends fewer items than their package includes is short. Check-in
+ * records how many in 'Short Items', flags the order for follow-up and decides what
+ * to do by the short items policy in effect when the order was placed (lib/pricing):
+ * - 'credit': the missing items are credited to the customer's Stripe balance,
+ *   which comes off their next invoice
+ * - 'downgrade': the customer is offered the smallest package that holds what they sent
+ * - 'none': only recorded
+ *
+ * The decision is saved with the check-in ('Short Items Decision', 'Short Items Credit',
+ * 'Short Items Offer'), and a credit is applied once the order is saved. Only what
+ * hasn't been credited yet ('Short Items Credited') is applied, so a recount credits
+ * the difference. A recount that finds more items doesn't take a credit back; the
+ * order stays flagged for someone to sort out with the customer.
+ */
+
+const { getShortItemsPolicy } = require('./pricing');
+
+const SHORT_ITEMS_DECISIONS = {
+    CREDIT: 'Credit',
+    DOWNGRADE: 'Downgrade Offered',
+    NONE: 'None'
+};
+
+const toCents = (amount) => Math.round(amount * 100);
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+const creditIdsOf = (order) => String(order.fields['Short Items Credit IDs'] || '').split(',').map(id => id.trim()).filter(Boolean);
+
+/**
+ * The smallest package in `packageItems` ({ packageType: items }) that is smaller than
+ * the order's and still holds the items received, or null if there isn't one
+ */
+const downgradeFor = (packageItems, included, itemsReceived) => {
+    const [offer] = Object.entries(packageItems)
+        .filter(([, items]) => items < included && items >= itemsReceived)
+        .sort(([, a], [, b]) => a - b);
+    return offer ? { packageType: offer[0], items: offer[1] } : null;
+};
+
+/**
+ * What a check-in of `itemsReceived` items means for an order's shortfall:
+ * { shortItems, decision, credit, credited, offer }. `credit` is what the customer is
+ * owed in all under the decision, `credited` what's been applied already.
+ */
+const planShortItems = (order, itemsReceived) => {
+    const included = order.fields['Package Items Included'] || 0;
+    const shortItems = Math.max(0, included - itemsReceived);
+    const credited = order.fields['Short Items Credited'] || 0;
+    const plan = { shortItems, decision: null, credit: 0, credited, offer: null };
+    if (shortItems === 0) return plan;
+
+    const { policy, creditPerItem, packageItems } = getShortItemsPolicy(order.fields['Package Type'], order.fields['Created Time']);
+    if (policy === 'credit') {
+        return { ...plan, decision: SHORT_ITEMS_DECISIONS.CREDIT, credit: toCents(shortItems * creditPerItem) / 100 };
+    }
+    const offer = policy === 'downgrade' ? downgradeFor(packageItems, included, itemsReceived) : null;
+    return { ...plan, decision: offer ? SHORT_ITEMS_DECISIONS.DOWNGRADE : SHORT_ITEMS_DECISIONS.NONE, offer };
+};
+
+/**
+ * Order fields for a plan, saved with the check-in. Orders that have never been
+ * short get none, so a full check-in doesn't fill them with zeros.
+ */
+const shortItemsFields = (order, plan) => {
+    if (plan.shortItems === 0 && !order.fields['Short Items'] && !plan.credited) return {};
+    return {
+        'Short Items': plan.shortItems,
+        'Short Items Decision': plan.decision,
+        'Short Items Credit': plan.credit,
+        'Short Items Offer': plan.offer ? `${plan.offer.packageType} (${plan.offer.items} items)` : null,
+        // Credited more than is owed after a recount: someone needs to talk to the customer
+        'Short Items Follow-Up': plan.shortItems > 0 || toCents(plan.credited) > toCents(plan.credit)
+    };
+};
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.repo - lib/repository
+ * @param {Object} deps.invoices - invoice provider (lib/invoicing)
+ */
+const createShortItems = ({ repo, invoices }) => {
+    /**
+     * Credit the customer's balance with what the order's decision owes them and
+     * hasn't been credited yet. Returns { credit, order }, or null if nothing was owed.
+     * Call with the order as saved by the check-in, inside its order lock.
+     */
+    const applyCredit = async (order, audit) => {
+        const credited = order.fields['Short Items Credited'] || 0;
+        const owed = toCents(order.fields['Short Items Credit'] || 0) - toCents(credited);
+        if (order.fields['Short Items Decision'] !== SHORT_ITEMS_DECISIONS.CREDIT || owed <= 0) return null;
+
+        const customerEmail = firstValue(order.fields['Customer Email']);
+        if (!customerEmail) throw new Error('The order has no customer email to credit');
+
+        const orderNumber = order.fields['Order Number'];
+        const shortItems = order.fields['Short Items'];
+        const credit = await invoices.creditCustomerBalance({
+            customerEmail,
+            customerName: firstValue(order.fields['Customer Name'] || order.fields['Customer']),
+            orderNumber,
+            amount: owed / 100,
+            description: `Credit for ${shortItems} ${shortItems === 1 ? 'item' : 'items'} short of the package - Order ${orderNumber}`,
+            metadata: { order_record_id: order.id, short_items: String(shortItems) },
+            // The same for a retry of the same credit, with or without a request key
+            idempotencyKey: `short-items:${order.id}:${toCents(credited)}:${owed}`
+        });
+
+        const updated = await repo.updateOrder(order.id, {
+            'Short Items Credited': (toCents(credited) + owed) / 100,
+            'Short Items Credit IDs': [...creditIdsOf(order), credit.id].join(', ')
+        }, { ...audit, action: 'Credit Applied', before: order });
+        return { credit, order: updated };
+    };
+
+    return {
+        applyCredit
+    };
+};
+
+/**
+ * A check-in's shortfall as the app shows it, or null if the order isn't short
+ */
+const toShortfall = (order, creditError) => {
+    const { fields } = order;
+    if (!fields['Short Items']) return null;
+    return {
+        shortItems: fields['Short Items'],
+        decision: fields['Short Items Decision'] || null,
+        credit: fields['Short Items Credit'] || 0,
+        credited: fields['Short Items Credited'] || 0,
+        offer: fields['Short Items Offer'] || null,
+        ...(creditError && { creditError })
+    };
+};
+
+module.exports = {
+    SHORT_ITEMS_DECISIONS,
+    planShortItems,
+    shortItemsFields,
+    toShortfall,
+    createShortItems
+};
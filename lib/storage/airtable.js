@@ -0,0 +1,214 @@
+/**
+ * Airtable storage backend
+ *
+ * - queries page through all records instead of stopping at the first 100
+ * - record ID lookups are batched into chunked RECORD_ID() queries
+ * - identical reads within a few seconds share one request (short-lived cache)
+ * - requests are spaced out to stay under Airtable's 5 requests/second limit
+ *
+ * Writes invalidate the cache for their table.
+ */
+
+const Airtable = require('airtable');
+
+// Airtable caps formula length, so RECORD_ID() lookups are split into chunks
+const RECORD_ID_CHUNK_SIZE = 50;
+
+// Airtable accepts at most 10 records per create/update call
+const WRITE_BATCH_SIZE = 10;
+
+const DEFAULT_CACHE_TTL_MS = 10 * 1000;
+const DEFAULT_REQUESTS_PER_SECOND = 5;
+
+const toPlainRecord = (record) => ({ id: record.id, fields: { ...record.fields } });
+
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Space request starts at least 1/requestsPerSecond apart.
+ * The Airtable SDK already retries 429 responses with backoff; this keeps us from hitting them.
+ */
+const createThrottle = (requestsPerSecond) => {
+    const interval = 1000 / requestsPerSecond;
+    let nextSlot = 0;
+    return () => {
+        const now = Date.now();
+        const wait = Math.max(0, nextSlot - now);
+        nextSlot = Math.max(now, nextSlot) + interval;
+        return wait > 0 ? sleep(wait) : Promise.resolve();
+    };
+};
+
+/**
+ * A string literal for a formula. Backslashes, quotes and line breaks are escaped,
+ * so a value (a scanned tracking number, say) can't close the string and add to the formula.
+ */
+const quote = (value) => `'${String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')}'`;
+
+// A field reference, with any closing brace in the name escaped
+const fieldRef = (name) => `{${String(name).replace(/\\/g, '\\\\').replace(/}/g, '\\}')}}`;
+
+/**
+ * Compile a `where` condition (see lib/storage/index.js) to an Airtable formula
+ */
+const compileWhere = (where) => {
+    if (where.and) return `AND(${where.and.map(compileWhere).join(', ')})`;
+    if (where.or) return `OR(${where.or.map(compileWhere).join(',')})`;
+    if (where.recordIdIn) return `OR(${where.recordIdIn.map(id => `RECORD_ID()=${quote(id)}`).join(',')})`;
+    if (where.modifiedWithinDays != null) {
+        return `DATETIME_DIFF(NOW(), LAST_MODIFIED_TIME(), 'days')<=${Number(where.modifiedWithinDays)}`;
+    }
+
+    const field = fieldRef(where.field);
+    if ('eq' in where) return where.eq === true ? `${field}=TRUE()` : `${field}=${quote(where.eq)}`;
+    if ('gte' in where) return `${field}>=${quote(where.gte)}`;
+    if ('lte' in where) return `${field}<=${quote(where.lte)}`;
+    if ('endsWith' in where) return `RIGHT(${field}, ${String(where.endsWith).length})=${quote(where.endsWith)}`;
+    if ('contains' in where) return `FIND(${quote(where.contains)}, ${field})>0`;
+    // & '' turns lookup and linked fields into text so they can be searched too
+    if ('containsText' in where) return `FIND(LOWER(${quote(where.containsText)}), LOWER(${field} & ''))>0`;
+    throw new Error(`Unsupported query condition: ${JSON.stringify(where)}`);
+};
+
+/**
+ * Create an Airtable store
+ * @param {Object} options
+ * @param {Function} [options.base] - airtable.base(baseId); built from apiKey/baseId if omitted
+ * @param {string} [options.apiKey]
+ * @param {string} [options.baseId]
+ * @param {number} [options.cacheTtlMs] - how long reads are reused (0 disables the cache)
+ * @param {number} [options.requestsPerSecond] - Airtable rate limit
+ */
+const createAirtableStore = (options = {}) => {
+    const base = options.base || new Airtable({ apiKey: options.apiKey }).base(options.baseId);
+    const cacheTtlMs = options.cacheTtlMs != null ? options.cacheTtlMs : DEFAULT_CACHE_TTL_MS;
+    const throttle = createThrottle(options.requestsPerSecond || DEFAULT_REQUESTS_PER_SECOND);
+
+    // `${table}:${key}` -> { expiresAt, promise }
+    const cache = new Map();
+
+    const cached = (table, key, load) => {
+        if (cacheTtlMs <= 0) return load();
+        const cacheKey = `${table}:${key}`;
+        const entry = cache.get(cacheKey);
+        if (entry && entry.expiresAt > Date.now()) return entry.promise;
+
+        const promise = load().catch(err => {
+            cache.delete(cacheKey);
+            throw err;
+        });
+        cache.set(cacheKey, { expiresAt: Date.now() + cacheTtlMs, promise });
+        return promise;
+    };
+
+    const invalidate = (table) => {
+        for (const key of cache.keys()) {
+            if (key.startsWith(`${table}:`)) cache.delete(key);
+        }
+    };
+
+    /**
+     * Select every matching record, one throttled request per page of 100
+     */
+    const select = (table, { where, fields, sort, maxRecords } = {}) => {
+        const params = {
+            ...(where && { filterByFormula: compileWhere(where) }),
+            ...(fields && { fields }),
+            ...(sort && { sort }),
+            ...(maxRecords && { maxRecords })
+        };
+        return cached(table, `select:${JSON.stringify(params)}`, async () => {
+            await throttle();
+            const records = [];
+            await new Promise((resolve, reject) => {
+                base(table).select(params).eachPage(
+                    (page, fetchNextPage) => {
+                        records.push(...page.map(toPlainRecord));
+                        throttle().then(fetchNextPage);
+                    },
+                    (err) => (err ? reject(err) : resolve())
+                );
+            });
+            return records;
+        });
+    };
+
+    const find = (table, recordId) => cached(table, `find:${recordId}`, async () => {
+        await throttle();
+        return toPlainRecord(await base(table).find(recordId));
+    });
+
+    /**
+     * Fetch records by ID in chunked RECORD_ID() queries. Missing IDs are skipped.
+     */
+    const findByIds = async (table, recordIds, fields) => {
+        const chunks = await Promise.all(chunk(recordIds, RECORD_ID_CHUNK_SIZE).map(idChunk => select(table, {
+            where: { recordIdIn: idChunk },
+            fields
+        })));
+        return chunks.flat();
+    };
+
+    const update = async (table, recordId, fields) => {
+        await throttle();
+        try {
+            return toPlainRecord(await base(table).update(recordId, fields));
+        } finally {
+            invalidate(table);
+        }
+    };
+
+    /**
+     * Update many records, 10 per request
+     * @param {Array<{id: string, fields: Object}>} updates
+     */
+    const updateMany = async (table, updates) => {
+        const results = [];
+        try {
+            for (const batch of chunk(updates, WRITE_BATCH_SIZE)) {
+                await throttle();
+                const records = await base(table).update(batch);
+                results.push(...records.map(toPlainRecord));
+            }
+        } finally {
+            invalidate(table);
+        }
+        return results;
+    };
+
+    const create = async (table, fields) => {
+        await throttle();
+        try {
+            return toPlainRecord(await base(table).create(fields));
+        } finally {
+            invalidate(table);
+        }
+    };
+
+    return {
+        name: 'airtable',
+        select,
+        find,
+        findByIds,
+        update,
+        updateMany,
+        create,
+        invalidate
+    };
+};
+
+module.exports = {
+    quote,
+    compileWhere,
+    createAirtableStore
+};
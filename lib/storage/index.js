@@ -0,0 +1,57 @@
+/**
+ * Storage backends
+ *
+ * STORAGE_BACKEND picks where records live:
+ * - 'airtable' (default): the Airtable base (AIRTABLE_API_KEY, AIRTABLE_BASE_ID)
+ * - 'local': a JSON file (LOCAL_DATA_FILE, default data/local-db.json) seeded from data/seed.json
+ *
+ * Every backend implements the same interface, with records as plain { id, fields } objects:
+ *   select(table, { where, fields, sort, maxRecords })
+ *   find(table, recordId)              - throws (statusCode 404) if missing
+ *   findByIds(table, recordIds, fields)
+ *   update(table, recordId, fields)
+ *   updateMany(table, [{ id, fields }])
+ *   create(table, fields)
+ *
+ * `where` is a small condition tree that each backend translates itself:
+ *   { and: [...] }, { or: [...] }
+ *   { field, eq: value }      - '' matches an empty field, true matches a checked checkbox
+ *   { field, gte: value }, { field, lte: value }
+ *   { field, endsWith: value }
+ *   { field, contains: value }  - substring of a text field
+ *   { field, containsText: value } - case-insensitive substring of any field, lookups and lists included
+ *   { recordIdIn: [ids] }
+ *   { modifiedWithinDays: n }
+ */
+
+const path = require('path');
+
+const { createAirtableStore } = require('./airtable');
+const { createLocalStore } = require('./local');
+
+const DEFAULT_LOCAL_DATA_FILE = path.join(__dirname, '..', '..', 'data', 'local-db.json');
+const DEFAULT_SEED_FILE = path.join(__dirname, '..', '..', 'data', 'seed.json');
+
+const createStore = (backend = process.env.STORAGE_BACKEND || 'airtable') => {
+    switch (backend) {
+        case 'airtable':
+            return createAirtableStore({
+                apiKey: process.env.AIRTABLE_API_KEY,
+                baseId: process.env.AIRTABLE_BASE_ID,
+                cacheTtlMs: process.env.AIRTABLE_CACHE_TTL_MS != null ? Number(process.env.AIRTABLE_CACHE_TTL_MS) : undefined
+            });
+        case 'local':
+            return createLocalStore({
+                dataFile: process.env.LOCAL_DATA_FILE || DEFAULT_LOCAL_DATA_FILE,
+                seedFile: process.env.LOCAL_SEED_FILE || DEFAULT_SEED_FILE
+            });
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "airtable" or "local")`);
+    }
+};
+
+module.exports = {
+    createStore,
+    createAirtableStore,
+    createLocalStore
+};
@@ -0,0 +1,226 @@
+/**
+ * Local JSON storage backend
+ *
+ * Keeps every table in memory and writes it to a JSON file after each change,
+ * so the app runs without Airtable credentials (offline dev, demos, tests).
+ * A missing data file is created from the seed file on first start.
+ *
+ * Behaves like Airtable where the app depends on it:
+ * - record IDs look like Airtable's ('rec' + 14 characters)
+ * - empty values (null, '', false, []) are left out of returned records
+ * - the base's formula fields are computed on read and can't be written
+ * - finding a missing record throws a 404 NOT_FOUND error
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Pass as dataFile to keep everything in memory
+const IN_MEMORY = ':memory:';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stand-ins for the Airtable base's formula fields, computed from the stored fields.
+// The pay formulas (Base Pay, Per Item Pay, Total Order Pay) are left out on purpose:
+// without them the app prices pay from config/pricing.json.
+const FORMULA_FIELDS = {
+    'Orders': (record) => ({
+        'Created Time': record.createdTime
+    })
+};
+
+const newRecordId = () => `rec${crypto.randomBytes(7).toString('hex')}`;
+
+const isEmpty = (value) => value == null || value === '' || value === false || (Array.isArray(value) && value.length === 0);
+
+const notFoundError = (table, recordId) => {
+    const err = new Error(`Could not find record ${recordId} in ${table}`);
+    err.error = 'NOT_FOUND';
+    err.statusCode = 404;
+    return err;
+};
+
+/**
+ * Evaluate a `where` condition (see lib/storage/index.js) against a record
+ */
+const matchesWhere = (where, record, fields, now) => {
+    if (where.and) return where.and.every(w => matchesWhere(w, record, fields, now));
+    if (where.or) return where.or.some(w => matchesWhere(w, record, fields, now));
+    if (where.recordIdIn) return where.recordIdIn.includes(record.id);
+    if (where.modifiedWithinDays != null) {
+        return Math.floor((now - new Date(record.modifiedTime).getTime()) / DAY_MS) <= where.modifiedWithinDays;
+    }
+
+    const value = fields[where.field];
+    if ('eq' in where) {
+        if (where.eq === '') return isEmpty(value);
+        if (where.eq === true) return value === true;
+        if (Array.isArray(value)) return value.map(String).includes(String(where.eq));
+        return value != null && String(value) === String(where.eq);
+    }
+    if ('gte' in where) return !isEmpty(value) && String(value) >= String(where.gte);
+    if ('lte' in where) return !isEmpty(value) && String(value) <= String(where.lte);
+    if ('endsWith' in where) return !isEmpty(value) && String(value).endsWith(String(where.endsWith));
+    if ('contains' in where) return !isEmpty(value) && String(value).includes(String(where.contains));
+    if ('containsText' in where) return !isEmpty(value) && String(value).toLowerCase().includes(String(where.containsText).toLowerCase());
+    throw new Error(`Unsupported query condition: ${JSON.stringify(where)}`);
+};
+
+const compareValues = (a, b) => {
+    if (a === b) return 0;
+    if (isEmpty(a)) return -1;
+    if (isEmpty(b)) return 1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a) < String(b) ? -1 : 1;
+};
+
+/**
+ * Create a local store
+ * @param {Object} options
+ * @param {string} [options.dataFile] - JSON file to load and save (':memory:' to skip saving)
+ * @param {string} [options.seedFile] - JSON file used when the data file doesn't exist yet
+ * @param {Object} [options.seed] - seed tables given directly instead of a seed file
+ */
+const createLocalStore = (options = {}) => {
+    const dataFile = options.dataFile || IN_MEMORY;
+    const persist = dataFile !== IN_MEMORY;
+
+    // Seed format: { "<Table>": [{ "id"?, "createdTime"?, "fields": {...} }] }
+    const loadSeed = () => {
+        const seed = options.seed || (options.seedFile ? JSON.parse(fs.readFileSync(options.seedFile, 'utf8')) : {});
+        const now = new Date().toISOString();
+        const tables = {};
+        Object.entries(seed).forEach(([table, records]) => {
+            if (table.startsWith('_')) return;
+            tables[table] = records.map(record => ({
+                id: record.id || newRecordId(),
+                createdTime: record.createdTime || now,
+                modifiedTime: record.modifiedTime || record.createdTime || now,
+                fields: { ...record.fields }
+            }));
+        });
+        return tables;
+    };
+
+    const tables = persist && fs.existsSync(dataFile)
+        ? JSON.parse(fs.readFileSync(dataFile, 'utf8'))
+        : loadSeed();
+
+    const save = () => {
+        if (!persist) return;
+        fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+        fs.writeFileSync(dataFile, JSON.stringify(tables, null, 2));
+    };
+    save();
+
+    const tableRecords = (table) => {
+        if (!tables[table]) tables[table] = [];
+        return tables[table];
+    };
+
+    // Stored fields plus formula fields, with empty values left out
+    const readFields = (table, record) => {
+        const all = { ...record.fields, ...(FORMULA_FIELDS[table] ? FORMULA_FIELDS[table](record) : {}) };
+        const fields = {};
+        Object.entries(all).forEach(([name, value]) => {
+            if (!isEmpty(value)) fields[name] = value;
+        });
+        return fields;
+    };
+
+    const toPlainRecord = (table, record, fieldNames) => {
+        const fields = readFields(table, record);
+        if (fieldNames) {
+            Object.keys(fields).forEach(name => {
+                if (!fieldNames.includes(name)) delete fields[name];
+            });
+        }
+        return { id: record.id, fields: JSON.parse(JSON.stringify(fields)) };
+    };
+
+    const checkWritable = (table, fields) => {
+        if (!FORMULA_FIELDS[table]) return;
+        const computed = Object.keys(FORMULA_FIELDS[table]({ fields: {}, createdTime: null }));
+        const rejected = Object.keys(fields).find(name => computed.includes(name));
+        if (rejected) {
+            const err = new Error(`Field "${rejected}" cannot accept a value because the field is computed`);
+            err.error = 'INVALID_VALUE_FOR_COLUMN';
+            err.statusCode = 422;
+            throw err;
+        }
+    };
+
+    const select = async (table, { where, fields, sort, maxRecords } = {}) => {
+        const now = Date.now();
+        let records = tableRecords(table).filter(record => !where || matchesWhere(where, record, readFields(table, record), now));
+
+        if (sort && sort.length > 0) {
+            records = records
+                .map(record => ({ record, fields: readFields(table, record) }))
+                .sort((a, b) => {
+                    for (const { field, direction } of sort) {
+                        const result = compareValues(a.fields[field], b.fields[field]);
+                        if (result !== 0) return direction === 'desc' ? -result : result;
+                    }
+                    return 0;
+                })
+                .map(entry => entry.record);
+        }
+        if (maxRecords) records = records.slice(0, maxRecords);
+
+        return records.map(record => toPlainRecord(table, record, fields));
+    };
+
+    const find = async (table, recordId) => {
+        const record = tableRecords(table).find(r => r.id === recordId);
+        if (!record) throw notFoundError(table, recordId);
+        return toPlainRecord(table, record);
+    };
+
+    const findByIds = (table, recordIds, fields) => select(table, { where: { recordIdIn: recordIds }, fields });
+
+    const update = async (table, recordId, fields) => {
+        const record = tableRecords(table).find(r => r.id === recordId);
+        if (!record) throw notFoundError(table, recordId);
+        checkWritable(table, fields);
+        record.fields = { ...record.fields, ...JSON.parse(JSON.stringify(fields)) };
+        record.modifiedTime = new Date().toISOString();
+        save();
+        return toPlainRecord(table, record);
+    };
+
+    /**
+     * @param {Array<{id: string, fields: Object}>} updates
+     */
+    const updateMany = async (table, updates) => {
+        const results = [];
+        for (const { id, fields } of updates) results.push(await update(table, id, fields));
+        return results;
+    };
+
+    const create = async (table, fields) => {
+        checkWritable(table, fields);
+        const now = new Date().toISOString();
+        const record = { id: newRecordId(), createdTime: now, modifiedTime: now, fields: JSON.parse(JSON.stringify(fields)) };
+        tableRecords(table).push(record);
+        save();
+        return toPlainRecord(table, record);
+    };
+
+    return {
+        name: 'local',
+        select,
+        find,
+        findByIds,
+        update,
+        updateMany,
+        create,
+        invalidate: () => {}
+    };
+};
+
+module.exports = {
+    IN_MEMORY,
+    createLocalStore
+};
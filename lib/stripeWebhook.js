@@ -0,0 +1,164 @@
+/**
+ * Stripe webhook
+ *
+ * Writes extra-items invoice status back to the order:
+ * - invoice.paid, invoice.payment_failed, invoice.voided, invoice.marked_uncollectible
+ * - charge.refunded (full or partial refund of an invoice's payment)
+ *
+ * Orders are found by the invoice ID saved at check-in ('Extra Items Invoice ID').
+ * Events for an invoice a recount replaced ('Extra Items Previous Invoice IDs') are
+ * logged but don't change the order's status, which follows its current invoice.
+ * Every verified event is logged in the Webhook Events table; an event ID that is
+ * already there is acknowledged and skipped, since Stripe retries and can send duplicates.
+ * Events older than the order's last status update are skipped too, because
+ * Stripe doesn't guarantee delivery order.
+ *
+ * The router has to be mounted before express.json(): signatures are checked
+ * against the raw request body.
+ */
+
+const express = require('express');
+const { EVENT_SOURCES } = require('./orderEvents');
+
+const INVOICE_STATUS_BY_EVENT = {
+    'invoice.paid': 'Paid',
+    'invoice.payment_failed': 'Payment Failed',
+    'invoice.voided': 'Void',
+    'invoice.marked_uncollectible': 'Uncollectible'
+};
+
+const HANDLED_EVENTS = [...Object.keys(INVOICE_STATUS_BY_EVENT), 'charge.refunded'];
+
+// Stripe invoice IDs; anything else is not ours to look up
+const INVOICE_ID_PATTERN = /^in_[A-Za-z0-9_]+$/;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+/**
+ * The invoice an event is about, and the order fields it sets
+ */
+const describeEvent = (event) => {
+    const object = event.data.object;
+
+    if (event.type === 'charge.refunded') {
+        const fullyRefunded = object.refunded === true || object.amount_refunded >= object.amount;
+        return {
+            invoiceId: object.invoice,
+            fields: {
+                'Extra Items Invoice Status': fullyRefunded ? 'Refunded' : 'Partially Refunded',
+                'Extra Items Refunded Amount': (object.amount_refunded || 0) / 100,
+                ...(fullyRefunded && { 'Extra Items Paid': false })
+            }
+        };
+    }
+
+    const status = INVOICE_STATUS_BY_EVENT[event.type];
+    return {
+        invoiceId: object.id,
+        fields: {
+            'Extra Items Invoice Status': status,
+            ...(status === 'Paid' && { 'Extra Items Paid': true, 'Extra Items Payment Date': today() }),
+            ...(status === 'Void' && { 'Extra Items Paid': false })
+        }
+    };
+};
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.repo - lib/repository
+ * @param {Object} deps.invoices - invoice provider (verifies signatures)
+ */
+const createStripeWebhookRouter = ({ repo, invoices }) => {
+    const router = express.Router();
+
+    // Events being processed right now, so a duplicate delivered concurrently is skipped too
+    const inFlight = new Set();
+
+    /**
+     * Apply one event to its order. Returns a short result for the event log.
+     */
+    const processEvent = async (event) => {
+        const { invoiceId, fields } = describeEvent(event);
+        if (!invoiceId || !INVOICE_ID_PATTERN.test(invoiceId)) {
+            return { result: 'No invoice on event', order: null };
+        }
+
+        const order = await repo.findOrderByInvoiceId(invoiceId);
+        if (!order) {
+            return { result: `No order for invoice ${invoiceId}`, order: null };
+        }
+
+        if (order.fields['Extra Items Invoice ID'] !== invoiceId) {
+            return { result: `Superseded invoice - order is on ${order.fields['Extra Items Invoice ID'] || 'no invoice'}`, order };
+        }
+
+        const eventTime = new Date(event.created * 1000).toISOString();
+        const lastUpdate = order.fields['Extra Items Invoice Status At'];
+        if (lastUpdate && lastUpdate > eventTime) {
+            return { result: `Stale - order already updated at ${lastUpdate}`, order };
+        }
+
+        await repo.updateOrder(order.id, {
+            ...fields,
+            'Extra Items Invoice Status At': eventTime
+        }, { action: `Invoice ${fields['Extra Items Invoice Status']}`, source: EVENT_SOURCES.STRIPE, device: event.id, before: order });
+        console.log(`Order ${order.fields['Order Number']}: extra items invoice ${invoiceId} -> ${fields['Extra Items Invoice Status']}`);
+        return { result: fields['Extra Items Invoice Status'], order };
+    };
+
+    /**
+     * Stripe webhook receiver
+     * POST /api/webhooks/stripe
+     */
+    router.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
+        let event;
+        try {
+            event = invoices.constructWebhookEvent(req.body, req.headers['stripe-signature']);
+        } catch (err) {
+            console.error('Webhook signature verification failed:', err.message);
+            return res.status(400).send(`Webhook Error: ${err.message}`);
+        }
+
+        if (!HANDLED_EVENTS.includes(event.type)) {
+            return res.json({ received: true, ignored: true });
+        }
+
+        if (inFlight.has(event.id)) {
+            return res.json({ received: true, duplicate: true });
+        }
+        inFlight.add(event.id);
+
+        try {
+            if (await repo.findWebhookEvent(event.id)) {
+                console.log(`Skipping duplicate webhook event ${event.id}`);
+                return res.json({ received: true, duplicate: true });
+            }
+
+            const { result, order } = await processEvent(event);
+
+            await repo.recordWebhookEvent({
+                'Event ID': event.id,
+                'Type': event.type,
+                'Invoice ID': describeEvent(event).invoiceId || '',
+                ...(order && { 'Order': [order.id] }),
+                'Result': result,
+                'Received At': new Date().toISOString()
+            });
+
+            res.json({ received: true });
+        } catch (error) {
+            // Not logged as processed, so Stripe's retry will try again
+            console.error(`Error processing webhook event ${event.id}:`, error.message);
+            res.status(500).json({ error: 'Failed to process webhook event', details: error.message });
+        } finally {
+            inFlight.delete(event.id);
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    HANDLED_EVENTS,
+    createStripeWebhookRouter
+};
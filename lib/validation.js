@@ -0,0 +1,162 @@
+/**
+ * Request validation
+ *
+ * Routes declare what they accept, per part of the request:
+ *
+ *   validate({
+ *       params: { recordId: recordId() },
+ *       body: { itemsReceived: integer({ min: 0, max: MAX_ITEMS }), notes: string({ optional: true }) }
+ *   })
+ *
+ * A rule checks one value and returns it cleaned up (strings trimmed), or throws
+ * a message. Body fields a route doesn't declare are dropped. A request that
+ * doesn't match gets a 400 with every problem found:
+ *
+ *   { error: 'itemsReceived must be ...', code: 'VALIDATION_FAILED', details: [{ field, message }] }
+ */
+
+// Airtable record IDs: 'rec' and 14 letters or digits (the local store makes the same)
+const RECORD_ID_PATTERN = /^rec[A-Za-z0-9]{14}$/;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const problem = (message) => { throw Object.assign(new Error(message), { isValidationProblem: true }); };
+
+const isMissing = (value) => value === undefined || value === null;
+
+/**
+ * Shared options for every rule: `optional` (may be left out), `nullable` (null is
+ * kept as null) and a `message` to use instead of the rule's own
+ */
+const rule = (check, { optional = false, nullable = false, message } = {}) => (value, field) => {
+    if (value === null && nullable) return null;
+    if (isMissing(value)) {
+        if (optional) return undefined;
+        problem(message || `${field} is required`);
+    }
+    try {
+        return check(value, field);
+    } catch (err) {
+        if (err.isValidationProblem && message) problem(message);
+        throw err;
+    }
+};
+
+/**
+ * A whole number, within `min`/`max` if given
+ */
+const integer = ({ min, max, ...options } = {}) => rule((value, field) => {
+    const inRange = Number.isInteger(value) && (min === undefined || value >= min) && (max === undefined || value <= max);
+    if (!inRange) {
+        if (min !== undefined && max !== undefined) problem(`${field} must be a whole number from ${min} to ${max}`);
+        if (min !== undefined) problem(`${field} must be a whole number of ${min} or more`);
+        problem(`${field} must be a whole number`);
+    }
+    return value;
+}, options);
+
+/**
+ * A string, trimmed unless `trim: false`. `required` rejects an empty one; `pattern` must match.
+ */
+const string = ({ required = false, maxLength = 1000, pattern, trim = true, ...options } = {}) => rule((value, field) => {
+    if (typeof value !== 'string') problem(`${field} must be text`);
+    const trimmed = trim ? value.trim() : value;
+    if (required && !trimmed) problem(`${field} is required`);
+    if (trimmed.length > maxLength) problem(`${field} must be ${maxLength} characters or fewer`);
+    if (pattern && trimmed && !pattern.test(trimmed)) problem(`${field} is not in the right format`);
+    return trimmed;
+}, options);
+
+const boolean = (options) => rule((value, field) => {
+    if (typeof value !== 'boolean') problem(`${field} must be true or false`);
+    return value;
+}, options);
+
+const oneOf = (values, options) => rule((value, field) => {
+    if (!values.includes(value)) problem(`${field} must be one of ${values.join(', ')}`);
+    return value;
+}, options);
+
+const recordId = (options) => rule((value, field) => {
+    if (typeof value !== 'string' || !RECORD_ID_PATTERN.test(value)) problem(`${field} is not a valid record ID`);
+    return value;
+}, options);
+
+/**
+ * A calendar date, YYYY-MM-DD
+ */
+const date = (options) => rule((value, field) => {
+    const valid = typeof value === 'string' && DATE_PATTERN.test(value)
+        && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+    if (!valid) problem(`${field} must be a date (YYYY-MM-DD)`);
+    return value;
+}, options);
+
+/**
+ * Counts by name, e.g. { Photos: 40, 'VHS Tapes': 5 }: every name one of `names` and
+ * every count a whole number from 0 to `max`. Names counted 0 are dropped.
+ */
+const counts = (names, { max, ...options } = {}) => rule((value, field) => {
+    if (typeof value !== 'object' || Array.isArray(value)) problem(`${field} must be counts by name`);
+    const cleaned = {};
+    Object.entries(value).forEach(([name, count]) => {
+        if (!names.includes(name)) problem(`${field} has "${name}", which isn't one of ${names.join(', ')}`);
+        if (!Number.isInteger(count) || count < 0 || (max !== undefined && count > max)) {
+            problem(`${field} "${name}" must be a whole number ${max !== undefined ? `from 0 to ${max}` : 'of 0 or more'}`);
+        }
+        if (count > 0) cleaned[name] = count;
+    });
+    return cleaned;
+}, options);
+
+/**
+ * Check values against a schema ({ field: rule }). Returns { value, errors }.
+ */
+const check = (schema, source = {}, prefix = '') => {
+    const value = {};
+    const errors = [];
+    Object.entries(schema).forEach(([field, fieldRule]) => {
+        try {
+            const cleaned = fieldRule(source[field], field);
+            if (cleaned !== undefined) value[field] = cleaned;
+        } catch (err) {
+            if (!err.isValidationProblem) throw err;
+            errors.push({ field: `${prefix}${field}`, message: err.message });
+        }
+    });
+    return { value, errors };
+};
+
+/**
+ * Middleware: validate the request's params, query and body against their schemas.
+ * The body and query are replaced with their cleaned values.
+ */
+const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+    ['params', 'query', 'body'].forEach(part => {
+        if (!schemas[part]) return;
+        const source = req[part] && typeof req[part] === 'object' && !Array.isArray(req[part]) ? req[part] : {};
+        const result = check(schemas[part], source, part === 'body' ? '' : `${part}.`);
+        errors.push(...result.errors);
+        if (part !== 'params') req[part] = result.value;
+    });
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors[0].message, code: 'VALIDATION_FAILED', details: errors });
+    }
+    next();
+};
+
+module.exports = {
+    RECORD_ID_PATTERN,
+    DATE_PATTERN,
+    integer,
+    string,
+    boolean,
+    oneOf,
+    recordId,
+    date,
+    counts,
+    check,
+    validate
+};
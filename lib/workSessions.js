@@ -0,0 +1,154 @@
+/**
+ * Work sessions
+ *
+ * Time spent digitizing an order, from the timer on each order in My Work. Every
+ * stretch of work is a Work Sessions record: whose it is, which order, when it
+ * started and when it ended ('Ended At' is empty while the timer runs). Pausing
+ * ends the session and resuming starts a new one, so an order's time is the sum
+ * of its sessions and survives reloads and switching devices.
+ *
+ * An employee has one timer running at a time: starting one pauses any other.
+ * Completing, releasing or reassigning the order stops its timer.
+ */
+
+const { createKeyedLock } = require('./idempotency');
+
+const END_REASONS = {
+    PAUSED: 'Paused',
+    STOPPED: 'Stopped',
+    SWITCHED: 'Switched Orders',
+    COMPLETED: 'Completed',
+    REASSIGNED: 'Reassigned'
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const isOpen = (session) => !session.fields['Ended At'];
+
+/**
+ * Seconds a session has run, up to now for one that's still running
+ */
+const sessionSeconds = (session, now = Date.now()) => {
+    const started = new Date(session.fields['Started At']).getTime();
+    const ended = isOpen(session) ? now : new Date(session.fields['Ended At']).getTime();
+    if (isNaN(started) || isNaN(ended)) return 0;
+    return Math.max(0, Math.round((ended - started) / 1000));
+};
+
+/**
+ * Timer state from sessions on one order: { running, startedAt, seconds, sessions, asOf }.
+ * `startedAt` is when the running session started; `seconds` counts up to `asOf`.
+ */
+const summarizeSessions = (sessions, now = Date.now()) => {
+    const open = sessions.find(isOpen);
+    return {
+        running: Boolean(open),
+        startedAt: open ? open.fields['Started At'] : null,
+        seconds: sessions.reduce((sum, s) => sum + sessionSeconds(s, now), 0),
+        sessions: sessions.length,
+        asOf: new Date(now).toISOString()
+    };
+};
+
+/**
+ * Sessions grouped by order: Map of order ID -> that order's sessions
+ */
+const sessionsByOrder = (sessions) => {
+    const byOrder = new Map();
+    sessions.forEach(session => {
+        const orderId = session.fields['Order Record ID'];
+        if (!byOrder.has(orderId)) byOrder.set(orderId, []);
+        byOrder.get(orderId).push(session);
+    });
+    return byOrder;
+};
+
+/**
+ * Pay per hour worked; null when less than a minute was timed
+ */
+const hourlyRate = (pay, seconds) => (seconds >= 60 ? roundMoney(pay / (seconds / 3600)) : null);
+
+// Timer rule violations carry the HTTP status and a code for the route to send
+const timerError = (message, status, code) => Object.assign(new Error(message), { status, code });
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.repo - lib/repository
+ */
+const createWorkTimer = ({ repo }) => {
+    // One employee's timer changes happen one at a time, so a double tap can't open two sessions
+    const { withLock } = createKeyedLock();
+
+    const endSessions = (sessions, reason, endedAt = new Date().toISOString()) => Promise.all(
+        sessions.map(s => repo.updateWorkSession(s.id, { 'Ended At': endedAt, 'End Reason': reason }))
+    );
+
+    /**
+     * An employee's timer on an order
+     */
+    const timerFor = async (orderId, employeeId) => summarizeSessions(
+        await repo.listWorkSessions({ employeeId, orderIds: [orderId] })
+    );
+
+    /**
+     * Start (or resume) the employee's timer on an order, pausing any other they have running
+     */
+    const start = (order, employee) => withLock(employee.id, async () => {
+        const open = await repo.listWorkSessions({ employeeId: employee.id, openOnly: true });
+        const others = open.filter(s => s.fields['Order Record ID'] !== order.id);
+        await endSessions(others, END_REASONS.SWITCHED);
+
+        if (!open.some(s => s.fields['Order Record ID'] === order.id)) {
+            await repo.createWorkSession({
+                'Order Number': order.fields['Order Number'],
+                'Order Record ID': order.id,
+                'Employee': [employee.id],
+                'Employee Record ID': employee.id,
+                'Package Type': order.fields['Package Type'] || '',
+                'Started At': new Date().toISOString()
+            });
+        }
+        return {
+            timer: await timerFor(order.id, employee.id),
+            paused: others.map(s => s.fields['Order Number'])
+        };
+    });
+
+    /**
+     * Pause or stop the employee's running timer on an order
+     */
+    const stop = (orderId, employeeId, reason = END_REASONS.PAUSED) => withLock(employeeId, async () => {
+        const open = await repo.listWorkSessions({ employeeId, orderIds: [orderId], openOnly: true });
+        if (open.length === 0) {
+            throw timerError('The timer isn\'t running on this order', 409, 'TIMER_NOT_RUNNING');
+        }
+        await endSessions(open, reason);
+        return timerFor(orderId, employeeId);
+    });
+
+    /**
+     * Stop every timer running on an order, whoever's it is (the order is done or has moved on)
+     */
+    const stopOrder = async (orderId, reason) => {
+        const open = await repo.listWorkSessions({ orderIds: [orderId], openOnly: true });
+        await Promise.all([...new Set(open.map(s => s.fields['Employee Record ID']))].map(employeeId => withLock(employeeId, () => (
+            endSessions(open.filter(s => s.fields['Employee Record ID'] === employeeId), reason)
+        ))));
+    };
+
+    return {
+        timerFor,
+        start,
+        stop,
+        stopOrder
+    };
+};
+
+module.exports = {
+    END_REASONS,
+    sessionSeconds,
+    summarizeSessions,
+    sessionsByOrder,
+    hourlyRate,
+    createWorkTimer
+};
@@ -0,0 +1,123 @@
+/**
+ * Work tickets
+ *
+ * The printable sheet that goes in the box at check-in instead of a hand-written
+ * order number: the order's details for the digitizer, and a QR code of its record ID
+ * that the app's scanners open the order from. Orders shipped in more than one box
+ * get a label per box after the ticket, each with the same code.
+ *
+ * Rendered as a standalone HTML page sized for letter paper; printing it (or saving
+ * as PDF from the print dialog) is left to the browser.
+ */
+
+const QRCode = require('qrcode');
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatDate = (value) => (value
+    ? new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+    : '—');
+
+const qrSvg = (text) => QRCode.toString(text, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+
+const STYLES = `
+    * { box-sizing: border-box; font-family: -apple-system, 'Helvetica Neue', Arial, sans-serif; }
+    body { margin: 0; color: #0f172a; }
+    .sheet { width: 7.5in; margin: 0.5in auto; page-break-after: always; }
+    .sheet:last-child { page-break-after: auto; }
+    .header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 3px solid #0f172a; padding-bottom: 12px; }
+    .order-number { font-size: 40px; font-weight: 800; letter-spacing: 1px; }
+    .customer { font-size: 20px; margin-top: 4px; }
+    .code { width: 1.6in; text-align: center; font-family: monospace; font-size: 11px; }
+    .code svg { width: 1.6in; height: 1.6in; }
+    .flag { display: inline-block; margin-top: 10px; padding: 6px 14px; border: 3px solid #0f172a; font-size: 22px; font-weight: 800; text-transform: uppercase; }
+    table { width: 100%; border-collapse: collapse; margin-top: 18px; font-size: 16px; }
+    td { padding: 8px 4px; border-bottom: 1px solid #cbd5e1; }
+    td:last-child { text-align: right; font-weight: 700; }
+    .notes { margin-top: 18px; padding: 12px; border: 1px solid #0f172a; min-height: 1.2in; white-space: pre-wrap; font-size: 15px; }
+    .notes h3 { margin: 0 0 6px; font-size: 13px; text-transform: uppercase; color: #475569; }
+    .label { width: 4in; height: 3in; margin: 0.5in auto; padding: 0.2in; border: 2px dashed #0f172a; display: flex; gap: 0.2in; align-items: center; page-break-after: always; }
+    .label:last-child { page-break-after: auto; }
+    .label .order-number { font-size: 28px; }
+    .label .box { font-size: 22px; font-weight: 700; margin-top: 8px; }
+    @media print { .sheet, .label { margin: 0 auto; } }
+`;
+
+/**
+ * @param {Object} ticket
+ * @param {Object} ticket.order - the order record
+ * @param {string} ticket.customerName
+ * @param {Object} ticket.items - classifyOrderItems() result (USB drives, tier)
+ * @param {string} [ticket.dueDate] - YYYY-MM-DD
+ * @param {string} [ticket.assignedTo] - employee name
+ * @param {Object[]} [ticket.boxes] - orderBoxes() of the order
+ * @param {boolean} [ticket.autoPrint] - open the print dialog when the page loads
+ * @returns {Promise<string>} the HTML page
+ */
+const renderWorkTicket = async ({ order, customerName, items, dueDate, assignedTo, boxes = [], autoPrint = false }) => {
+    const { fields } = order;
+    const orderNumber = escapeHtml(fields['Order Number']);
+    const code = await qrSvg(order.id);
+    const tier = items.processingTier;
+
+    const rows = [
+        ['Package', fields['Package Type'] || '—'],
+        ['Items included', fields['Package Items Included'] || 0],
+        ['Items received', fields['Items Received'] != null ? fields['Items Received'] : '—'],
+        ['Extra items', fields['Extra Items'] || 0],
+        ['USB drives', items.usbDriveCount || 0],
+        ...(boxes.length > 1 ? boxes.map(b => [`Box ${b.label} (${b.tracking})`, b.received ? `${b.itemsReceived} items` : 'not in yet']) : []),
+        ['Checked in', formatDate(fields['Check-In Date'])],
+        ['Due', formatDate(dueDate)],
+        ['Assigned to', assignedTo || '—']
+    ];
+
+    const ticket = `
+    <section class="sheet">
+        <div class="header">
+            <div>
+                <div class="order-number">${orderNumber}</div>
+                <div class="customer">${escapeHtml(customerName)}</div>
+                ${tier && tier !== 'Standard' ? `<div class="flag">${escapeHtml(tier)}</div>` : ''}
+            </div>
+            <div class="code">${code}<div>${escapeHtml(order.id)}</div></div>
+        </div>
+        <table>
+            ${rows.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('')}
+        </table>
+        <div class="notes"><h3>Check-in notes</h3>${escapeHtml(fields['Check-In Notes'] || '')}</div>
+    </section>`;
+
+    const labels = boxes.length > 1 ? boxes.map(b => `
+    <section class="label">
+        <div class="code">${code}</div>
+        <div>
+            <div class="order-number">${orderNumber}</div>
+            <div class="customer">${escapeHtml(customerName)}</div>
+            <div class="box">Box ${b.label} of ${boxes.length}</div>
+            ${tier && tier !== 'Standard' ? `<div class="flag">${escapeHtml(tier)}</div>` : ''}
+        </div>
+    </section>`).join('') : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Work Ticket ${orderNumber}</title>
+<style>${STYLES}</style>
+</head>
+<body>${ticket}${labels}
+${autoPrint ? '<script>window.addEventListener(\'load\', () => window.print());</script>' : ''}
+</body>
+</html>`;
+};
+
+module.exports = {
+    escapeHtml,
+    renderWorkTicket
+};
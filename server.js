@@ -10,39 +10,474 @@
  * Deploy to: Render, Railway, Vercel, or any Node.js host
  */
 
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const Stripe = require('stripe');
-const Airtable = require('airtable');
 require('dotenv').config();
 
+const { classifyOrderItems } = require('./lib/products');
+const { createRepository } = require('./lib/repository');
+const { createStore } = require('./lib/storage');
+const { createInvoiceProvider } = require('./lib/invoicing');
+const { createStripeWebhookRouter } = require('./lib/stripeWebhook');
+const { createExtraItemsInvoices } = require('./lib/extraItemsInvoices');
+const { createIdempotencyCache } = require('./lib/idempotency');
+const { createNotificationTransport } = require('./lib/notifications');
+const { createPhotoStorage } = require('./lib/photos');
+const { STATUS_TOKEN_PATTERN, createCustomerUpdates } = require('./lib/customerUpdates');
+const { renderWorkTicket } = require('./lib/workTicket');
+const { rankOrders, isClearMatch } = require('./lib/orderSearch');
+const { END_REASONS, summarizeSessions, sessionsByOrder, hourlyRate, createWorkTimer } = require('./lib/workSessions');
+const { REPORTS, createReports } = require('./lib/reports');
+const { MEDIA_TYPES, MANIFEST_STAGES, manifestTotal, manifestCounts, manifestSummary, createManifests } = require('./lib/manifest');
+const { EXCEPTION_TYPES, PHOTO_TYPES, MAX_PHOTO_BYTES, PHOTO_ID_PATTERN, toException, createExceptions } = require('./lib/exceptions');
+const { getRuleSet, getRuleSets, getExtraItemPrice, getPayRates } = require('./lib/pricing');
+const { PAY_ORDER_FIELDS, isLockedPeriod, isCompletedBy, hasPayFormulas, getOrderPay, createPayroll } = require('./lib/payroll');
+const { EVENT_SOURCES, toHistoryEntry } = require('./lib/orderEvents');
+const { errorEnvelope, sendServerError, handleUncaughtError } = require('./lib/errors');
+const { RECORD_ID_PATTERN, validate, integer, string, boolean, oneOf, recordId, date, counts } = require('./lib/validation');
+const { LABEL_NUMBERS, RECEIPT_STATUS, RECEIPT_BOX_FIELDS, orderBoxes, matchLabel, isPartiallyReceived, receiveBox, receiptSummary } = require('./lib/receipts');
+
 const app = express();
 app.use(cors());
-app.use(express.json());
 
 // ============================================
 // CONFIGURATION
 // ============================================
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-const airtable = new Airtable({ apiKey: process.env.AIRTABLE_API_KEY });
-const base = airtable.base(process.env.AIRTABLE_BASE_ID);
+// Storage (STORAGE_BACKEND) and invoicing (INVOICE_PROVIDER) are picked by environment,
+// so the app can run on a laptop with local data and no Airtable/Stripe credentials
+const store = createStore();
+const repo = createRepository(store);
+const invoices = createInvoiceProvider();
+// Customer emails go out through NOTIFICATION_TRANSPORT (lib/notifications)
+const notifications = createNotificationTransport();
+// Exception photos go to PHOTO_STORAGE (lib/photos), local disk unless set
+const photos = createPhotoStorage();
+console.log(`Storage: ${store.name}, invoices: ${invoices.name}, notifications: ${notifications.name}, photos: ${photos.name}`);
+
+// Where customers' status links point; set PUBLIC_URL to the deployed app's address
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Exposed so tests can inspect the store, the invoices, the emails sent and the photos saved
+Object.assign(app.locals, { store, repo, invoices, notifications, photos });
+
+// Every error response is { error, code, details? } (lib/errors.js)
+app.use(errorEnvelope);
+
+// The Stripe webhook verifies signatures against the raw body, so it's mounted before express.json()
+app.use(createStripeWebhookRouter({ repo, invoices }));
+app.use(express.json());
+
+const extraItemsInvoices = createExtraItemsInvoices({ repo, invoices });
+const payroll = createPayroll({ repo });
+const customerUpdates = createCustomerUpdates({ repo, invoices, transport: notifications, baseUrl: PUBLIC_URL });
+const workTimer = createWorkTimer({ repo });
+const reports = createReports({ repo });
+const manifests = createManifests({ repo });
+const exceptions = createExceptions({ repo, photos });
+
+// Exposed so tests can wait for the customer emails queued after a response
+app.locals.customerUpdates = customerUpdates;
+
+// Check-in, notes and completion responses by Idempotency-Key, replayed when a phone
+// retries or the app's offline outbox sends an action again
+const orderRequests = createIdempotencyCache();
+
+// Largest item count accepted for a check-in, box or completion
+const MAX_ITEMS = 10000;
+
+// Longest notes or reason accepted
+const MAX_TEXT_LENGTH = 5000;
+
+// Tracking numbers as scanned or typed: the full number or its last few digits
+const TRACKING_NUMBER_PATTERN = /^[A-Za-z0-9]{1,40}$/;
+
+// Ops Status stages shown on the supervisor floor view, in workflow order
+const FLOOR_STAGES = ['Media Received', 'Digitizing', 'Quality Check', 'Shipping Back', 'Complete'];
+
+// How long an order can sit in a stage before it is flagged as stalled
+const STALL_THRESHOLD_HOURS = {
+    'Media Received': 24,
+    'Digitizing': 72,
+    'Quality Check': 24,
+    'Shipping Back': 48
+};
+
+// Completed orders stay on the floor view for this many days
+const FLOOR_COMPLETE_DAYS = 7;
+
+// Calendar days from check-in to due date for each processing tier
+const TURNAROUND_DAYS_BY_TIER = {
+    'Rush': 3,
+    'Expedited': 7,
+    'Standard': 21
+};
+
+// Orders due within this many days (or already overdue) are "at risk"; the app gets it from GET /api/config
+const AT_RISK_DAYS = 2;
+
+// Stages where an order still counts against its deadline
+const DEADLINE_STAGES = ['Media Received', 'Digitizing', 'Quality Check'];
+
+// Sessions are HMAC-signed tokens; set SESSION_SECRET so they survive restarts
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // one shift
+if (!process.env.SESSION_SECRET) {
+    console.warn('SESSION_SECRET is not set - using a random secret, sessions will not survive a restart');
+}
+
+// Lock an employee out for a while after too many wrong PINs
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 5 * 60 * 1000;
+
+const ROLES = {
+    DIGITIZER: 'digitizer',
+    SUPERVISOR: 'supervisor'
+};
+
+// ============================================
+// AUTHENTICATION
+// ============================================
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+const signPayload = (payload) => crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+
+// Compare two strings without leaking where they differ
+const safeEqual = (a, b) => {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+};
+
+// Employees table 'Role' is a single select (Digitizer / Supervisor); anything else is a digitizer
+const normalizeRole = (role) => String(role || '').toLowerCase() === ROLES.SUPERVISOR ? ROLES.SUPERVISOR : ROLES.DIGITIZER;
+
+const isActiveEmployee = (record) => record.fields['Active'] === true || record.fields['Active'] === undefined;
+
+const issueSession = (employee) => {
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    const payload = base64url(JSON.stringify({
+        sub: employee.id,
+        name: employee.name,
+        role: employee.role,
+        exp: expiresAt
+    }));
+    return { token: `${payload}.${signPayload(payload)}`, expiresAt };
+};
+
+const verifySessionToken = (token) => {
+    if (!token || typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature || !safeEqual(signature, signPayload(payload))) return null;
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!session.sub || !session.exp || session.exp < Date.now()) return null;
+        return { id: session.sub, name: session.name, role: normalizeRole(session.role), expiresAt: session.exp };
+    } catch (err) {
+        return null;
+    }
+};
+
+// employeeId -> { failures, lockedUntil }
+const pinAttempts = new Map();
+
+const isLockedOut = (employeeId) => {
+    const attempt = pinAttempts.get(employeeId);
+    return Boolean(attempt && attempt.lockedUntil && attempt.lockedUntil > Date.now());
+};
+
+const recordPinFailure = (employeeId) => {
+    const attempt = pinAttempts.get(employeeId) || { failures: 0, lockedUntil: null };
+    attempt.failures += 1;
+    if (attempt.failures >= MAX_PIN_ATTEMPTS) {
+        attempt.failures = 0;
+        attempt.lockedUntil = Date.now() + PIN_LOCKOUT_MS;
+    }
+    pinAttempts.set(employeeId, attempt);
+};
+
+/**
+ * Require a valid session token (Authorization: Bearer <token>).
+ * The acting employee is taken from the token and exposed as req.employee.
+ */
+const requireAuth = (req, res, next) => {
+    const header = req.headers['authorization'] || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    const session = verifySessionToken(token);
+    if (!session) {
+        return res.status(401).json({ error: 'Not signed in' });
+    }
+    req.employee = session;
+    next();
+};
+
+/**
+ * Limit a route to the given roles. Use after requireAuth.
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.employee || !roles.includes(req.employee.role)) {
+        return res.status(403).json({ error: 'You do not have access to this' });
+    }
+    next();
+};
+
+/**
+ * Employees can only read their own :employeeId routes; supervisors can read anyone's.
+ */
+const requireSelfOrSupervisor = (req, res, next) => {
+    if (req.employee.role === ROLES.SUPERVISOR || req.params.employeeId === req.employee.id) {
+        return next();
+    }
+    return res.status(403).json({ error: 'You can only view your own work' });
+};
+
+/**
+ * Who is changing an order and from which device, for the order's history
+ * (lib/orderEvents). The app sends its device ID in X-Device-Id.
+ * Pass the order as it was before the change if it's already loaded.
+ */
+const auditFrom = (req, action, before) => ({
+    action,
+    actor: req.employee.id,
+    source: EVENT_SOURCES.APP,
+    device: req.get('X-Device-Id') || req.get('User-Agent') || '',
+    before
+});
+
+// Name used to match legacy single-select 'Assigned Employee' values
+const resolveEmployeeName = async (req, employeeId) => {
+    if (employeeId === req.employee.id) return req.employee.name;
+    try {
+        const record = await repo.getEmployee(employeeId);
+        return record.fields['Employee Name'] || '';
+    } catch (err) {
+        return '';
+    }
+};
+
+// Handles both linked record IDs and legacy single-select names
+const isAssignedTo = (order, employee) => {
+    const assignedEmployee = order.fields['Assigned Employee'];
+    if (!assignedEmployee) return false;
+    if (Array.isArray(assignedEmployee)) return assignedEmployee.includes(employee.id);
+    if (assignedEmployee === employee.id) return true;
+    return Boolean(employee.name) && assignedEmployee.toLowerCase() === employee.name.toLowerCase();
+};
+
+// Who gets the credit for digitizing an order being completed: the signed-in employee,
+// unless a supervisor completes someone else's order, which stays with its digitizer
+const digitizerOf = (order, employee) => {
+    if (isAssignedTo(order, employee)) return employee.id;
+    const [assigned] = Array.isArray(order.fields['Assigned Employee']) ? order.fields['Assigned Employee'] : [];
+    const [linked] = Array.isArray(order.fields['Employee Link']) ? order.fields['Employee Link'] : [];
+    return assigned || linked || employee.id;
+};
+
+// ============================================
+// AUTH ROUTES
+// ============================================
+
+/**
+ * Sign in with employee PIN
+ * POST /api/auth/login
+ */
+app.post('/api/auth/login', validate({
+    body: {
+        employeeId: recordId({ message: 'Choose your name to sign in' }),
+        pin: string({ required: true, maxLength: 12, pattern: /^\d+$/, message: 'Enter your PIN (digits only)' })
+    }
+}), async (req, res) => {
+    try {
+        const { employeeId, pin } = req.body;
+        
+        if (isLockedOut(employeeId)) {
+            return res.status(429).json({ error: 'Too many attempts. Try again in a few minutes.' });
+        }
+        
+        let record;
+        try {
+            record = await repo.getEmployee(employeeId);
+        } catch (err) {
+            return res.status(401).json({ error: 'Incorrect PIN' });
+        }
+        
+        const storedPin = record.fields['PIN'];
+        if (!isActiveEmployee(record) || !storedPin || !safeEqual(String(pin), String(storedPin))) {
+            recordPinFailure(employeeId);
+            console.log(`Failed sign-in for employee ${employeeId}`);
+            return res.status(401).json({ error: 'Incorrect PIN' });
+        }
+        
+        pinAttempts.delete(employeeId);
+        
+        const employee = {
+            id: record.id,
+            name: record.fields['Employee Name'],
+            role: normalizeRole(record.fields['Role'])
+        };
+        
+        console.log(`Employee ${employee.name} signed in as ${employee.role}`);
+        
+        res.json({ ...issueSession(employee), employee });
+    } catch (error) {
+        console.error('Error signing in:', error.message);
+        sendServerError(res, error, 'Failed to sign in');
+    }
+});
+
+/**
+ * Get the signed-in employee
+ * GET /api/auth/session
+ */
+app.get('/api/auth/session', requireAuth, (req, res) => {
+    const { id, name, role, expiresAt } = req.employee;
+    res.json({ employee: { id, name, role }, expiresAt });
+});
+
+// ============================================
+// ORDER HELPERS
+// ============================================
+
+/**
+ * Order Items for a set of orders in one batched lookup: order ID -> Order Items records.
+ * Errors are logged and treated as "no items" so a lookup never fails on them.
+ */
+const loadOrderItems = async (orders) => {
+    try {
+        return await repo.getOrderItemsForOrders(orders);
+    } catch (err) {
+        console.error('Error fetching order items:', err.message);
+        return new Map();
+    }
+};
+
+/**
+ * Manifest line items for a set of orders: order ID -> line items (lib/manifest).
+ * Errors are logged and treated as "no manifest", as with Order Items.
+ */
+const loadManifests = async (orders) => {
+    try {
+        return await repo.getManifestsForOrders(orders);
+    } catch (err) {
+        console.error('Error fetching manifests:', err.message);
+        return new Map();
+    }
+};
+
+/**
+ * The item count a check-in or completion sends: `manifest` counts by media type
+ * ({ mediaType: count }), the total, or both if they agree.
+ * Returns { total } or { error } with the 400 body to send.
+ */
+const itemTotal = (total, manifest, field) => {
+    if (manifest) {
+        if (total != null && total !== manifestTotal(manifest)) {
+            return { error: { error: `${field} (${total}) doesn't match the manifest (${manifestTotal(manifest)} items)`, code: 'MANIFEST_MISMATCH' } };
+        }
+        return { total: manifestTotal(manifest) };
+    }
+    if (total == null) {
+        const message = `${field} is required`;
+        return { error: { error: message, code: 'VALIDATION_FAILED', details: [{ field, message }] } };
+    }
+    return { total };
+};
+
+// An order with an open exception (lib/exceptions) can't be completed or pass QC
+// until a supervisor resolves it
+const EXCEPTION_HOLD = {
+    error: 'This order has an open exception - a supervisor needs to resolve it first',
+    code: 'EXCEPTION_OPEN'
+};
+
+/**
+ * Respond to an error from a lib module's rules (payroll, reports, timers), which
+ * carries the status and code to send; anything else is a server error
+ */
+const sendRuleError = (res, error, message) => {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error(`${message}:`, error.message);
+    return sendServerError(res, error, message);
+};
+
+/**
+ * Stop the timers running on an order that's been completed or has moved on
+ * (lib/workSessions). Errors are logged; the order change has already been made.
+ */
+const stopOrderTimers = async (recordId, reason) => {
+    try {
+        await workTimer.stopOrder(recordId, reason);
+    } catch (err) {
+        console.error(`Error stopping timers on order ${recordId}:`, err.message);
+    }
+};
+
+/**
+ * An employee's work sessions, or none if they can't be loaded
+ */
+const loadWorkSessions = async (query) => {
+    try {
+        return await repo.listWorkSessions(query);
+    } catch (err) {
+        console.error('Error fetching work sessions:', err.message);
+        return [];
+    }
+};
+
+/**
+ * Due date from check-in date + the tier's turnaround days.
+ * daysUntilDue is negative once the order is overdue.
+ */
+const calculateDueDate = (checkInDate, tier, now = new Date()) => {
+    if (!checkInDate) return { dueDate: null, daysUntilDue: null, overdue: false, atRisk: false };
+    const checkIn = new Date(checkInDate);
+    if (isNaN(checkIn.getTime())) return { dueDate: null, daysUntilDue: null, overdue: false, atRisk: false };
+    
+    const due = new Date(Date.UTC(checkIn.getUTCFullYear(), checkIn.getUTCMonth(), checkIn.getUTCDate()));
+    due.setUTCDate(due.getUTCDate() + (TURNAROUND_DAYS_BY_TIER[tier] || TURNAROUND_DAYS_BY_TIER['Standard']));
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const daysUntilDue = Math.round((due.getTime() - today) / (24 * 60 * 60 * 1000));
+    
+    return {
+        dueDate: due.toISOString().split('T')[0],
+        daysUntilDue,
+        overdue: daysUntilDue < 0,
+        atRisk: daysUntilDue <= AT_RISK_DAYS
+    };
+};
+
+// Earliest due date first; orders without one go last
+const compareDueDates = (a, b) => {
+    if (a === b) return 0;
+    if (!a) return 1;
+    if (!b) return -1;
+    return a < b ? -1 : 1;
+};
 
-const EXTRA_ITEM_PRICE = 15.00;
-const PER_ITEM_PAY = 2.00;
+const todayDate = () => new Date().toISOString().split('T')[0];
 
-// Fallback base pay by package type (used if Airtable Base Pay field is empty)
-const BASE_PAY_BY_PACKAGE_TYPE = {
-    'Starter': 15.00,
-    'Popular': 22.50,
-    'Dusty Rose': 30.00,
-    'Eternal': 37.50
+/**
+ * Pay rates for an order still being digitized, so the app can preview pay
+ * as items are counted. Returns { effectiveFrom, basePay, perItemPay: [tiers], tierBonus }.
+ */
+const getOrderPayRates = (record, processingTier) => {
+    const rates = getPayRates({ packageType: record.fields['Package Type'], processingTier, date: todayDate() });
+    return hasPayFormulas(record)
+        ? { ...rates, basePay: record.fields['Base Pay'] || 0, tierBonus: 0 }
+        : rates;
 };
 
-const getBasePayFallback = (packageType) => BASE_PAY_BY_PACKAGE_TYPE[packageType] || 0;
+const firstLinkedId = (value) => Array.isArray(value) && value.length > 0 ? value[0] : null;
 
-const ORDERS_TABLE = 'Orders';
-const EMPLOYEES_TABLE = 'Employees';
-const PAY_PERIODS_TABLE = 'Pay Periods';
+const hoursSince = (dateStr, now = Date.now()) => {
+    if (!dateStr) return null;
+    const time = new Date(dateStr).getTime();
+    if (isNaN(time)) return null;
+    return Math.max(0, Math.round((now - time) / (60 * 60 * 1000) * 10) / 10);
+};
 
 // ============================================
 // EMPLOYEE ROUTES
@@ -54,13 +489,10 @@ const PAY_PERIODS_TABLE = 'Pay Periods';
  */
 app.get('/api/employees', async (req, res) => {
     try {
-        const records = await base(EMPLOYEES_TABLE).select({
-            fields: ['Employee Name', 'Active'],
-            sort: [{ field: 'Employee Name', direction: 'asc' }]
-        }).firstPage();
+        const records = await repo.listEmployees();
         
         const employees = records
-            .filter(r => r.fields['Active'] === true || r.fields['Active'] === undefined)
+            .filter(isActiveEmployee)
             .map(r => ({
                 id: r.id,
                 name: r.fields['Employee Name']
@@ -69,7 +501,7 @@ app.get('/api/employees', async (req, res) => {
         res.json({ employees });
     } catch (error) {
         console.error('Error fetching employees:', error.message);
-        res.status(500).json({ error: 'Failed to fetch employees' });
+        sendServerError(res, error, 'Failed to fetch employees');
     }
 });
 
@@ -77,19 +509,21 @@ app.get('/api/employees', async (req, res) => {
  * Get employee's work queue (orders to digitize)
  * GET /api/employees/:employeeId/work
  */
-app.get('/api/employees/:employeeId/work', async (req, res) => {
+app.get('/api/employees/:employeeId/work', requireAuth, validate({ params: { employeeId: recordId() } }), requireSelfOrSupervisor, async (req, res) => {
     try {
         const { employeeId } = req.params;
-        const employeeName = req.query.name; // Pass employee name as query param
+        const employeeName = await resolveEmployeeName(req, employeeId);
         
         console.log(`Fetching work queue for employee: ${employeeId}, name: ${employeeName}`);
         
         // Get only orders in 'Digitizing' status (not Quality Check, Complete, or other post-digitizing stages)
-        const records = await base(ORDERS_TABLE).select({
-            filterByFormula: `{Ops Status}='Digitizing'`,
-            fields: ['Order Number', 'Customer', 'Customer Name', 'Customer Email', 'Items Received', 'Ops Status', 'Package Items Included', 'Assigned Employee', 'Check-In Notes', 'Order Items', 'Base Pay', 'Per Item Pay', 'Package Type'],
-            sort: [{ field: 'Created Time', direction: 'asc' }]
-        }).firstPage();
+        const [records, employeeNames] = await Promise.all([
+            repo.listOrdersByStatus(['Digitizing'], {
+                fields: ['Order Number', 'Customer', 'Customer Name', 'Customer Email', 'Items Received', 'Ops Status', 'Package Items Included', 'Assigned Employee', 'Check-In Notes', 'Order Items', 'Base Pay', 'Total Order Pay', 'Package Type', 'QC Rejection Reason', 'QC Rejections', 'Pay Hold', 'Previous Assignee', 'Reassigned By', 'Reassigned At', 'Reassignment Reason', 'Check-In Date', 'Created Time', 'Exception Open'],
+                sort: [{ field: 'Created Time', direction: 'asc' }]
+            }),
+            repo.getEmployeeNames()
+        ]);
         
         console.log(`Found ${records.length} non-complete orders`);
         
@@ -117,47 +551,27 @@ app.get('/api/employees/:employeeId/work', async (req, res) => {
         
         console.log(`Found ${filteredRecords.length} orders assigned to employee`);
         
-        // Process orders and fetch USB drive counts + expedited/rush status
-        const orders = await Promise.all(filteredRecords.map(async (r) => {
+        // USB drive counts + expedited/rush status, with one Order Items lookup for the whole queue
+        const orderItems = await loadOrderItems(filteredRecords);
+        // What came in by media type, to count the items digitized the same way
+        const orderManifests = await loadManifests(filteredRecords);
+        // The employee's timer on each order
+        const timerSessions = sessionsByOrder(filteredRecords.length > 0
+            ? await loadWorkSessions({ employeeId, orderIds: filteredRecords.map(r => r.id) })
+            : []);
+        const orders = filteredRecords.map(r => {
             let customerName = r.fields['Customer Name'] || r.fields['Customer'];
             if (Array.isArray(customerName)) customerName = customerName[0];
             
             let customerEmail = r.fields['Customer Email'];
             if (Array.isArray(customerEmail)) customerEmail = customerEmail[0];
             
-            // Check for USB drives and expedited/rush processing in order items
-            let usbDriveCount = 0;
-            let expeditedType = null; // null | 'Expedited Processing' | 'Rush Processing'
-            if (r.fields['Order Items'] && Array.isArray(r.fields['Order Items'])) {
-                try {
-                    const orderItemRecords = await base('Order Items').select({
-                        filterByFormula: `OR(${r.fields['Order Items'].map(id => `RECORD_ID()='${id}'`).join(',')})`,
-                        fields: ['Product Name', 'Quantity']
-                    }).firstPage();
-                    
-                    orderItemRecords.forEach(item => {
-                        const productName = Array.isArray(item.fields['Product Name']) 
-                            ? item.fields['Product Name'][0] 
-                            : item.fields['Product Name'];
-                        if (!productName) return;
-                        const nameLower = productName.toLowerCase();
-                        if (nameLower.includes('usb')) {
-                            usbDriveCount += item.fields['Quantity'] || 0;
-                        }
-                        if (nameLower.includes('expedited')) {
-                            expeditedType = 'Expedited Processing';
-                        } else if (nameLower.includes('rush')) {
-                            expeditedType = 'Rush Processing';
-                        }
-                    });
-                } catch (err) {
-                    console.error('Error fetching order items:', err.message);
-                }
-            }
+            // USB drives, rush/expedited tier and unmapped products from the product catalog
+            const { usbDriveCount, expeditedType, processingTier, unmappedProducts } = classifyOrderItems(orderItems.get(r.id) || []);
             
             const packageType = r.fields['Package Type'] || '';
-            const basePay = r.fields['Base Pay'] != null ? r.fields['Base Pay'] : getBasePayFallback(packageType);
-            const perItemPay = r.fields['Per Item Pay'] || PER_ITEM_PAY;
+            
+            const due = calculateDueDate(r.fields['Check-In Date'] || r.fields['Created Time'], processingTier);
 
             return {
                 id: r.id,
@@ -171,78 +585,76 @@ app.get('/api/employees/:employeeId/work', async (req, res) => {
                     'Check-In Notes': r.fields['Check-In Notes'] || '',
                     'USB Drive Count': usbDriveCount,
                     'Expedited Type': expeditedType,
+                    'Processing Tier': processingTier,
+                    'Unmapped Products': unmappedProducts,
+                    'Due Date': due.dueDate,
+                    'Days Until Due': due.daysUntilDue,
                     'Package Type': packageType,
-                    'Base Pay': basePay,
-                    'Per Item Pay': perItemPay
+                    'Pay Rates': getOrderPayRates(r, processingTier),
+                    'QC Rejection Reason': r.fields['Pay Hold'] ? (r.fields['QC Rejection Reason'] || '') : '',
+                    'QC Rejections': r.fields['QC Rejections'] || 0,
+                    'Handed Off From': employeeNames[firstLinkedId(r.fields['Previous Assignee'])] || null,
+                    'Reassigned By': employeeNames[firstLinkedId(r.fields['Reassigned By'])] || null,
+                    'Reassigned At': r.fields['Reassigned At'] || null,
+                    'Reassignment Reason': r.fields['Reassignment Reason'] || '',
+                    'Timer': summarizeSessions(timerSessions.get(r.id) || []),
+                    'Manifest': manifestSummary(orderManifests.get(r.id)),
+                    'Exception Open': Boolean(r.fields['Exception Open'])
                 }
             };
-        }));
+        });
+        
+        // Most urgent first: earliest due date, then oldest (sort is stable)
+        orders.sort((a, b) => compareDueDates(a.fields['Due Date'], b.fields['Due Date']));
+        
+        // Orders this employee handed off that are still being digitized by someone else
+        const handedOffOrders = records
+            .filter(r => (r.fields['Previous Assignee'] || []).includes(employeeId) && !filteredRecords.includes(r))
+            .map(r => {
+                let customerName = r.fields['Customer Name'] || r.fields['Customer'];
+                if (Array.isArray(customerName)) customerName = customerName[0];
+                const assignedId = firstLinkedId(r.fields['Assigned Employee']);
+                return {
+                    id: r.id,
+                    fields: {
+                        'Order Number': r.fields['Order Number'],
+                        'Customer': customerName,
+                        'Assigned To': assignedId ? (employeeNames[assignedId] || 'Unknown') : null,
+                        'Reassigned At': r.fields['Reassigned At'] || null,
+                        'Reassignment Reason': r.fields['Reassignment Reason'] || ''
+                    }
+                };
+            });
 
         // Fetch completed orders for this employee (current pay period)
         // Determine the date range from the employee's current pay period
         let periodStartDate = null;
         let periodEndDate = null;
         try {
-            const allPeriods = await base(PAY_PERIODS_TABLE).select({
-                sort: [{ field: 'Start Date', direction: 'desc' }]
-            }).firstPage();
-
-            const employeePeriods = allPeriods.filter(p => {
-                const employees = p.fields['Employee'];
-                if (!employees) return false;
-                if (Array.isArray(employees)) return employees.includes(employeeId);
-                return employees === employeeId;
-            });
+            const employeePeriods = await repo.listPayPeriodsForEmployee(employeeId);
 
             if (employeePeriods.length > 0) {
                 // Find current (non-Paid) period first, then fall back to most recent
                 const currentPeriod = employeePeriods.find(p => p.fields['Status'] !== 'Paid') || employeePeriods[0];
                 periodStartDate = currentPeriod.fields['Start Date'] || null;
                 periodEndDate = currentPeriod.fields['End Date'] || null;
-
-                // If no current period found but there are past periods, use the most recent end date as start
-                if (!currentPeriod && employeePeriods.length > 0) {
-                    periodStartDate = employeePeriods[0].fields['End Date'] || null;
-                    periodEndDate = null;
-                }
             }
         } catch (err) {
             console.error('Error fetching pay periods for completed orders:', err.message);
         }
 
-        // Build the completed orders filter formula
-        let completedFilter;
-        if (periodStartDate && periodEndDate) {
-            completedFilter = `AND({Digitization Complete}=TRUE(), {Digitization Completion Date}>='${periodStartDate}', {Digitization Completion Date}<='${periodEndDate}')`;
-        } else if (periodStartDate) {
-            completedFilter = `AND({Digitization Complete}=TRUE(), {Digitization Completion Date}>='${periodStartDate}')`;
-        } else {
-            // No pay period info at all — show all completed orders
-            completedFilter = `{Digitization Complete}=TRUE()`;
-        }
-
+        // Without pay period info this falls back to all completed orders
         let completedOrders = [];
         try {
-            const completedRecords = await base(ORDERS_TABLE).select({
-                filterByFormula: completedFilter,
-                fields: ['Order Number', 'Customer', 'Customer Name', 'Items Digitized', 'Ops Status', 'Digitization Completion Date', 'Employee Link', 'Assigned Employee'],
-                sort: [{ field: 'Digitization Completion Date', direction: 'desc' }]
-            }).firstPage();
-
-            const filteredCompleted = completedRecords.filter(r => {
-                // Match by Employee Link (linked record) or Assigned Employee (single select name)
-                const empLink = r.fields['Employee Link'];
-                const assignedEmployee = r.fields['Assigned Employee'];
-                
-                if (empLink && Array.isArray(empLink) && empLink.includes(employeeId)) return true;
-                if (assignedEmployee && employeeName) {
-                    if (typeof assignedEmployee === 'string') {
-                        return assignedEmployee.toLowerCase() === employeeName.toLowerCase();
-                    }
-                }
-                return false;
+            const completedRecords = await repo.listCompletedOrders({
+                startDate: periodStartDate,
+                endDate: periodEndDate,
+                fields: ['Order Number', 'Customer', 'Customer Name', 'Items Digitized', 'Ops Status', 'Digitization Completion Date', 'Employee Link', 'Assigned Employee', 'Pay Hold']
             });
 
+            // The same orders the employee is paid for (lib/payroll)
+            const filteredCompleted = completedRecords.filter(r => isCompletedBy(r, employeeId, employeeName));
+
             completedOrders = filteredCompleted.map(r => {
                 let customerName = r.fields['Customer Name'] || r.fields['Customer'];
                 if (Array.isArray(customerName)) customerName = customerName[0];
@@ -253,7 +665,8 @@ app.get('/api/employees/:employeeId/work', async (req, res) => {
                         'Customer': customerName,
                         'Items Digitized': r.fields['Items Digitized'] || 0,
                         'Ops Status': r.fields['Ops Status'],
-                        'Digitization Completion Date': r.fields['Digitization Completion Date']
+                        'Digitization Completion Date': r.fields['Digitization Completion Date'],
+                        'Pay Hold': r.fields['Pay Hold'] === true
                     }
                 };
             });
@@ -263,10 +676,10 @@ app.get('/api/employees/:employeeId/work', async (req, res) => {
             console.error('Error fetching completed orders:', err.message);
         }
         
-        res.json({ orders, completedOrders });
+        res.json({ orders, completedOrders, handedOffOrders });
     } catch (error) {
         console.error('Error fetching work queue:', error.message);
-        res.status(500).json({ error: 'Failed to fetch work queue' });
+        sendServerError(res, error, 'Failed to fetch work queue');
     }
 });
 
@@ -274,34 +687,67 @@ app.get('/api/employees/:employeeId/work', async (req, res) => {
  * Get employee's pay information (pay-period-aware)
  * GET /api/employees/:employeeId/pay
  */
-app.get('/api/employees/:employeeId/pay', async (req, res) => {
+app.get('/api/employees/:employeeId/pay', requireAuth, validate({ params: { employeeId: recordId() } }), requireSelfOrSupervisor, async (req, res) => {
     try {
         const { employeeId } = req.params;
-        const employeeName = req.query.name;
+        const employeeName = await resolveEmployeeName(req, employeeId);
         
         console.log(`Fetching pay info for employee: ${employeeId}, name: ${employeeName}`);
         
-        // Fetch all pay periods and filter for this employee in code
-        const allPeriods = await base(PAY_PERIODS_TABLE).select({
-            sort: [{ field: 'Start Date', direction: 'desc' }]
-        }).firstPage();
-        
-        const employeePeriods = allPeriods.filter(p => {
-            const employees = p.fields['Employee'];
-            if (!employees) return false;
-            if (Array.isArray(employees)) return employees.includes(employeeId);
-            return employees === employeeId;
-        });
+        const employeePeriods = await repo.listPayPeriodsForEmployee(employeeId);
         
         console.log(`Found ${employeePeriods.length} pay periods for employee ${employeeId}`);
         
         // For each pay period, fetch orders and calculate totals.
-        // - Paid/closed periods: use manually linked order IDs (finalized payroll)
+        // - Closed periods (Ready for Payment / Paid): the orders linked when the period was closed
         // - Draft/open periods: dynamically query all completed orders by date range
-        //   so employees always see their work in real-time without manual linking.
-        const payPeriods = await Promise.all(employeePeriods.map(async (period) => {
-            const periodStatus = period.fields['Status'] || 'Draft';
-            const linkedOrderIds = period.fields['Orders'] || [];
+        //   so employees always see their work in real-time before payroll is closed.
+        const draftPeriods = employeePeriods.filter(p => !isLockedPeriod(p));
+        const finalizedPeriods = employeePeriods.filter(isLockedPeriod);
+        
+        // One completed-orders scan covering every draft period, bucketed by date below.
+        // Note: {Employee Link} is a linked record field — Airtable resolves it to display text in
+        // formulas, not the record ID, so we can't reliably filter by it in the formula.
+        let draftCompleted = [];
+        if (draftPeriods.length > 0) {
+            const startDates = draftPeriods.map(p => p.fields['Start Date']);
+            const endDates = draftPeriods.map(p => p.fields['End Date']);
+            try {
+                const allCompleted = await repo.listCompletedOrders({
+                    startDate: startDates.every(Boolean) ? startDates.sort()[0] : null,
+                    endDate: endDates.every(Boolean) ? endDates.sort().reverse()[0] : null,
+                    fields: PAY_ORDER_FIELDS
+                });
+                
+                // Filter by employee in code — handles both linked record IDs and name-based assignment
+                draftCompleted = allCompleted.filter(r => isCompletedBy(r, employeeId, employeeName));
+            } catch (err) {
+                console.error('Error fetching completed orders for pay periods:', err.message);
+            }
+        }
+        
+        // Finalized periods: one batched lookup of every linked order
+        const linkedOrders = new Map();
+        try {
+            const records = await repo.getOrdersByIds(
+                finalizedPeriods.flatMap(p => p.fields['Orders'] || []),
+                ['Order Number', 'Items Digitized', 'Total Order Pay', 'Digitization Completion Date', 'Base Pay', 'Per Item Pay', 'Package Type', 'Order Items', 'Pay Hold']
+            );
+            records.forEach(r => linkedOrders.set(r.id, r));
+        } catch (err) {
+            console.error('Error fetching linked orders for pay periods:', err.message);
+        }
+        
+        // Rush/expedited bonuses need the processing tier, for orders priced from config/pricing.json
+        const priced = [...draftCompleted, ...linkedOrders.values()].filter(r => !hasPayFormulas(r));
+        const orderItems = await loadOrderItems(priced);
+        // Items digitized by media type, for media-specific per-item pay
+        const orderManifests = await loadManifests(priced);
+        
+        // Time the employee spent on each order, from their timer
+        const timeByOrder = sessionsByOrder(await loadWorkSessions({ employeeId }));
+        
+        const payPeriods = employeePeriods.map(period => {
             const startDate = period.fields['Start Date'] || null;
             const endDate = period.fields['End Date'] || null;
 
@@ -309,78 +755,72 @@ app.get('/api/employees/:employeeId/pay', async (req, res) => {
             let totalPay = 0;
             let totalItems = 0;
             let totalOrders = 0;
+            let heldPay = 0;
+            // Pay and time of the orders that were timed, overall and by package type
+            let timedPay = 0;
+            let timedSeconds = 0;
+            const packages = new Map();
 
-            const isDraft = periodStatus !== 'Paid' && periodStatus !== 'Ready for Payment';
-
-            try {
-                let orderRecords = [];
-
-                if (isDraft) {
-                    // Dynamic query: find all completed orders in the date range, then filter by employee in code.
-                    // Note: {Employee Link} is a linked record field — Airtable resolves it to display text in
-                    // formulas, not the record ID, so we can't reliably filter by it in the formula.
-                    let dateFilters = `{Digitization Complete}=TRUE()`;
-                    if (startDate && endDate) {
-                        dateFilters = `AND({Digitization Complete}=TRUE(), {Digitization Completion Date}>='${startDate}', {Digitization Completion Date}<='${endDate}')`;
-                    } else if (startDate) {
-                        dateFilters = `AND({Digitization Complete}=TRUE(), {Digitization Completion Date}>='${startDate}')`;
-                    }
-
-                    const allCompleted = await base(ORDERS_TABLE).select({
-                        filterByFormula: dateFilters,
-                        fields: ['Order Number', 'Items Digitized', 'Total Order Pay', 'Digitization Completion Date', 'Base Pay', 'Per Item Pay', 'Employee Link', 'Assigned Employee'],
-                        sort: [{ field: 'Digitization Completion Date', direction: 'desc' }]
-                    }).firstPage();
-
-                    // Filter by employee in code — handles both linked record IDs and name-based assignment
-                    orderRecords = allCompleted.filter(r => {
-                        const empLink = r.fields['Employee Link'];
-                        const assignedEmployee = r.fields['Assigned Employee'];
-                        if (empLink && Array.isArray(empLink) && empLink.includes(employeeId)) return true;
-                        if (assignedEmployee && employeeName) {
-                            if (typeof assignedEmployee === 'string') {
-                                return assignedEmployee.toLowerCase() === employeeName.toLowerCase();
-                            }
-                            if (Array.isArray(assignedEmployee)) {
-                                return assignedEmployee.includes(employeeId);
-                            }
-                        }
-                        return false;
-                    });
-                } else if (linkedOrderIds.length > 0) {
-                    // Finalized period: use manually linked orders
-                    orderRecords = await base(ORDERS_TABLE).select({
-                        filterByFormula: `OR(${linkedOrderIds.map(id => `RECORD_ID()='${id}'`).join(',')})`,
-                        fields: ['Order Number', 'Items Digitized', 'Total Order Pay', 'Digitization Completion Date', 'Base Pay', 'Per Item Pay']
-                    }).firstPage();
-                }
+            let orderRecords;
+            if (!isLockedPeriod(period)) {
+                orderRecords = draftCompleted.filter(r => {
+                    const date = r.fields['Digitization Completion Date'];
+                    if (startDate && (!date || date < startDate)) return false;
+                    if (startDate && endDate && date > endDate) return false;
+                    return true;
+                });
+            } else {
+                orderRecords = (period.fields['Orders'] || []).map(id => linkedOrders.get(id)).filter(Boolean);
+            }
 
-                orderRecords.forEach(r => {
-                    const pay = r.fields['Total Order Pay'] || 0;
-                    const items = r.fields['Items Digitized'] || 0;
+            orderRecords.forEach(r => {
+                const { processingTier } = classifyOrderItems(orderItems.get(r.id) || []);
+                const { basePay, perItemPay, tierBonus, totalPay: pay } = getOrderPay(r, processingTier, orderManifests.get(r.id));
+                const items = r.fields['Items Digitized'] || 0;
+                const packageType = r.fields['Package Type'] || null;
+                const { seconds } = summarizeSessions(timeByOrder.get(r.id) || []);
+                // Orders rejected in QC are held out of the total until they are re-approved
+                const onHold = r.fields['Pay Hold'] === true;
+                if (onHold) {
+                    heldPay += pay;
+                } else {
                     totalPay += pay;
                     totalItems += items;
                     totalOrders++;
-                    periodOrders.push({
-                        id: r.id,
-                        orderNumber: r.fields['Order Number'],
-                        itemsDigitized: items,
-                        basePay: r.fields['Base Pay'] || 0,
-                        perItemPay: r.fields['Per Item Pay'] || 0,
-                        pay,
-                        date: r.fields['Digitization Completion Date']
-                    });
+                    if (seconds > 0) {
+                        timedPay += pay;
+                        timedSeconds += seconds;
+                        const key = packageType || 'Unknown';
+                        const totals = packages.get(key) || { packageType: key, orders: 0, items: 0, seconds: 0, pay: 0 };
+                        totals.orders++;
+                        totals.items += items;
+                        totals.seconds += seconds;
+                        totals.pay += pay;
+                        packages.set(key, totals);
+                    }
+                }
+                periodOrders.push({
+                    id: r.id,
+                    orderNumber: r.fields['Order Number'],
+                    packageType,
+                    itemsDigitized: items,
+                    basePay,
+                    perItemPay,
+                    tierBonus,
+                    pay,
+                    onHold,
+                    seconds,
+                    hourlyRate: hourlyRate(pay, seconds),
+                    date: r.fields['Digitization Completion Date']
                 });
+            });
 
-                // Sort orders by date descending
-                periodOrders.sort((a, b) => {
-                    if (!a.date) return 1;
-                    if (!b.date) return -1;
-                    return new Date(b.date) - new Date(a.date);
-                });
-            } catch (err) {
-                console.error('Error fetching orders for pay period:', err.message);
-            }
+            // Sort orders by date descending
+            periodOrders.sort((a, b) => {
+                if (!a.date) return 1;
+                if (!b.date) return -1;
+                return new Date(b.date) - new Date(a.date);
+            });
             
             return {
                 id: period.id,
@@ -389,12 +829,19 @@ app.get('/api/employees/:employeeId/pay', async (req, res) => {
                 endDate: period.fields['End Date'],
                 status: period.fields['Status'] || 'Draft',
                 datePaid: period.fields['Date Paid'],
+                lockedAt: period.fields['Locked At'] || null,
                 totalPay,
                 totalItems,
                 totalOrders,
+                heldPay,
+                timedSeconds,
+                hourlyRate: hourlyRate(timedPay, timedSeconds),
+                byPackage: [...packages.values()]
+                    .map(p => ({ ...p, hourlyRate: hourlyRate(p.pay, p.seconds) }))
+                    .sort((a, b) => a.packageType.localeCompare(b.packageType)),
                 orders: periodOrders
             };
-        }));
+        });
         
         // Determine current period:
         // payPeriods is already sorted by Start Date desc (newest first)
@@ -417,7 +864,7 @@ app.get('/api/employees/:employeeId/pay', async (req, res) => {
         });
     } catch (error) {
         console.error('Error fetching pay info:', error.message);
-        res.status(500).json({ error: 'Failed to fetch pay info' });
+        sendServerError(res, error, 'Failed to fetch pay info');
     }
 });
 
@@ -425,31 +872,56 @@ app.get('/api/employees/:employeeId/pay', async (req, res) => {
 // ORDER ROUTES
 // ============================================
 
+// The customer's name; Customer can be a linked record, with the name in Customer Name
+const customerNameOf = (record) => {
+    const name = record.fields['Customer Name'] || record.fields['Customer'];
+    return Array.isArray(name) ? name[0] : name;
+};
+
+/**
+ * An order as the scanners show it: its fields plus what the product catalog says
+ * about its items. `trackingNumber` is the label scanned, if it was found by one.
+ */
+const scannedOrder = async (record, trackingNumber) => {
+    // USB drives, rush/expedited tier and unmapped products from the product catalog
+    const orderItems = await loadOrderItems([record]);
+    const { usbDriveCount, expeditedType, processingTier, itemAllowance, unmappedProducts } = classifyOrderItems(orderItems.get(record.id) || []);
+    const manifestLines = (await loadManifests([record])).get(record.id);
+    
+    return {
+        id: record.id,
+        fields: {
+            ...record.fields,
+            'Customer': customerNameOf(record),
+            'USB Drive Count': usbDriveCount,
+            'Expedited Type': expeditedType,
+            'Processing Tier': processingTier,
+            'Item Allowance': itemAllowance,
+            'Unmapped Products': unmappedProducts,
+            // Priced as of when the order was placed
+            'Extra Item Price': getExtraItemPrice(record.fields['Package Type'], record.fields['Created Time']),
+            // Which box was scanned, and which of the order's boxes are in
+            'Scanned Label': trackingNumber ? matchLabel(record, trackingNumber) : null,
+            'Receipt': receiptSummary(record, await repo.getEmployeeNames()),
+            // Items by media type, if it was checked in with a manifest
+            'Manifest': manifestSummary(manifestLines)
+        }
+    };
+};
+
 /**
  * Look up order by tracking number (full or last 5 digits)
  * GET /api/orders/tracking/:trackingNumber
  */
-app.get('/api/orders/tracking/:trackingNumber', async (req, res) => {
+app.get('/api/orders/tracking/:trackingNumber', requireAuth, validate({
+    params: { trackingNumber: string({ pattern: TRACKING_NUMBER_PATTERN, message: 'Tracking numbers are letters and digits only' }) }
+}), async (req, res) => {
     try {
         const { trackingNumber } = req.params;
         
         console.log(`Looking up tracking number: ${trackingNumber}`);
         
-        let formula;
-        if (trackingNumber.length <= 5) {
-            formula = `OR(
-                RIGHT({Label 1 Tracking}, ${trackingNumber.length})='${trackingNumber}',
-                RIGHT({Label 2 Tracking}, ${trackingNumber.length})='${trackingNumber}',
-                RIGHT({Label 3 Tracking}, ${trackingNumber.length})='${trackingNumber}'
-            )`;
-        } else {
-            formula = `OR({Label 1 Tracking}='${trackingNumber}',{Label 2 Tracking}='${trackingNumber}',{Label 3 Tracking}='${trackingNumber}')`;
-        }
-        
-        const records = await base(ORDERS_TABLE).select({
-            filterByFormula: formula,
-            maxRecords: 10
-        }).firstPage();
+        const records = await repo.findOrdersByTracking(trackingNumber, { maxRecords: 10 });
         
         if (records.length === 0) {
             return res.status(404).json({ error: 'Order not found', trackingNumber });
@@ -463,280 +935,1473 @@ app.get('/api/orders/tracking/:trackingNumber', async (req, res) => {
             return res.status(400).json({ error: 'Multiple orders match. Use more digits.', matches });
         }
         
-        const record = records[0];
-        
-        // Handle linked Customer field
-        let customerName = record.fields['Customer'];
-        if (Array.isArray(customerName) && customerName.length > 0) {
-            if (record.fields['Customer Name']) {
-                customerName = Array.isArray(record.fields['Customer Name']) 
-                    ? record.fields['Customer Name'][0] 
-                    : record.fields['Customer Name'];
-            }
-        }
-        
-        // Check for USB drives and expedited/rush processing in order items
-        let usbDriveCount = 0;
-        let expeditedType = null; // null | 'Expedited Processing' | 'Rush Processing'
-        if (record.fields['Order Items'] && Array.isArray(record.fields['Order Items'])) {
-            try {
-                const orderItemRecords = await base('Order Items').select({
-                    filterByFormula: `OR(${record.fields['Order Items'].map(id => `RECORD_ID()='${id}'`).join(',')})`,
-                    fields: ['Product Name', 'Quantity']
-                }).firstPage();
-                
-                orderItemRecords.forEach(item => {
-                    const productName = Array.isArray(item.fields['Product Name']) 
-                        ? item.fields['Product Name'][0] 
-                        : item.fields['Product Name'];
-                    if (!productName) return;
-                    const nameLower = productName.toLowerCase();
-                    if (nameLower.includes('usb')) {
-                        usbDriveCount += item.fields['Quantity'] || 0;
-                    }
-                    if (nameLower.includes('expedited')) {
-                        expeditedType = 'Expedited Processing';
-                    } else if (nameLower.includes('rush')) {
-                        expeditedType = 'Rush Processing';
-                    }
-                });
-            } catch (err) {
-                console.error('Error fetching order items:', err.message);
-            }
-        }
-        
-        res.json({
-            id: record.id,
-            fields: {
-                ...record.fields,
-                'Customer': customerName,
-                'USB Drive Count': usbDriveCount,
-                'Expedited Type': expeditedType
-            }
-        });
+        res.json(await scannedOrder(records[0], trackingNumber));
     } catch (error) {
         console.error('Error looking up order:', error.message);
-        res.status(500).json({ error: 'Failed to lookup order', details: error.message });
+        sendServerError(res, error, 'Failed to lookup order');
     }
 });
 
 /**
- * Check in a package
- * POST /api/orders/:recordId/checkin
+ * Search orders by order number, customer name or email, tracking number (full or
+ * last digits, any label) or work ticket code. Results are ranked best first
+ * (lib/orderSearch); `match` is the top result's ID when it's clearly the one meant.
+ * GET /api/orders/search?q=
  */
-app.post('/api/orders/:recordId/checkin', async (req, res) => {
+app.get('/api/orders/search', requireAuth, validate({
+    query: { q: string({ required: true, maxLength: 100, pattern: /^.{2,}$/, message: 'Type at least 2 characters to search' }) }
+}), async (req, res) => {
     try {
-        const { recordId } = req.params;
-        const { itemsReceived, employeeId, employeeName, notes } = req.body;
-        
-        console.log(`Checking in order ${recordId} with ${itemsReceived} items by employee ${employeeName || employeeId}`);
+        const { q } = req.query;
         
-        const order = await base(ORDERS_TABLE).find(recordId);
-        const expectedItems = order.fields['Package Items Included'] || 0;
-        const extraItems = Math.max(0, itemsReceived - expectedItems);
-        const extraCharge = extraItems * EXTRA_ITEM_PRICE;
+        console.log(`Searching orders: ${q}`);
         
-        let invoiceId = null;
-        let invoiceUrl = null;
+        // A work ticket code is the order's record ID
+        const orders = RECORD_ID_PATTERN.test(q)
+            ? await repo.getOrdersByIds([q])
+            : await repo.searchOrders(q);
+        const results = rankOrders(orders, q);
         
-        // Create Stripe invoice if there are extra items
-        if (extraItems > 0) {
-            let customerEmail = order.fields['Customer Email'];
-            if (Array.isArray(customerEmail)) customerEmail = customerEmail[0];
-            
-            let customerName = order.fields['Customer Name'] || order.fields['Customer'];
-            if (Array.isArray(customerName)) customerName = customerName[0];
-            
-            const orderNumber = order.fields['Order Number'];
-            
-            if (customerEmail) {
-                try {
-                    let customer;
-                    const existingCustomers = await stripe.customers.list({ email: customerEmail, limit: 1 });
-                    
-                    if (existingCustomers.data.length > 0) {
-                        customer = existingCustomers.data[0];
-                    } else {
-                        customer = await stripe.customers.create({
-                            email: customerEmail,
-                            name: customerName || 'Customer',
-                            metadata: { airtable_order: orderNumber }
-                        });
+        res.json({
+            query: q,
+            results,
+            match: isClearMatch(results) ? results[0].id : null
+        });
+    } catch (error) {
+        console.error('Error searching orders:', error.message);
+        sendServerError(res, error, 'Failed to search orders');
+    }
+});
+
+/**
+ * Look up an order by record ID - the code on its work ticket, or a search result.
+ * `tracking` is the label that was scanned, if it was found by one.
+ * GET /api/orders/by-id/:recordId
+ */
+app.get('/api/orders/by-id/:recordId', requireAuth, validate({
+    params: { recordId: recordId() },
+    query: { tracking: string({ optional: true, pattern: TRACKING_NUMBER_PATTERN }) }
+}), async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        
+        console.log(`Looking up order by ID: ${recordId}`);
+        
+        res.json(await scannedOrder(await repo.getOrder(recordId), req.query.tracking || null));
+    } catch (error) {
+        console.error('Error looking up order:', error.message);
+        sendServerError(res, error, 'Failed to lookup order');
+    }
+});
+
+/**
+ * Printable work ticket for an order, with a QR code of its record ID (and a label
+ * per box for multi-box orders). `?print=1` opens the print dialog on load.
+ * GET /api/orders/:recordId/ticket
+ */
+app.get('/api/orders/:recordId/ticket', requireAuth, validate({
+    params: { recordId: recordId() },
+    query: { print: oneOf(['0', '1'], { optional: true }) }
+}), async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        
+        const [order, employeeNames] = await Promise.all([repo.getOrder(recordId), repo.getEmployeeNames()]);
+        const orderItems = await loadOrderItems([order]);
+        const items = classifyOrderItems(orderItems.get(order.id) || []);
+        const assigneeId = (order.fields['Assigned Employee'] || [])[0];
+        
+        const html = await renderWorkTicket({
+            order,
+            customerName: customerNameOf(order),
+            items,
+            dueDate: calculateDueDate(order.fields['Check-In Date'], items.processingTier).dueDate,
+            assignedTo: assigneeId ? employeeNames[assigneeId] : null,
+            boxes: orderBoxes(order),
+            autoPrint: req.query.print === '1'
+        });
+        
+        res.type('html').send(html);
+    } catch (error) {
+        console.error('Error rendering work ticket:', error.message);
+        sendServerError(res, error, 'Failed to render work ticket');
+    }
+});
+
+/**
+ * Check in a package
+ * POST /api/orders/:recordId/checkin
+ *
+ * Send an Idempotency-Key header (one per check-in attempt) so a retried request
+ * gets the first response back instead of being applied twice.
+ * Re-checking an order that's already checked in needs `recount: true`; it corrects
+ * the counts and adjusts the extra-items invoice instead of sending another one.
+ *
+ * Orders shipped in more than one box are checked in a box at a time: send the
+ * scanned `label` (1-3) and the items in that box. The order is 'Partially Received'
+ * until the last box is in, and only then moves to Digitizing and is billed for extras
+ * on the total (see lib/receipts).
+ *
+ * Send the items as a `manifest` of counts by media type ({ 'Photos': 40, 'VHS Tapes': 5 })
+ * to record what arrived (lib/manifest) and itemize the invoice by media type;
+ * `itemsReceived` is then the manifest's total and can be left out.
+ *
+ * Fewer items than the package includes are recorded as 'Short Items' and settled by
+ * the order's short items policy (lib/shortItems); the response's `shortfall` says how.
+ */
+app.post('/api/orders/:recordId/checkin', requireAuth, validate({
+    params: { recordId: recordId() },
+    body: {
+        itemsReceived: integer({ min: 0, max: MAX_ITEMS, optional: true }),
+        manifest: counts(MEDIA_TYPES, { max: MAX_ITEMS, optional: true }),
+        notes: string({ optional: true, maxLength: MAX_TEXT_LENGTH }),
+        recount: boolean({ optional: true }),
+        label: oneOf(LABEL_NUMBERS, { optional: true })
+    }
+}), async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        const { manifest, notes, recount, label } = req.body;
+        const { id: employeeId, name: employeeName } = req.employee;
+        const idempotencyKey = req.get('Idempotency-Key');
+
+        const { total: itemsReceived, error: countError } = itemTotal(req.body.itemsReceived, manifest, 'itemsReceived');
+        if (countError) {
+            return res.status(400).json(countError);
+        }
+
+        // The manifest replaces what was recorded for the order (or this box) before;
+        // returns the order's received counts by media type, to itemize the invoice by
+        const recordManifest = async (order, box) => manifestCounts(
+            manifest
+                ? await manifests.record(order, MANIFEST_STAGES.RECEIVED, manifest, { box })
+                : await repo.listManifestItems([order.id]),
+            MANIFEST_STAGES.RECEIVED
+        );
+
+        const checkInBody = async (checkIn) => ({
+            success: true,
+            order: { id: checkIn.order.id, fields: checkIn.order.fields },
+            invoice: checkIn.invoice,
+            invoiceAdjustments: checkIn.adjustments,
+            receipt: receiptSummary(checkIn.order, await repo.getEmployeeNames()),
+            shortfall: checkIn.shortfall || null,
+            ...(checkIn.invoiceError && { invoiceError: checkIn.invoiceError })
+        });
+
+        const { value: result, replayed } = await orderRequests.run(idempotencyKey && `${recordId}:checkin:${idempotencyKey}`, () => (
+            extraItemsInvoices.withOrderLock(recordId, async () => {
+                const order = await repo.getOrder(recordId);
+                const orderNumber = order.fields['Order Number'];
+                // An order checked in as a whole is recounted as a whole
+                const checkedInWhole = Boolean(order.fields['Check-In Date']) && !orderBoxes(order).some(b => b.received);
+
+                if (label == null || checkedInWhole) {
+                    if (isPartiallyReceived(order)) {
+                        return {
+                            status: 409,
+                            body: {
+                                error: 'Some boxes of this order are already checked in - scan each remaining box, or have a supervisor complete the receipt',
+                                code: 'PARTIALLY_RECEIVED',
+                                receipt: receiptSummary(order, await repo.getEmployeeNames())
+                            }
+                        };
+                    }
+                    if (order.fields['Check-In Date'] && recount !== true) {
+                        return {
+                            status: 409,
+                            body: {
+                                error: 'Order is already checked in',
+                                code: 'ALREADY_CHECKED_IN',
+                                itemsReceived: order.fields['Items Received'] || 0
+                            }
+                        };
                     }
-                    
-                    const invoice = await stripe.invoices.create({
-                        customer: customer.id,
-                        collection_method: 'send_invoice',
-                        days_until_due: 7,
-                        metadata: { order_number: orderNumber, extra_items: extraItems.toString() }
+
+                    console.log(`${order.fields['Check-In Date'] ? 'Recounting' : 'Checking in'} order ${recordId} with ${itemsReceived} items by employee ${employeeName || employeeId}`);
+
+                    const itemsByMedia = await recordManifest(order);
+                    const checkIn = await extraItemsInvoices.checkIn({
+                        order, itemsReceived, itemsByMedia, notes, employeeId, idempotencyKey,
+                        receiptFields: { 'Receipt Status': RECEIPT_STATUS.RECEIVED },
+                        audit: auditFrom(req, order.fields['Check-In Date'] ? 'Recount' : 'Check-In')
                     });
-                    
-                    await stripe.invoiceItems.create({
-                        customer: customer.id,
-                        invoice: invoice.id,
-                        amount: Math.round(extraCharge * 100),
-                        currency: 'usd',
-                        description: `Additional digitization items (${extraItems} items @ $${EXTRA_ITEM_PRICE}/each) - Order ${orderNumber}`
+                    return { status: 200, body: await checkInBody(checkIn) };
+                }
+
+                const box = orderBoxes(order).find(b => b.label === label);
+                if (!box) {
+                    return { status: 400, body: { error: `Order ${orderNumber} has no Label ${label} tracking number` } };
+                }
+                if (box.received && recount !== true) {
+                    return {
+                        status: 409,
+                        body: {
+                            error: `Box ${label} of this order is already checked in`,
+                            code: 'ALREADY_CHECKED_IN',
+                            label,
+                            itemsReceived: box.itemsReceived
+                        }
+                    };
+                }
+
+                const receipt = receiveBox(order, { label, itemsReceived, employeeId });
+                const itemsByMedia = await recordManifest(order, label);
+                console.log(`${box.received ? 'Recounting' : 'Receiving'} box ${label} of order ${recordId} with ${itemsReceived} items by employee ${employeeName || employeeId} (${receipt.boxes.filter(b => b.received).length}/${receipt.boxes.length} boxes in)`);
+
+                // The last box in checks the order in; once it's checked in (or a supervisor
+                // completed the receipt) a box recount corrects the total like any recount
+                if (receipt.allIn || order.fields['Check-In Date']) {
+                    const checkIn = await extraItemsInvoices.checkIn({
+                        order,
+                        itemsReceived: receipt.itemsReceived,
+                        itemsByMedia,
+                        notes,
+                        employeeId,
+                        idempotencyKey,
+                        receiptFields: { ...receipt.fields, 'Receipt Status': RECEIPT_STATUS.RECEIVED },
+                        audit: auditFrom(req, box.received ? `Recount (Box ${label})` : order.fields['Check-In Date'] ? `Box ${label} Received` : 'Check-In')
                     });
-                    
-                    const finalizedInvoice = await stripe.invoices.finalizeInvoice(invoice.id);
-                    await stripe.invoices.sendInvoice(finalizedInvoice.id);
-                    
-                    invoiceId = finalizedInvoice.id;
-                    invoiceUrl = finalizedInvoice.hosted_invoice_url;
-                } catch (stripeError) {
-                    console.error('Stripe error:', stripeError.message);
+                    return { status: 200, body: await checkInBody(checkIn) };
+                }
+
+                // More boxes to come: record this one, nothing is billed yet
+                const updated = await repo.updateOrder(recordId, {
+                    ...receipt.fields,
+                    'Items Received': receipt.itemsReceived,
+                    'Receipt Status': RECEIPT_STATUS.PARTIAL,
+                    ...(notes && { 'Check-In Notes': notes })
+                }, auditFrom(req, box.received ? `Recount (Box ${label})` : `Box ${label} Received`, order));
+                return {
+                    status: 200,
+                    body: await checkInBody({ order: updated, invoice: null, adjustments: [], invoiceError: null })
+                };
+            })
+        ));
+
+        if (replayed) res.set('Idempotent-Replayed', 'true');
+        res.status(result.status).json(result.body);
+        if (result.status === 200) customerUpdates.queueStageChange(result.body.order);
+
+    } catch (error) {
+        console.error('Error checking in order:', error.message);
+        sendServerError(res, error, 'Failed to check in order');
+    }
+});
+
+/**
+ * Complete a partial receipt without the missing boxes (lost in transit, or packed
+ * into one of the others). The order is checked in and billed on the items received.
+ * Supervisors only.
+ * POST /api/orders/:recordId/receipt/complete
+ */
+app.post('/api/orders/:recordId/receipt/complete', requireAuth, requireRole(ROLES.SUPERVISOR), validate({
+    params: { recordId: recordId() },
+    body: { reason: string({ required: true, maxLength: MAX_TEXT_LENGTH, message: 'A reason is required' }) }
+}), async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        const { reason } = req.body;
+        const { id: supervisorId, name: supervisorName } = req.employee;
+        const idempotencyKey = req.get('Idempotency-Key');
+
+        const { value: result, replayed } = await orderRequests.run(idempotencyKey && `${recordId}:receipt:${idempotencyKey}`, () => (
+            extraItemsInvoices.withOrderLock(recordId, async () => {
+                const order = await repo.getOrder(recordId);
+                if (!isPartiallyReceived(order)) {
+                    return {
+                        status: 409,
+                        body: order.fields['Check-In Date']
+                            ? { error: 'Order is already checked in', code: 'ALREADY_CHECKED_IN' }
+                            : { error: 'No boxes of this order have been checked in yet', code: 'NOTHING_RECEIVED' }
+                    };
+                }
+
+                // Assigned to whoever received the last box, as if it had been the last one
+                const received = orderBoxes(order).filter(b => b.received)
+                    .sort((a, b) => String(a.receivedAt).localeCompare(String(b.receivedAt)));
+                const lastBox = received[received.length - 1];
+
+                console.log(`Completing receipt of order ${recordId} with ${received.length} boxes by ${supervisorName || supervisorId}: ${reason}`);
+
+                const checkIn = await extraItemsInvoices.checkIn({
+                    order,
+                    itemsReceived: order.fields['Items Received'] || 0,
+                    itemsByMedia: manifestCounts(await repo.listManifestItems([order.id]), MANIFEST_STAGES.RECEIVED),
+                    employeeId: lastBox.receivedBy || supervisorId,
+                    idempotencyKey,
+                    receiptFields: {
+                        'Receipt Status': RECEIPT_STATUS.RECEIVED,
+                        'Receipt Override At': new Date().toISOString(),
+                        'Receipt Override By': [supervisorId],
+                        'Receipt Override Reason': reason
+                    },
+                    audit: auditFrom(req, 'Receipt Completed')
+                });
+                return {
+                    status: 200,
+                    body: {
+                        success: true,
+                        order: { id: checkIn.order.id, fields: checkIn.order.fields },
+                        invoice: checkIn.invoice,
+                        invoiceAdjustments: checkIn.adjustments,
+                        receipt: receiptSummary(checkIn.order, await repo.getEmployeeNames()),
+                        shortfall: checkIn.shortfall,
+                        ...(checkIn.invoiceError && { invoiceError: checkIn.invoiceError })
+                    }
+                };
+            })
+        ));
+
+        if (replayed) res.set('Idempotent-Replayed', 'true');
+        res.status(result.status).json(result.body);
+        if (result.status === 200) customerUpdates.queueStageChange(result.body.order);
+
+    } catch (error) {
+        console.error('Error completing receipt:', error.message);
+        sendServerError(res, error, 'Failed to complete receipt');
+    }
+});
+
+/**
+ * Update order notes. Edits made offline send the `previousNotes` they started from,
+ * and get a 409 if the notes have been changed since (send `force: true` to overwrite).
+ * PATCH /api/orders/:recordId/notes
+ */
+app.patch('/api/orders/:recordId/notes', requireAuth, validate({
+    params: { recordId: recordId() },
+    body: {
+        // Compared with the saved notes as they are, so not trimmed
+        notes: string({ optional: true, maxLength: MAX_TEXT_LENGTH, trim: false }),
+        previousNotes: string({ optional: true, nullable: true, maxLength: MAX_TEXT_LENGTH, trim: false }),
+        force: boolean({ optional: true })
+    }
+}), async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        const { notes, previousNotes, force } = req.body;
+        const idempotencyKey = req.get('Idempotency-Key');
+        
+        console.log(`Updating notes for order ${recordId}`);
+        
+        const { value: result, replayed } = await orderRequests.run(idempotencyKey && `${recordId}:notes:${idempotencyKey}`, async () => {
+            if (previousNotes !== undefined && force !== true) {
+                const order = await repo.getOrder(recordId);
+                const currentNotes = order.fields['Check-In Notes'] || '';
+                if (currentNotes !== (previousNotes || '') && currentNotes !== (notes || '')) {
+                    return {
+                        status: 409,
+                        body: { error: 'The notes were changed on another device', code: 'NOTES_CHANGED', currentNotes }
+                    };
+                }
+            }
+
+            const updatedRecord = await repo.updateOrder(recordId, {
+                'Check-In Notes': notes || ''
+            }, auditFrom(req, 'Notes Updated'));
+            return {
+                status: 200,
+                body: { success: true, notes: updatedRecord.fields['Check-In Notes'] || '' }
+            };
+        });
+        
+        if (replayed) res.set('Idempotent-Replayed', 'true');
+        res.status(result.status).json(result.body);
+        
+    } catch (error) {
+        console.error('Error updating notes:', error.message);
+        sendServerError(res, error, 'Failed to update notes');
+    }
+});
+
+/**
+ * Complete digitization of an order. Only orders still in Digitizing can be completed,
+ * so a completion replayed from another device's outbox doesn't redo QC'd work.
+ * Send `digitized` counts by media type to be paid each type's per-item rate
+ * (perItemPayByMedia in config/pricing.json); `itemsDigitized` is then their total.
+ * POST /api/orders/:recordId/complete
+ */
+app.post('/api/orders/:recordId/complete', requireAuth, validate({
+    params: { recordId: recordId() },
+    body: {
+        itemsDigitized: integer({ min: 0, max: MAX_ITEMS, optional: true }),
+        digitized: counts(MEDIA_TYPES, { max: MAX_ITEMS, optional: true })
+    }
+}), async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        const { digitized } = req.body;
+        const { id: employeeId, name: employeeName } = req.employee;
+        const idempotencyKey = req.get('Idempotency-Key');
+        
+        const { total: itemsDigitized, error: countError } = itemTotal(req.body.itemsDigitized, digitized, 'itemsDigitized');
+        if (countError) {
+            return res.status(400).json(countError);
+        }
+        
+        console.log(`Completing order ${recordId} with ${itemsDigitized} items digitized by ${employeeName || employeeId}`);
+        
+        const { value: result, replayed } = await orderRequests.run(idempotencyKey && `${recordId}:complete:${idempotencyKey}`, async () => {
+            const order = await repo.getOrder(recordId);
+
+            // Digitizers can only complete orders in their own queue
+            if (req.employee.role !== ROLES.SUPERVISOR && !isAssignedTo(order, req.employee)) {
+                return { status: 403, body: { error: 'This order is not assigned to you', code: 'NOT_ASSIGNED' } };
+            }
+            if (order.fields['Ops Status'] !== 'Digitizing') {
+                return {
+                    status: 409,
+                    body: {
+                        error: `Order is not in Digitizing (currently ${order.fields['Ops Status'] || 'unknown'})`,
+                        code: 'NOT_IN_DIGITIZING',
+                        opsStatus: order.fields['Ops Status'] || null
+                    }
+                };
+            }
+            if (order.fields['Exception Open']) {
+                return { status: 409, body: EXCEPTION_HOLD };
+            }
+            
+            // A completion without counts by media type leaves any from before as they were
+            const manifestLines = digitized
+                ? await manifests.record(order, MANIFEST_STAGES.DIGITIZED, digitized)
+                : (await loadManifests([order])).get(order.id);
+            
+            // Update order - don't include computed fields (Base Pay, Per Item Pay, Total Order Pay)
+            // Those are formulas in Airtable that auto-calculate, if the base has them
+            const updateFields = {
+                'Items Digitized': itemsDigitized,
+                'Digitization Complete': true,
+                'Digitization Completion Date': new Date().toISOString().split('T')[0],
+                'Ops Status': 'Quality Check',
+                'Ops Status Updated': new Date().toISOString()
+            };
+            
+            // Employee Link is a linked record field - the digitizer, who is paid for the order
+            const digitizerId = digitizerOf(order, req.employee);
+            updateFields['Employee Link'] = [digitizerId];
+            
+            console.log('Update fields:', JSON.stringify(updateFields));
+            
+            await repo.updateOrder(recordId, updateFields, auditFrom(req, 'Digitization Complete', order));
+
+            // Re-fetch the record so Airtable formula fields (Base Pay, Per Item Pay, Total Order Pay) are current
+            const freshRecord = await repo.getOrder(recordId);
+            const orderItems = await loadOrderItems([freshRecord]);
+            const { processingTier } = classifyOrderItems(orderItems.get(freshRecord.id) || []);
+            const pay = getOrderPay(freshRecord, processingTier, manifestLines);
+            
+            // The digitizer's time on the order, from their timer
+            await stopOrderTimers(recordId, END_REASONS.COMPLETED);
+            const { seconds, sessions } = summarizeSessions(await loadWorkSessions({ employeeId: digitizerId, orderIds: [recordId] }));
+            
+            console.log(`Order ${recordId} completed. Base: $${pay.basePay}, PerItem: $${pay.perItemPay}, Bonus: $${pay.tierBonus}, Total: $${pay.totalPay}, Time: ${seconds}s`);
+            
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    order: { id: freshRecord.id, fields: freshRecord.fields },
+                    pay,
+                    digitized: manifestCounts(manifestLines || [], MANIFEST_STAGES.DIGITIZED),
+                    time: { seconds, sessions, hourlyRate: hourlyRate(pay.totalPay, seconds) }
+                }
+            };
+        });
+        
+        if (replayed) res.set('Idempotent-Replayed', 'true');
+        res.status(result.status).json(result.body);
+        if (result.status === 200) customerUpdates.queueStageChange(result.body.order);
+        
+    } catch (error) {
+        console.error('Error completing order:', error.message);
+        sendServerError(res, error, 'Failed to complete order');
+    }
+});
+
+/**
+ * An order's history: every change the app has made to it, oldest first
+ * GET /api/orders/:recordId/history
+ */
+app.get('/api/orders/:recordId/history', requireAuth, validate({ params: { recordId: recordId() } }), async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        
+        const [order, records, employeeNames] = await Promise.all([
+            repo.getOrder(recordId),
+            repo.listOrderEvents(recordId),
+            repo.getEmployeeNames()
+        ]);
+        
+        res.json({
+            id: order.id,
+            orderNumber: order.fields['Order Number'],
+            events: records.map(record => toHistoryEntry(record, employeeNames))
+        });
+    } catch (error) {
+        console.error('Error fetching order history:', error.message);
+        sendServerError(res, error, 'Failed to fetch order history');
+    }
+});
+
+/**
+ * The customer's status page link for an order, to share by hand
+ * GET /api/orders/:recordId/status-link
+ */
+app.get('/api/orders/:recordId/status-link', requireAuth, validate({ params: { recordId: recordId() } }), async (req, res) => {
+    try {
+        const order = await repo.getOrder(req.params.recordId);
+        const url = await customerUpdates.getStatusLink(order, auditFrom(req, 'Status Link Created', order));
+        res.json({ url });
+    } catch (error) {
+        console.error('Error fetching status link:', error.message);
+        sendServerError(res, error, 'Failed to fetch status link');
+    }
+});
+
+// ============================================
+// EXCEPTION ROUTES
+// ============================================
+// Damaged boxes and items, missing items and unlabeled media, reported with photos
+// (lib/exceptions). An order with an open exception is held until a supervisor resolves it.
+
+const validateExceptionParams = { recordId: recordId(), exceptionId: recordId() };
+
+/**
+ * Open exceptions on every order, oldest first, for supervisors to work through
+ * GET /api/exceptions
+ */
+app.get('/api/exceptions', requireAuth, requireRole(ROLES.SUPERVISOR), async (req, res) => {
+    try {
+        const [records, employeeNames] = await Promise.all([
+            repo.listOrderExceptions({ openOnly: true }),
+            repo.getEmployeeNames()
+        ]);
+        res.json({ exceptions: records.map(record => toException(record, employeeNames)) });
+    } catch (error) {
+        console.error('Error fetching exceptions:', error.message);
+        sendServerError(res, error, 'Failed to fetch exceptions');
+    }
+});
+
+/**
+ * An order's exceptions, oldest first, open or resolved
+ * GET /api/orders/:recordId/exceptions
+ */
+app.get('/api/orders/:recordId/exceptions', requireAuth, validate({ params: { recordId: recordId() } }), async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        
+        const [order, records, employeeNames] = await Promise.all([
+            repo.getOrder(recordId),
+            repo.listOrderExceptions({ orderId: recordId }),
+            repo.getEmployeeNames()
+        ]);
+        
+        res.json({
+            id: order.id,
+            orderNumber: order.fields['Order Number'],
+            exceptionOpen: Boolean(order.fields['Exception Open']),
+            exceptions: records.map(record => toException(record, employeeNames))
+        });
+    } catch (error) {
+        console.error('Error fetching order exceptions:', error.message);
+        sendServerError(res, error, 'Failed to fetch exceptions');
+    }
+});
+
+/**
+ * Report an exception on an order: its `type` (EXCEPTION_TYPES) and a `description`.
+ * Photos are added to it afterwards, one request each. Send an Idempotency-Key
+ * header so a double tap doesn't report it twice.
+ * POST /api/orders/:recordId/exceptions
+ */
+app.post('/api/orders/:recordId/exceptions', requireAuth, validate({
+    params: { recordId: recordId() },
+    body: {
+        type: oneOf(EXCEPTION_TYPES),
+        description: string({ optional: true, maxLength: MAX_TEXT_LENGTH })
+    }
+}), async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        const { type, description } = req.body;
+        const idempotencyKey = req.get('Idempotency-Key');
+        
+        const { value: result, replayed } = await orderRequests.run(idempotencyKey && `${recordId}:exception:${idempotencyKey}`, async () => {
+            const { exception, order } = await exceptions.report(recordId, { type, description }, req.employee, auditFrom(req, 'Exception Reported'));
+            console.log(`${type} reported on order ${order.fields['Order Number']} by ${req.employee.name}`);
+            return {
+                exception: toException(exception, await repo.getEmployeeNames()),
+                order: { id: order.id, fields: order.fields }
+            };
+        });
+        
+        if (replayed) res.set('Idempotent-Replayed', 'true');
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to report exception');
+    }
+});
+
+/**
+ * Add a photo to an exception. The body is the image itself, with its Content-Type
+ * (PHOTO_TYPES), up to MAX_PHOTO_BYTES.
+ * POST /api/orders/:recordId/exceptions/:exceptionId/photos
+ */
+app.post('/api/orders/:recordId/exceptions/:exceptionId/photos', requireAuth, validate({
+    params: validateExceptionParams
+}), express.raw({ type: Object.keys(PHOTO_TYPES), limit: MAX_PHOTO_BYTES }), async (req, res) => {
+    try {
+        const { recordId, exceptionId } = req.params;
+        const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+        
+        if (!PHOTO_TYPES[contentType] || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+            const message = 'Send the photo as a JPEG, PNG, WebP or HEIC image';
+            return res.status(400).json({ error: message, code: 'VALIDATION_FAILED', details: [{ field: 'photo', message }] });
+        }
+        
+        const exception = await exceptions.addPhoto(recordId, exceptionId, { data: req.body, contentType });
+        
+        console.log(`Photo added to exception ${exceptionId} on order ${recordId} (${req.body.length} bytes)`);
+        
+        res.json({ success: true, exception: toException(exception, await repo.getEmployeeNames()) });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to save photo');
+    }
+});
+
+/**
+ * One of an exception's photos, as the image
+ * GET /api/orders/:recordId/exceptions/:exceptionId/photos/:photoId
+ */
+app.get('/api/orders/:recordId/exceptions/:exceptionId/photos/:photoId', requireAuth, validate({
+    params: { ...validateExceptionParams, photoId: string({ pattern: PHOTO_ID_PATTERN }) }
+}), async (req, res) => {
+    try {
+        const { recordId, exceptionId, photoId } = req.params;
+        const { data, contentType } = await exceptions.readPhoto(recordId, exceptionId, photoId);
+        // Photos never change once saved
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.type(contentType).send(data);
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to load photo');
+    }
+});
+
+/**
+ * Resolve an exception, with a `resolution` saying what was done about it (supervisors).
+ * The order is released once none of its exceptions are open.
+ * POST /api/orders/:recordId/exceptions/:exceptionId/resolve
+ */
+app.post('/api/orders/:recordId/exceptions/:exceptionId/resolve', requireAuth, requireRole(ROLES.SUPERVISOR), validate({
+    params: validateExceptionParams,
+    body: { resolution: string({ required: true, maxLength: MAX_TEXT_LENGTH, message: 'Say how the exception was resolved' }) }
+}), async (req, res) => {
+    try {
+        const { recordId, exceptionId } = req.params;
+        
+        const { exception, order } = await exceptions.resolve(recordId, exceptionId, req.body, req.employee, auditFrom(req, 'Exception Resolved'));
+        
+        console.log(`Exception ${exceptionId} on order ${order.fields['Order Number']} resolved by ${req.employee.name}`);
+        
+        res.json({
+            success: true,
+            exception: toException(exception, await repo.getEmployeeNames()),
+            order: { id: order.id, fields: order.fields }
+        });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to resolve exception');
+    }
+});
+
+// ============================================
+// CUSTOMER STATUS ROUTES
+// ============================================
+// Public: the token in the link is the only credential, so an unknown or
+// malformed token gets the same 404
+
+/**
+ * An order's progress, for the customer status page
+ * GET /api/status/:token
+ */
+app.get('/api/status/:token', async (req, res) => {
+    try {
+        const { token } = req.params;
+        const order = STATUS_TOKEN_PATTERN.test(token) ? await repo.findOrderByStatusToken(token) : null;
+        if (!order) {
+            return res.status(404).json({ error: 'This status link is not valid. Check the link in your email.', code: 'NOT_FOUND' });
+        }
+
+        const records = await repo.listOrderEvents(order.id);
+        res.set('Cache-Control', 'no-store');
+        res.json(await customerUpdates.statusView(order, records.map(record => toHistoryEntry(record))));
+    } catch (error) {
+        console.error('Error fetching order status:', error.message);
+        sendServerError(res, error, 'Failed to fetch order status');
+    }
+});
+
+// ============================================
+// REASSIGNMENT ROUTES
+// ============================================
+
+/**
+ * Load a Digitizing order the signed-in employee is allowed to hand off.
+ * Digitizers can only hand off their own orders; supervisors can move any.
+ * Sends the error response and returns null if not allowed.
+ */
+const loadOrderForHandoff = async (req, res) => {
+    const order = await repo.getOrder(req.params.recordId);
+    if (order.fields['Ops Status'] !== 'Digitizing') {
+        res.status(409).json({ error: `Only orders in Digitizing can be reassigned (currently ${order.fields['Ops Status'] || 'unknown'})` });
+        return null;
+    }
+    if (req.employee.role !== ROLES.SUPERVISOR && !isAssignedTo(order, req.employee)) {
+        res.status(403).json({ error: 'This order is not assigned to you' });
+        return null;
+    }
+    return order;
+};
+
+// Fields recording who moved the order, when and why
+const handoffFields = (order, req, reason) => {
+    const previousId = firstLinkedId(order.fields['Assigned Employee']);
+    return {
+        ...(previousId && { 'Previous Assignee': [previousId] }),
+        'Reassigned By': [req.employee.id],
+        'Reassigned At': new Date().toISOString(),
+        'Reassignment Reason': reason
+    };
+};
+
+/**
+ * Reassign a Digitizing order to another active employee
+ * POST /api/orders/:recordId/reassign
+ */
+app.post('/api/orders/:recordId/reassign', requireAuth, validate({
+    params: { recordId: recordId() },
+    body: {
+        employeeId: recordId({ message: 'Choose who to reassign the order to' }),
+        reason: string({ required: true, maxLength: MAX_TEXT_LENGTH, message: 'A reason is required' })
+    }
+}), async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        const { employeeId, reason } = req.body;
+        
+        const order = await loadOrderForHandoff(req, res);
+        if (!order) return;
+        
+        if (firstLinkedId(order.fields['Assigned Employee']) === employeeId) {
+            return res.status(400).json({ error: 'Order is already assigned to that employee' });
+        }
+        
+        let target;
+        try {
+            target = await repo.getEmployee(employeeId);
+        } catch (err) {
+            return res.status(400).json({ error: 'Employee not found' });
+        }
+        if (!isActiveEmployee(target)) {
+            return res.status(400).json({ error: 'That employee is not active' });
+        }
+        
+        console.log(`Reassigning order ${recordId} to ${target.fields['Employee Name']} by ${req.employee.name}: ${reason}`);
+        
+        const updatedRecord = await repo.updateOrder(recordId, {
+            'Assigned Employee': [employeeId],
+            ...handoffFields(order, req, reason)
+        }, auditFrom(req, 'Reassigned', order));
+        await stopOrderTimers(recordId, END_REASONS.REASSIGNED);
+        
+        res.json({
+            success: true,
+            order: { id: updatedRecord.id, fields: updatedRecord.fields }
+        });
+    } catch (error) {
+        console.error('Error reassigning order:', error.message);
+        sendServerError(res, error, 'Failed to reassign order');
+    }
+});
+
+/**
+ * Release a Digitizing order back to the unassigned pool
+ * POST /api/orders/:recordId/release
+ */
+app.post('/api/orders/:recordId/release', requireAuth, validate({
+    params: { recordId: recordId() },
+    body: { reason: string({ optional: true, maxLength: MAX_TEXT_LENGTH }) }
+}), async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        const { reason } = req.body;
+        
+        const order = await loadOrderForHandoff(req, res);
+        if (!order) return;
+        
+        console.log(`Releasing order ${recordId} to pool by ${req.employee.name}`);
+        
+        const updatedRecord = await repo.updateOrder(recordId, {
+            'Assigned Employee': [],
+            ...handoffFields(order, req, reason || 'Released to pool')
+        }, auditFrom(req, 'Released', order));
+        await stopOrderTimers(recordId, END_REASONS.REASSIGNED);
+        
+        res.json({
+            success: true,
+            order: { id: updatedRecord.id, fields: updatedRecord.fields }
+        });
+    } catch (error) {
+        console.error('Error releasing order:', error.message);
+        sendServerError(res, error, 'Failed to release order');
+    }
+});
+
+/**
+ * Unassigned Digitizing orders anyone can claim
+ * GET /api/orders/pool
+ */
+app.get('/api/orders/pool', requireAuth, async (req, res) => {
+    try {
+        const [records, employeeNames] = await Promise.all([
+            repo.listUnassignedOrders('Digitizing', {
+                fields: ['Order Number', 'Customer', 'Customer Name', 'Items Received', 'Package Type', 'Check-In Notes', 'Previous Assignee', 'Reassigned At', 'Reassignment Reason'],
+                sort: [{ field: 'Created Time', direction: 'asc' }]
+            }),
+            repo.getEmployeeNames()
+        ]);
+        
+        const orders = records.map(r => {
+            let customerName = r.fields['Customer Name'] || r.fields['Customer'];
+            if (Array.isArray(customerName)) customerName = customerName[0];
+            return {
+                id: r.id,
+                fields: {
+                    'Order Number': r.fields['Order Number'],
+                    'Customer': customerName,
+                    'Items Received': r.fields['Items Received'] || 0,
+                    'Package Type': r.fields['Package Type'] || '',
+                    'Check-In Notes': r.fields['Check-In Notes'] || '',
+                    'Released By': employeeNames[firstLinkedId(r.fields['Previous Assignee'])] || null,
+                    'Released At': r.fields['Reassigned At'] || null,
+                    'Reassignment Reason': r.fields['Reassignment Reason'] || ''
                 }
-            }
+            };
+        });
+        
+        res.json({ orders });
+    } catch (error) {
+        console.error('Error fetching order pool:', error.message);
+        sendServerError(res, error, 'Failed to fetch order pool');
+    }
+});
+
+/**
+ * Claim an unassigned order from the pool
+ * POST /api/orders/:recordId/claim
+ */
+app.post('/api/orders/:recordId/claim', requireAuth, validate({ params: { recordId: recordId() } }), async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        
+        const order = await repo.getOrder(recordId);
+        if (order.fields['Ops Status'] !== 'Digitizing') {
+            return res.status(409).json({ error: 'Order is no longer in Digitizing' });
+        }
+        if (firstLinkedId(order.fields['Assigned Employee']) || typeof order.fields['Assigned Employee'] === 'string') {
+            return res.status(409).json({ error: 'Order has already been claimed' });
         }
         
-        // Update Airtable
-        const updateFields = {
-            'Items Received': itemsReceived,
-            'Extra Items': extraItems,
-            'Extra Items Charge': extraCharge,
-            'Ops Status': 'Digitizing',
-            ...(invoiceId && { 'Extra Items Invoice ID': invoiceId }),
-            ...(employeeId && { 'Assigned Employee': [employeeId] }),
-            ...(notes && { 'Check-In Notes': notes })
-        };
+        console.log(`Order ${recordId} claimed by ${req.employee.name}`);
         
-        const updatedRecord = await base(ORDERS_TABLE).update(recordId, updateFields);
+        const updatedRecord = await repo.updateOrder(recordId, {
+            'Assigned Employee': [req.employee.id],
+            'Reassigned By': [req.employee.id],
+            'Reassigned At': new Date().toISOString(),
+            'Reassignment Reason': 'Claimed from pool'
+        }, auditFrom(req, 'Claimed', order));
         
         res.json({
             success: true,
-            order: { id: updatedRecord.id, fields: updatedRecord.fields },
-            invoice: invoiceId ? { id: invoiceId, url: invoiceUrl, amount: extraCharge } : null
+            order: { id: updatedRecord.id, fields: updatedRecord.fields }
         });
-        
     } catch (error) {
-        console.error('Error checking in order:', error.message);
-        res.status(500).json({ error: 'Failed to check in order', details: error.message });
+        console.error('Error claiming order:', error.message);
+        sendServerError(res, error, 'Failed to claim order');
     }
 });
 
+// ============================================
+// TIMER ROUTES
+// ============================================
+// Start/pause/stop timers on orders in My Work, saved as Work Sessions (lib/workSessions.js)
+
 /**
- * Update order notes
- * PATCH /api/orders/:recordId/notes
+ * The signed-in employee's timer on an order
+ * GET /api/orders/:recordId/timer
+ */
+app.get('/api/orders/:recordId/timer', requireAuth, validate({ params: { recordId: recordId() } }), async (req, res) => {
+    try {
+        res.json({ timer: await workTimer.timerFor(req.params.recordId, req.employee.id) });
+    } catch (error) {
+        console.error('Error fetching timer:', error.message);
+        sendServerError(res, error, 'Failed to fetch timer');
+    }
+});
+
+/**
+ * Start, or resume, the signed-in employee's timer on an order in their queue.
+ * Any other timer they have running is paused (`paused` lists those orders).
+ * POST /api/orders/:recordId/timer/start
  */
-app.patch('/api/orders/:recordId/notes', async (req, res) => {
+app.post('/api/orders/:recordId/timer/start', requireAuth, validate({ params: { recordId: recordId() } }), async (req, res) => {
     try {
         const { recordId } = req.params;
-        const { notes } = req.body;
+        const order = await repo.getOrder(recordId);
         
-        console.log(`Updating notes for order ${recordId}`);
+        if (!isAssignedTo(order, req.employee)) {
+            return res.status(403).json({ error: 'This order is not assigned to you', code: 'NOT_ASSIGNED' });
+        }
+        if (order.fields['Ops Status'] !== 'Digitizing') {
+            return res.status(409).json({
+                error: `Order is not in Digitizing (currently ${order.fields['Ops Status'] || 'unknown'})`,
+                code: 'NOT_IN_DIGITIZING'
+            });
+        }
         
-        const updatedRecord = await base(ORDERS_TABLE).update(recordId, {
-            'Check-In Notes': notes || ''
-        });
+        console.log(`Starting timer on order ${recordId} for ${req.employee.name}`);
         
-        res.json({
-            success: true,
-            notes: updatedRecord.fields['Check-In Notes']
+        const { timer, paused } = await workTimer.start(order, req.employee);
+        res.json({ success: true, timer, paused });
+    } catch (error) {
+        console.error('Error starting timer:', error.message);
+        sendServerError(res, error, 'Failed to start timer');
+    }
+});
+
+// Pausing and stopping both end the running session; the reason is kept on it
+const stopTimer = (reason) => async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        
+        console.log(`Timer on order ${recordId} ${reason.toLowerCase()} by ${req.employee.name}`);
+        
+        res.json({ success: true, timer: await workTimer.stop(recordId, req.employee.id, reason) });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to stop timer');
+    }
+};
+
+/**
+ * Pause the signed-in employee's running timer on an order
+ * POST /api/orders/:recordId/timer/pause
+ */
+app.post('/api/orders/:recordId/timer/pause', requireAuth, validate({ params: { recordId: recordId() } }), stopTimer(END_REASONS.PAUSED));
+
+/**
+ * Stop the signed-in employee's running timer on an order (done for now)
+ * POST /api/orders/:recordId/timer/stop
+ */
+app.post('/api/orders/:recordId/timer/stop', requireAuth, validate({ params: { recordId: recordId() } }), stopTimer(END_REASONS.STOPPED));
+
+// ============================================
+// QUALITY CHECK ROUTES
+// ============================================
+
+/**
+ * Orders waiting for QC review
+ * GET /api/qc/queue
+ */
+app.get('/api/qc/queue', requireAuth, requireRole(ROLES.SUPERVISOR), async (req, res) => {
+    try {
+        const [records, employeeNames] = await Promise.all([
+            repo.listOrdersByStatus(['Quality Check'], {
+                fields: ['Order Number', 'Customer', 'Customer Name', 'Items Received', 'Items Digitized', 'Package Type', 'Check-In Notes', 'Employee Link', 'Digitization Completion Date', 'Ops Status Updated', 'QC Rejections', 'QC Rejection Reason', 'Exception Open'],
+                sort: [{ field: 'Digitization Completion Date', direction: 'asc' }]
+            }),
+            repo.getEmployeeNames()
+        ]);
+        
+        const orders = records.map(r => {
+            let customerName = r.fields['Customer Name'] || r.fields['Customer'];
+            if (Array.isArray(customerName)) customerName = customerName[0];
+            const digitizerId = (r.fields['Employee Link'] || [])[0] || null;
+            return {
+                id: r.id,
+                orderNumber: r.fields['Order Number'],
+                customer: customerName,
+                packageType: r.fields['Package Type'] || '',
+                itemsReceived: r.fields['Items Received'] || 0,
+                itemsDigitized: r.fields['Items Digitized'] || 0,
+                notes: r.fields['Check-In Notes'] || '',
+                digitizer: digitizerId ? { id: digitizerId, name: employeeNames[digitizerId] || 'Unknown' } : null,
+                completedDate: r.fields['Digitization Completion Date'] || null,
+                waitingHours: hoursSince(r.fields['Ops Status Updated']),
+                rejections: r.fields['QC Rejections'] || 0,
+                lastRejectionReason: r.fields['QC Rejection Reason'] || '',
+                exceptionOpen: Boolean(r.fields['Exception Open'])
+            };
         });
         
+        console.log(`QC queue: ${orders.length} orders`);
+        
+        res.json({ orders });
     } catch (error) {
-        console.error('Error updating notes:', error.message);
-        res.status(500).json({ error: 'Failed to update notes', details: error.message });
+        console.error('Error fetching QC queue:', error.message);
+        sendServerError(res, error, 'Failed to fetch QC queue');
     }
 });
 
 /**
- * Complete digitization of an order
- * POST /api/orders/:recordId/complete
+ * Approve an order in QC and move it on to shipping
+ * POST /api/orders/:recordId/qc/approve
  */
-app.post('/api/orders/:recordId/complete', async (req, res) => {
+app.post('/api/orders/:recordId/qc/approve', requireAuth, requireRole(ROLES.SUPERVISOR), validate({ params: { recordId: recordId() } }), async (req, res) => {
     try {
         const { recordId } = req.params;
-        const { itemsDigitized, employeeId, employeeName } = req.body;
         
-        console.log(`Completing order ${recordId} with ${itemsDigitized} items digitized by ${employeeName || employeeId}`);
+        const order = await repo.getOrder(recordId);
+        if (order.fields['Ops Status'] !== 'Quality Check') {
+            return res.status(409).json({ error: `Order is not in Quality Check (currently ${order.fields['Ops Status'] || 'unknown'})` });
+        }
+        if (order.fields['Exception Open']) {
+            return res.status(409).json(EXCEPTION_HOLD);
+        }
         
-        // Update order - don't include computed fields (Base Pay, Per Item Pay, Total Order Pay)
-        // Those are formulas in Airtable that auto-calculate
-        const updateFields = {
-            'Items Digitized': itemsDigitized,
-            'Digitization Complete': true,
-            'Digitization Completion Date': new Date().toISOString().split('T')[0],
-            'Ops Status': 'Quality Check'
-        };
+        console.log(`QC approved order ${recordId} by ${req.employee.name}`);
+        
+        // Approval releases any pay held by an earlier rejection
+        const updatedRecord = await repo.updateOrder(recordId, {
+            'Ops Status': 'Shipping Back',
+            'Ops Status Updated': new Date().toISOString(),
+            'QC Reviewed By': [req.employee.id],
+            'QC Reviewed Date': new Date().toISOString(),
+            'Pay Hold': false
+        }, auditFrom(req, 'QC Approved', order));
+        
+        res.json({
+            success: true,
+            order: { id: updatedRecord.id, fields: updatedRecord.fields }
+        });
+        customerUpdates.queueStageChange(updatedRecord);
+    } catch (error) {
+        console.error('Error approving order:', error.message);
+        sendServerError(res, error, 'Failed to approve order');
+    }
+});
+
+/**
+ * Reject an order in QC - it goes back to the digitizer's work queue and their pay is held
+ * POST /api/orders/:recordId/qc/reject
+ */
+app.post('/api/orders/:recordId/qc/reject', requireAuth, requireRole(ROLES.SUPERVISOR), validate({
+    params: { recordId: recordId() },
+    body: { reason: string({ required: true, maxLength: MAX_TEXT_LENGTH, message: 'A rejection reason is required' }) }
+}), async (req, res) => {
+    try {
+        const { recordId } = req.params;
+        const { reason } = req.body;
         
-        // Add Employee Link if we have employee info (it's a linked record field)
-        if (employeeId) {
-            updateFields['Employee Link'] = [employeeId];
+        const order = await repo.getOrder(recordId);
+        if (order.fields['Ops Status'] !== 'Quality Check') {
+            return res.status(409).json({ error: `Order is not in Quality Check (currently ${order.fields['Ops Status'] || 'unknown'})` });
         }
         
-        console.log('Update fields:', JSON.stringify(updateFields));
+        // Employee Link is the digitizer who completed it - the rejection counts against them
+        const digitizer = order.fields['Employee Link'] || [];
         
-        await base(ORDERS_TABLE).update(recordId, updateFields);
-
-        // Re-fetch the record so Airtable formula fields (Base Pay, Per Item Pay, Total Order Pay) are current
-        const freshRecord = await base(ORDERS_TABLE).find(recordId);
-        const packageType = freshRecord.fields['Package Type'] || '';
-        const basePay = freshRecord.fields['Base Pay'] != null
-            ? freshRecord.fields['Base Pay']
-            : getBasePayFallback(packageType);
-        const perItemPay = freshRecord.fields['Per Item Pay'] != null
-            ? freshRecord.fields['Per Item Pay']
-            : itemsDigitized * PER_ITEM_PAY;
-        const totalPay = freshRecord.fields['Total Order Pay'] != null
-            ? freshRecord.fields['Total Order Pay']
-            : basePay + perItemPay;
+        console.log(`QC rejected order ${recordId} by ${req.employee.name}: ${reason}`);
         
-        console.log(`Order ${recordId} completed. Base: $${basePay}, PerItem: $${perItemPay}, Total: $${totalPay}`);
+        const updatedRecord = await repo.updateOrder(recordId, {
+            'Ops Status': 'Digitizing',
+            'Ops Status Updated': new Date().toISOString(),
+            ...(digitizer.length > 0 && { 'Assigned Employee': [digitizer[0]] }),
+            'QC Rejection Reason': reason,
+            'QC Rejections': (order.fields['QC Rejections'] || 0) + 1,
+            'QC Reviewed By': [req.employee.id],
+            'QC Reviewed Date': new Date().toISOString(),
+            'Pay Hold': true
+        }, auditFrom(req, 'QC Rejected', order));
         
         res.json({
             success: true,
-            order: { id: freshRecord.id, fields: freshRecord.fields },
-            pay: { basePay, perItemPay, totalPay }
+            order: { id: updatedRecord.id, fields: updatedRecord.fields }
         });
-        
     } catch (error) {
-        console.error('Error completing order:', error.message);
-        console.error('Full error:', error);
-        res.status(500).json({ error: 'Failed to complete order', details: error.message });
+        console.error('Error rejecting order:', error.message);
+        sendServerError(res, error, 'Failed to reject order');
     }
 });
 
 // ============================================
-// STRIPE WEBHOOK
+// SUPERVISOR ROUTES
 // ============================================
 
-app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
-    const sig = req.headers['stripe-signature'];
-    let event;
-    
+/**
+ * Floor view: every active order grouped by Ops Status, with per-employee counts
+ * and orders that have stalled in their current stage
+ * GET /api/supervisor/floor
+ */
+app.get('/api/supervisor/floor', requireAuth, requireRole(ROLES.SUPERVISOR), async (req, res) => {
     try {
-        event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-    } catch (err) {
-        console.error('Webhook signature verification failed:', err.message);
-        return res.status(400).send(`Webhook Error: ${err.message}`);
+        const now = Date.now();
+        const activeStages = FLOOR_STAGES.filter(stage => stage !== 'Complete');
+        
+        const [records, employeeNames] = await Promise.all([
+            repo.listFloorOrders(activeStages, FLOOR_COMPLETE_DAYS, {
+                fields: ['Order Number', 'Customer', 'Customer Name', 'Ops Status', 'Ops Status Updated', 'Check-In Date', 'Created Time', 'Assigned Employee', 'Items Received', 'Package Type', 'Order Items', 'Receipt Status', 'Exception Open', 'Short Items', 'Short Items Follow-Up', ...RECEIPT_BOX_FIELDS],
+                sort: [{ field: 'Created Time', direction: 'asc' }]
+            }),
+            repo.getEmployeeNames()
+        ]);
+        
+        console.log(`Floor view: ${records.length} orders`);
+        
+        // One batched Order Items lookup for the whole floor instead of one per order
+        const orderItems = await loadOrderItems(records);
+        
+        const orders = records.map(r => {
+            let customerName = r.fields['Customer Name'] || r.fields['Customer'];
+            if (Array.isArray(customerName)) customerName = customerName[0];
+            
+            const assigned = r.fields['Assigned Employee'];
+            let assignee = null;
+            if (Array.isArray(assigned) && assigned.length > 0) {
+                assignee = { id: assigned[0], name: employeeNames[assigned[0]] || 'Unknown' };
+            } else if (typeof assigned === 'string') {
+                assignee = { id: null, name: assigned };
+            }
+            
+            const { usbDriveCount, expeditedType, processingTier, unmappedProducts } = classifyOrderItems(orderItems.get(r.id) || []);
+            
+            const opsStatus = r.fields['Ops Status'];
+            const checkInDate = r.fields['Check-In Date'] || null;
+            const due = DEADLINE_STAGES.includes(opsStatus)
+                ? calculateDueDate(checkInDate || r.fields['Created Time'], processingTier, new Date(now))
+                : { dueDate: null, daysUntilDue: null };
+            const stageSince = r.fields['Ops Status Updated'] || checkInDate || r.fields['Created Time'] || null;
+            const hoursInStage = hoursSince(stageSince, now);
+            const threshold = STALL_THRESHOLD_HOURS[opsStatus];
+            const boxes = orderBoxes(r);
+            
+            return {
+                id: r.id,
+                orderNumber: r.fields['Order Number'],
+                customer: customerName,
+                opsStatus,
+                assignee,
+                itemsReceived: r.fields['Items Received'] || 0,
+                packageType: r.fields['Package Type'] || '',
+                receiptStatus: r.fields['Receipt Status'] || null,
+                boxes: boxes.length,
+                boxesReceived: boxes.filter(b => b.received).length,
+                expeditedType,
+                processingTier,
+                usbDriveCount,
+                unmappedProducts,
+                exceptionOpen: Boolean(r.fields['Exception Open']),
+                shortItems: r.fields['Short Items'] || 0,
+                shortItemsFollowUp: Boolean(r.fields['Short Items Follow-Up']),
+                checkInDate,
+                dueDate: due.dueDate,
+                daysUntilDue: due.daysUntilDue,
+                ageHours: hoursSince(checkInDate, now),
+                stageSince,
+                hoursInStage,
+                stalled: threshold != null && hoursInStage != null && hoursInStage > threshold
+            };
+        });
+        
+        const stages = FLOOR_STAGES.map(status => {
+            const stageOrders = orders.filter(o => o.opsStatus === status);
+            return {
+                status,
+                stallThresholdHours: STALL_THRESHOLD_HOURS[status] || null,
+                count: stageOrders.length,
+                orders: stageOrders
+            };
+        });
+        
+        // Counts per employee per stage (unassigned orders are grouped separately)
+        const byEmployee = {};
+        orders.forEach(o => {
+            const key = o.assignee ? (o.assignee.id || o.assignee.name) : 'unassigned';
+            if (!byEmployee[key]) {
+                byEmployee[key] = {
+                    id: o.assignee?.id || null,
+                    name: o.assignee ? o.assignee.name : 'Unassigned',
+                    counts: {},
+                    total: 0,
+                    stalled: 0
+                };
+            }
+            byEmployee[key].counts[o.opsStatus] = (byEmployee[key].counts[o.opsStatus] || 0) + 1;
+            if (o.opsStatus !== 'Complete') byEmployee[key].total++;
+            if (o.stalled) byEmployee[key].stalled++;
+        });
+        const employees = Object.values(byEmployee).sort((a, b) => b.total - a.total);
+        
+        // Longest-stalled first
+        const stalled = orders.filter(o => o.stalled).sort((a, b) => b.hoursInStage - a.hoursInStage);
+        
+        res.json({
+            generatedAt: new Date(now).toISOString(),
+            stages,
+            employees,
+            stalled
+        });
+    } catch (error) {
+        console.error('Error fetching floor view:', error.message);
+        sendServerError(res, error, 'Failed to fetch floor view');
     }
-    
-    if (event.type === 'invoice.paid') {
-        const invoice = event.data.object;
-        const orderNumber = invoice.metadata?.order_number;
+});
+
+/**
+ * Orders that are overdue or due within AT_RISK_DAYS and not yet through QC
+ * GET /api/orders/at-risk
+ */
+app.get('/api/orders/at-risk', requireAuth, requireRole(ROLES.SUPERVISOR), async (req, res) => {
+    try {
+        const [records, employeeNames] = await Promise.all([
+            repo.listOrdersByStatus(DEADLINE_STAGES, {
+                fields: ['Order Number', 'Customer', 'Customer Name', 'Ops Status', 'Assigned Employee', 'Check-In Date', 'Created Time', 'Items Received', 'Order Items']
+            }),
+            repo.getEmployeeNames()
+        ]);
         
-        if (orderNumber) {
-            try {
-                const records = await base(ORDERS_TABLE).select({
-                    filterByFormula: `{Order Number}='${orderNumber}'`,
-                    maxRecords: 1
-                }).firstPage();
+        const orderItems = await loadOrderItems(records);
+        
+        const orders = records
+            .map(r => {
+                let customerName = r.fields['Customer Name'] || r.fields['Customer'];
+                if (Array.isArray(customerName)) customerName = customerName[0];
                 
-                if (records.length > 0) {
-                    await base(ORDERS_TABLE).update(records[0].id, {
-                        'Extra Items Paid': true,
-                        'Extra Items Payment Date': new Date().toISOString().split('T')[0]
-                    });
-                }
-            } catch (error) {
-                console.error('Error updating payment status:', error);
-            }
+                const { processingTier } = classifyOrderItems(orderItems.get(r.id) || []);
+                const due = calculateDueDate(r.fields['Check-In Date'] || r.fields['Created Time'], processingTier);
+                const assignedId = firstLinkedId(r.fields['Assigned Employee']);
+                
+                return {
+                    id: r.id,
+                    orderNumber: r.fields['Order Number'],
+                    customer: customerName,
+                    opsStatus: r.fields['Ops Status'],
+                    assignee: assignedId ? { id: assignedId, name: employeeNames[assignedId] || 'Unknown' } : null,
+                    itemsReceived: r.fields['Items Received'] || 0,
+                    processingTier,
+                    ...due
+                };
+            })
+            .filter(o => o.atRisk)
+            .sort((a, b) => compareDueDates(a.dueDate, b.dueDate));
+        
+        console.log(`At-risk orders: ${orders.length}`);
+        
+        res.json({ atRiskDays: AT_RISK_DAYS, turnaroundDays: TURNAROUND_DAYS_BY_TIER, orders });
+    } catch (error) {
+        console.error('Error fetching at-risk orders:', error.message);
+        sendServerError(res, error, 'Failed to fetch at-risk orders');
+    }
+});
+
+/**
+ * Match recent extra-items invoices against their orders and fix the ones that don't line up
+ * (orphaned drafts, unsent drafts, unpaid duplicates, invoices missing from their order).
+ * Paid duplicates are listed as unresolved. Send `dryRun: true` to only see what would change.
+ * POST /api/invoices/reconcile
+ */
+app.post('/api/invoices/reconcile', requireAuth, requireRole(ROLES.SUPERVISOR), validate({
+    body: {
+        days: integer({ optional: true, min: 1, max: 365 }),
+        dryRun: boolean({ optional: true })
+    }
+}), async (req, res) => {
+    try {
+        const { days = 30, dryRun = false } = req.body;
+
+        console.log(`Reconciling extra items invoices from the last ${days} days${dryRun ? ' (dry run)' : ''} for ${req.employee.name}`);
+
+        const result = await extraItemsInvoices.reconcileInvoices({ days, dryRun: dryRun === true, actor: req.employee.id });
+
+        console.log(`Reconciled ${result.checked} invoices: ${result.results.length} needed attention`);
+        res.json(result);
+    } catch (error) {
+        console.error('Error reconciling invoices:', error.message);
+        sendServerError(res, error, 'Failed to reconcile invoices');
+    }
+});
+
+// ============================================
+// PAYROLL ROUTES
+// ============================================
+// A pay run is every employee's Pay Periods record with the same Start Date (see lib/payroll.js)
+
+const validateRunDate = validate({ params: { startDate: date() } });
+
+/**
+ * Pay runs, newest first, with each employee's period and its status
+ * GET /api/payroll/periods
+ */
+app.get('/api/payroll/periods', requireAuth, requireRole(ROLES.SUPERVISOR), async (req, res) => {
+    try {
+        res.json({ runs: await payroll.listRuns() });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to fetch pay periods');
+    }
+});
+
+/**
+ * Create a pay period for every active employee. Without `startDate`/`endDate` it's
+ * the period after the latest one; for an existing run, adds employees missing from it.
+ * POST /api/payroll/periods
+ */
+app.post('/api/payroll/periods', requireAuth, requireRole(ROLES.SUPERVISOR), validate({
+    body: { startDate: date({ optional: true }), endDate: date({ optional: true }) }
+}), async (req, res) => {
+    try {
+        const { startDate, endDate } = req.body;
+        if (Boolean(startDate) !== Boolean(endDate) || startDate > endDate) {
+            return res.status(400).json({ error: 'Send both startDate and endDate, startDate first', code: 'VALIDATION_FAILED' });
         }
+
+        const employees = (await repo.listEmployees())
+            .filter(isActiveEmployee)
+            .map(r => ({ id: r.id, name: r.fields['Employee Name'] }));
+
+        const result = await payroll.createRun({ startDate, endDate, employees });
+
+        console.log(`Pay period ${result.name} (${result.startDate} - ${result.endDate}): created ${result.created.length} for ${req.employee.name}`);
+        res.status(result.created.length > 0 ? 201 : 200).json({ success: true, ...result });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to create pay period');
+    }
+});
+
+/**
+ * Close a pay run: snapshot each employee's completed orders into the period,
+ * set it to Ready for Payment and lock it
+ * POST /api/payroll/periods/:startDate/close
+ */
+app.post('/api/payroll/periods/:startDate/close', requireAuth, requireRole(ROLES.SUPERVISOR), validateRunDate, async (req, res) => {
+    try {
+        const { startDate } = req.params;
+
+        console.log(`Closing pay period starting ${startDate} for ${req.employee.name}`);
+
+        const result = await payroll.closeRun({ startDate, closedBy: req.employee.id });
+
+        console.log(`Closed ${result.name}: ${result.employees.map(e => `${e.employeeName} $${e.totalPay}`).join(', ')}`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to close pay period');
+    }
+});
+
+/**
+ * Mark a closed pay run as paid (`datePaid`, default today)
+ * POST /api/payroll/periods/:startDate/paid
+ */
+app.post('/api/payroll/periods/:startDate/paid', requireAuth, requireRole(ROLES.SUPERVISOR), validate({
+    params: { startDate: date() },
+    body: { datePaid: date({ optional: true }) }
+}), async (req, res) => {
+    try {
+        const { startDate } = req.params;
+        const { datePaid } = req.body;
+
+        const result = await payroll.markRunPaid({ startDate, datePaid });
+
+        console.log(`Pay period ${result.name} marked paid by ${req.employee.name}`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to mark pay period paid');
+    }
+});
+
+/**
+ * Payroll CSV for a closed pay run, one row per employee, for the payroll provider
+ * GET /api/payroll/periods/:startDate/export
+ */
+app.get('/api/payroll/periods/:startDate/export', requireAuth, requireRole(ROLES.SUPERVISOR), validateRunDate, async (req, res) => {
+    try {
+        const { startDate } = req.params;
+
+        const { filename, csv } = await payroll.exportRun(startDate);
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv);
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to export payroll');
+    }
+});
+
+// ============================================
+// REPORT ROUTES
+// ============================================
+// Date-ranged operations reports over Orders (see lib/reports.js)
+
+const validateReportRange = {
+    startDate: date({ optional: true }),
+    endDate: date({ optional: true })
+};
+
+/**
+ * Every report for a date range (default the last 30 days)
+ * GET /api/reports?startDate=&endDate=
+ */
+app.get('/api/reports', requireAuth, requireRole(ROLES.SUPERVISOR), validate({ query: validateReportRange }), async (req, res) => {
+    try {
+        console.log(`Running reports ${req.query.startDate || ''}..${req.query.endDate || ''} for ${req.employee.name}`);
+        
+        res.json(await reports.run(req.query));
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to run reports');
+    }
+});
+
+/**
+ * One report as CSV
+ * GET /api/reports/:report/export?startDate=&endDate=
+ */
+app.get('/api/reports/:report/export', requireAuth, requireRole(ROLES.SUPERVISOR), validate({
+    params: { report: oneOf(Object.keys(REPORTS)) },
+    query: validateReportRange
+}), async (req, res) => {
+    try {
+        const { filename, csv } = await reports.exportCsv(req.params.report, req.query);
+        
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv);
+    } catch (error) {
+        sendRuleError(res, error, 'Failed to export report');
+    }
+});
+
+// ============================================
+// CONFIG ROUTES
+// ============================================
+
+/**
+ * Lists and thresholds the app shares with the server, so they're only kept on the server
+ * GET /api/config
+ */
+app.get('/api/config', requireAuth, (req, res) => {
+    res.json({ mediaTypes: MEDIA_TYPES, exceptionTypes: EXCEPTION_TYPES, atRiskDays: AT_RISK_DAYS });
+});
+
+/**
+ * Pricing and pay rules (config/pricing.json): the rule set in effect today and every rule set by start date
+ * GET /api/config/pricing
+ */
+app.get('/api/config/pricing', requireAuth, (req, res) => {
+    try {
+        res.json({ current: getRuleSet(), ruleSets: getRuleSets() });
+    } catch (error) {
+        console.error('Error fetching pricing:', error.message);
+        sendServerError(res, error, 'Failed to fetch pricing');
     }
-    
-    res.json({ received: true });
 });
 
 // ============================================
@@ -744,15 +2409,42 @@ app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), asyn
 // ============================================
 
 app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    res.json({ status: 'ok', storage: store.name, invoices: invoices.name, timestamp: new Date().toISOString() });
+});
+
+// Serve the app itself, so a local server is a complete setup (http://localhost:3000)
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// The customer status page; it reads the token from its own URL
+app.get('/status/:token', (req, res) => {
+    res.sendFile(path.join(__dirname, 'status.html'));
+});
+
+// Installable-app files that sit next to index.html. The service worker is never cached
+// by the browser, so a new version is picked up on the next visit.
+['sw.js', 'manifest.webmanifest', 'icon.svg'].forEach(file => {
+    app.get(`/${file}`, (req, res) => {
+        if (file === 'sw.js') res.set('Cache-Control', 'no-cache');
+        res.sendFile(path.join(__dirname, file));
+    });
+});
+
+// Unknown API routes, bad JSON bodies and anything a route didn't catch get the usual error envelope
+app.use('/api', (req, res) => {
+    res.status(404).json({ error: `No such endpoint: ${req.method} ${req.originalUrl}`, code: 'NOT_FOUND' });
 });
+app.use(handleUncaughtError);
 
 // ============================================
 // START SERVER
 // ============================================
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`HeritageBox API running on port ${PORT}`);
-});
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`HeritageBox API running on port ${PORT}`);
+    });
+}
 
 module.exports = app;
@@ -0,0 +1,89 @@
+/**
+ * HeritageBox service worker
+ *
+ * Keeps the app shell (index.html and the scripts, styles and fonts it loads from
+ * CDNs) cached, so the app opens and runs when the warehouse Wi-Fi drops.
+ * API calls always go to the network: actions made offline are queued in the
+ * app's IndexedDB outbox (see Outbox in index.html), not here.
+ *
+ * Bump CACHE_NAME when the shell list changes so old caches are cleared.
+ */
+
+const CACHE_NAME = 'heritagebox-shell-v1';
+
+const SHELL_URLS = [
+    './',
+    './manifest.webmanifest',
+    './icon.svg',
+    'https://cdn.tailwindcss.com',
+    'https://unpkg.com/react@18/umd/react.development.js',
+    'https://unpkg.com/react-dom@18/umd/react-dom.development.js',
+    'https://unpkg.com/@babel/standalone/babel.min.js',
+    'https://unpkg.com/html5-qrcode@2.3.8/html5-qrcode.min.js'
+];
+
+// Cross-origin assets come back opaque (no CORS), which is fine for <script> and fonts
+const RUNTIME_HOSTS = ['cdn.tailwindcss.com', 'unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => Promise.all(SHELL_URLS.map(url => (
+                // One CDN being down shouldn't stop the app from installing
+                cache.add(new Request(url, { mode: url.startsWith('http') ? 'no-cors' : 'same-origin' })).catch(() => {})
+            ))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+const putInCache = (request, response) => {
+    if (response && (response.ok || response.type === 'opaque')) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    // Customer status pages (/status/<token>) aren't part of the app
+    if (url.origin === self.location.origin && url.pathname.startsWith('/status/')) return;
+
+    // The app page: network first so deploys show up, the cached copy when offline
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => putInCache('./', response))
+                .catch(() => caches.match('./'))
+        );
+        return;
+    }
+
+    // CDN scripts, styles and fonts, and the app's own static files: cached copy first,
+    // refreshed in the background
+    const isShellAsset = RUNTIME_HOSTS.includes(url.hostname)
+        || (url.origin === self.location.origin && !url.pathname.startsWith('/api/'));
+    if (!isShellAsset) return;
+
+    event.respondWith(
+        caches.match(request).then(cached => {
+            const network = fetch(request).then(response => putInCache(request, response));
+            if (cached) {
+                network.catch(() => {});
+                return cached;
+            }
+            return network;
+        })
+    );
+});
@@ -0,0 +1,72 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { EMPLOYEES, createTestApp, login, auth } = require('./helpers');
+
+describe('auth', () => {
+    let app;
+
+    beforeEach(() => {
+        app = createTestApp();
+    });
+
+    it('lists employees without their PINs', async () => {
+        const res = await request(app).get('/api/employees');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.employees.map(e => e.name), ['Dana', 'Eli', 'Sky']);
+        assert.ok(res.body.employees.every(e => !('pin' in e) && !('PIN' in e)));
+    });
+
+    it('signs in with the right PIN and returns the role', async () => {
+        const res = await request(app).post('/api/auth/login').send({ employeeId: EMPLOYEES.supervisor.id, pin: '9999' });
+
+        assert.equal(res.status, 200);
+        assert.ok(res.body.token);
+        assert.deepEqual(res.body.employee, { id: EMPLOYEES.supervisor.id, name: 'Sky', role: 'supervisor' });
+    });
+
+    it('rejects a wrong PIN and an unknown employee', async () => {
+        const wrongPin = await request(app).post('/api/auth/login').send({ employeeId: EMPLOYEES.dana.id, pin: '0000' });
+        const unknown = await request(app).post('/api/auth/login').send({ employeeId: 'recDoesNotExist00', pin: '1111' });
+        const missingPin = await request(app).post('/api/auth/login').send({ employeeId: EMPLOYEES.dana.id });
+
+        assert.equal(wrongPin.status, 401);
+        assert.equal(unknown.status, 401);
+        assert.equal(missingPin.status, 400);
+    });
+
+    it('locks an employee out after too many wrong PINs', async () => {
+        for (let i = 0; i < 5; i++) {
+            await request(app).post('/api/auth/login').send({ employeeId: EMPLOYEES.dana.id, pin: '0000' });
+        }
+        const res = await request(app).post('/api/auth/login').send({ employeeId: EMPLOYEES.dana.id, pin: '1111' });
+
+        assert.equal(res.status, 429);
+    });
+
+    it('returns the signed-in employee for a valid token only', async () => {
+        const token = await login(app, 'dana');
+
+        const ok = await request(app).get('/api/auth/session').set(auth(token));
+        const tampered = await request(app).get('/api/auth/session').set(auth(`${token}x`));
+        const missing = await request(app).get('/api/auth/session');
+
+        assert.equal(ok.status, 200);
+        assert.equal(ok.body.employee.name, 'Dana');
+        assert.equal(ok.body.employee.role, 'digitizer');
+        assert.equal(tampered.status, 401);
+        assert.equal(missing.status, 401);
+    });
+
+    it('keeps digitizers to their own work and pay', async () => {
+        const token = await login(app, 'dana');
+
+        const otherWork = await request(app).get(`/api/employees/${EMPLOYEES.eli.id}/work`).set(auth(token));
+        const otherPay = await request(app).get(`/api/employees/${EMPLOYEES.eli.id}/pay`).set(auth(token));
+
+        assert.equal(otherWork.status, 403);
+        assert.equal(otherPay.status, 403);
+    });
+});
@@ -0,0 +1,158 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { createTestApp, login, auth } = require('./helpers');
+
+describe('customer status', () => {
+    let app;
+    let danaToken;
+    let supervisorToken;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        danaToken = await login(app, 'dana');
+        supervisorToken = await login(app, 'supervisor');
+    });
+
+    const sent = () => app.locals.notifications.listSent();
+    // Emails are queued once the response has gone out
+    const settled = () => app.locals.customerUpdates.settled();
+    const tokenFrom = (message) => message.text.match(/\/status\/([A-Za-z0-9_-]+)/)[1];
+
+    const checkIn = (recordId, itemsReceived) => request(app)
+        .post(`/api/orders/${recordId}/checkin`)
+        .set(auth(danaToken))
+        .send({ itemsReceived });
+
+    it('emails the customer at check-in with the count and extra-items charge', async () => {
+        await checkIn('recTestOrder02001', 13);
+        await settled();
+
+        const [message] = sent();
+        assert.equal(sent().length, 1);
+        assert.equal(message.to, 'ada@example.com');
+        assert.equal(message.subject, 'Your HeritageBox order HB-2001: Digitizing');
+        assert.match(message.text, /^Hi Ada,/);
+        assert.match(message.text, /We counted 13 items/);
+        assert.match(message.text, /That's 3 more than your package includes/);
+        assert.match(message.text, /http:\/\/localhost:3000\/status\/[A-Za-z0-9_-]{32}/);
+    });
+
+    it('shows the order on its status link without anything internal', async () => {
+        await checkIn('recTestOrder02001', 13);
+        await settled();
+        await request(app).patch('/api/orders/recTestOrder02001/notes').set(auth(danaToken)).send({ notes: 'Cracked frame' });
+
+        const res = await request(app).get(`/api/status/${tokenFrom(sent()[0])}`);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.orderNumber, 'HB-2001');
+        assert.equal(res.body.customerName, 'Ada');
+        assert.equal(res.body.stage, 'Digitizing');
+        assert.deepEqual(res.body.stages.map(s => [s.name, s.reached]), [
+            ['Received', true], ['Digitizing', true], ['Quality Check', false], ['Complete', false]
+        ]);
+        assert.ok(res.body.stages[1].at);
+        assert.deepEqual(res.body.items, { included: 10, received: 13, digitized: null });
+        assert.equal(res.body.balance.extraItems, 3);
+        assert.ok(res.body.balance.outstanding > 0);
+        assert.equal(res.body.balance.outstanding, res.body.balance.extraItemsCharge);
+        assert.doesNotMatch(JSON.stringify(res.body), /Cracked frame|recTestDana/);
+    });
+
+    it('announces each stage once, even when QC sends the order back', async () => {
+        await checkIn('recTestOrder02001', 10);
+        const complete = () => request(app).post('/api/orders/recTestOrder02001/complete').set(auth(danaToken)).send({ itemsDigitized: 10 });
+
+        await complete();
+        await request(app).post('/api/orders/recTestOrder02001/qc/reject').set(auth(supervisorToken)).send({ reason: 'Blurry scans' });
+        await complete();
+        await request(app).post('/api/orders/recTestOrder02001/qc/approve').set(auth(supervisorToken));
+        await settled();
+
+        assert.deepEqual(sent().map(m => m.subject.split(': ')[1]), ['Digitizing', 'Quality Check', 'Complete']);
+        assert.equal(new Set(sent().map(tokenFrom)).size, 1);
+
+        const status = await request(app).get(`/api/status/${tokenFrom(sent()[0])}`);
+        assert.equal(status.body.stage, 'Complete');
+        assert.equal(status.body.items.digitized, 10);
+    });
+
+    it('tells the customer when the first box of several arrives', async () => {
+        await request(app)
+            .post('/api/orders/recTestOrder02002/checkin')
+            .set(auth(danaToken))
+            .send({ itemsReceived: 12, label: 1 });
+        await settled();
+
+        const [message] = sent();
+        assert.equal(message.subject, 'Your HeritageBox order HB-2002: Received');
+        assert.match(message.text, /1 of 2 boxes so far/);
+    });
+
+    it('skips orders with no customer email', async () => {
+        const res = await checkIn('recTestOrder02003', 10);
+        await settled();
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(sent(), []);
+    });
+
+    // Emails wait until the returned function is called
+    const holdEmails = () => {
+        const { notifications } = app.locals;
+        const { send } = notifications;
+        let release;
+        const released = new Promise(resolve => { release = resolve; });
+        notifications.send = async (message) => {
+            await released;
+            return send(message);
+        };
+        return release;
+    };
+
+    it('responds without waiting for the email', async () => {
+        const release = holdEmails();
+
+        const res = await checkIn('recTestOrder02001', 13);
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(sent(), []);
+
+        release();
+        await settled();
+        assert.equal(sent().length, 1);
+        const order = await app.locals.repo.getOrder('recTestOrder02001');
+        assert.equal(order.fields['Customer Notified Stage'], 'Digitizing');
+    });
+
+    it('announces a stage once when two changes are queued before it goes out', async () => {
+        const release = holdEmails();
+
+        const first = await checkIn('recTestOrder02001', 10);
+        const recount = await request(app).post('/api/orders/recTestOrder02001/checkin').set(auth(danaToken)).send({ itemsReceived: 11, recount: true });
+        release();
+        await settled();
+
+        assert.deepEqual([first.status, recount.status], [200, 200]);
+        assert.deepEqual(sent().map(m => m.subject.split(': ')[1]), ['Digitizing']);
+    });
+
+    it('gives staff the link to share, and rejects unknown tokens', async () => {
+        const link = await request(app).get('/api/orders/recTestOrder02004/status-link').set(auth(danaToken));
+        const again = await request(app).get('/api/orders/recTestOrder02004/status-link').set(auth(danaToken));
+
+        assert.equal(link.status, 200);
+        assert.equal(again.body.url, link.body.url);
+
+        const token = link.body.url.split('/status/')[1];
+        const status = await request(app).get(`/api/status/${token}`);
+        const unknown = await request(app).get(`/api/status/${'x'.repeat(32)}`);
+        const malformed = await request(app).get("/api/status/' OR '1'='1");
+
+        assert.equal(status.body.orderNumber, 'HB-2004');
+        assert.equal(unknown.status, 404);
+        assert.equal(malformed.status, 404);
+    });
+});
@@ -0,0 +1,156 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const { createTestApp, login, auth } = require('./helpers');
+const { createLocalPhotoStorage } = require('../lib/photos');
+const { EXCEPTION_TYPES } = require('../lib/exceptions');
+
+// Not a real JPEG; the server stores whatever bytes it's sent
+const PHOTO = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+
+describe('local photo storage', () => {
+    it('saves photos as files under its directory and nowhere else', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'photos-'));
+        const photos = createLocalPhotoStorage({ dir });
+
+        await photos.save('recOrder/recException/ph_1.jpg', PHOTO);
+
+        assert.deepEqual(fs.readFileSync(path.join(dir, 'recOrder', 'recException', 'ph_1.jpg')), PHOTO);
+        assert.deepEqual(await photos.read('recOrder/recException/ph_1.jpg'), PHOTO);
+        assert.equal(await photos.read('recOrder/recException/ph_2.jpg'), null);
+        await assert.rejects(() => photos.save('../outside.jpg', PHOTO), /Invalid photo key/);
+    });
+});
+
+describe('order exceptions', () => {
+    let app;
+    let dana;
+    let supervisor;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        dana = await login(app, 'dana');
+        supervisor = await login(app, 'supervisor');
+    });
+
+    const report = (recordId, body, token = dana) => request(app).post(`/api/orders/${recordId}/exceptions`).set(auth(token)).send(body);
+    const resolve = (recordId, exceptionId, token = supervisor) => request(app)
+        .post(`/api/orders/${recordId}/exceptions/${exceptionId}/resolve`)
+        .set(auth(token))
+        .send({ resolution: 'Customer told, cleaning the tape before digitizing' });
+    const complete = (recordId) => request(app).post(`/api/orders/${recordId}/complete`).set(auth(dana)).send({ itemsDigitized: 10 });
+
+    it('holds an order with an open exception until a supervisor resolves it', async () => {
+        const reported = await report('recTestOrder02005', { type: 'Damaged Item', description: 'Mold on one VHS tape' });
+
+        assert.equal(reported.status, 200);
+        assert.equal(reported.body.exception.status, 'Open');
+        assert.equal(reported.body.exception.reportedBy.name, 'Dana');
+        assert.equal(reported.body.order.fields['Exception Open'], true);
+
+        const held = await complete('recTestOrder02005');
+        assert.equal(held.status, 409);
+        assert.equal(held.body.code, 'EXCEPTION_OPEN');
+
+        const exceptionId = reported.body.exception.id;
+        assert.equal((await resolve('recTestOrder02005', exceptionId, dana)).status, 403);
+        const resolved = await resolve('recTestOrder02005', exceptionId);
+        assert.equal(resolved.status, 200);
+        assert.equal(resolved.body.exception.status, 'Resolved');
+        assert.equal(resolved.body.exception.resolvedBy.name, 'Sky');
+        assert.ok(!resolved.body.order.fields['Exception Open']);
+
+        assert.equal((await complete('recTestOrder02005')).status, 200);
+    });
+
+    it('keeps an order out of shipping until every exception on it is resolved', async () => {
+        const first = await report('recTestOrder02007', { type: 'Missing Item', description: 'Listed 3 reels, 2 in the box' });
+        const second = await report('recTestOrder02007', { type: 'Unlabeled Media' });
+        const approve = () => request(app).post('/api/orders/recTestOrder02007/qc/approve').set(auth(supervisor));
+
+        await resolve('recTestOrder02007', first.body.exception.id);
+        const held = await approve();
+        await resolve('recTestOrder02007', second.body.exception.id);
+        const again = await resolve('recTestOrder02007', second.body.exception.id);
+
+        assert.equal(held.status, 409);
+        assert.equal(held.body.code, 'EXCEPTION_OPEN');
+        assert.equal(again.status, 409);
+        assert.equal(again.body.code, 'ALREADY_RESOLVED');
+        assert.equal((await approve()).status, 200);
+    });
+
+    it('saves photos to photo storage and serves them back', async () => {
+        const { body } = await report('recTestOrder02001', { type: 'Damaged Box', description: 'Crushed corner' });
+        const photosPath = `/api/orders/recTestOrder02001/exceptions/${body.exception.id}/photos`;
+
+        const uploaded = await request(app).post(photosPath).set(auth(dana)).set('Content-Type', 'image/jpeg').send(PHOTO);
+
+        assert.equal(uploaded.status, 200);
+        const [photo] = uploaded.body.exception.photos;
+        assert.equal(photo.contentType, 'image/jpeg');
+        assert.deepEqual(app.locals.photos.listKeys(), [`recTestOrder02001/${body.exception.id}/${photo.id}.jpg`]);
+
+        const served = await request(app).get(`${photosPath}/${photo.id}`).set(auth(supervisor));
+        assert.equal(served.status, 200);
+        assert.match(served.headers['content-type'], /image\/jpeg/);
+        assert.deepEqual(served.body, PHOTO);
+
+        const listed = await request(app).get('/api/orders/recTestOrder02001/exceptions').set(auth(dana));
+        assert.equal(listed.body.exceptionOpen, true);
+        assert.deepEqual(listed.body.exceptions.map(e => [e.type, e.description, e.photos.length]), [['Damaged Box', 'Crushed corner', 1]]);
+    });
+
+    it('rejects photos that aren\'t images or don\'t belong to the order', async () => {
+        const { body } = await report('recTestOrder02001', { type: 'Damaged Box' });
+
+        const text = await request(app)
+            .post(`/api/orders/recTestOrder02001/exceptions/${body.exception.id}/photos`)
+            .set(auth(dana)).set('Content-Type', 'text/plain').send('not a photo');
+        const otherOrder = await request(app)
+            .post(`/api/orders/recTestOrder02002/exceptions/${body.exception.id}/photos`)
+            .set(auth(dana)).set('Content-Type', 'image/png').send(PHOTO);
+        const unknownType = await report('recTestOrder02001', { type: 'Water Damage' });
+
+        assert.equal(text.status, 400);
+        assert.equal(text.body.details[0].field, 'photo');
+        assert.equal(otherOrder.status, 404);
+        assert.equal(unknownType.status, 400);
+        assert.equal(unknownType.body.details[0].field, 'type');
+        assert.deepEqual(app.locals.photos.listKeys(), []);
+    });
+
+    it('still checks in an order with an exception, and records both in its history', async () => {
+        await report('recTestOrder02001', { type: 'Damaged Box' });
+
+        const checkIn = await request(app).post('/api/orders/recTestOrder02001/checkin').set(auth(dana)).send({ itemsReceived: 5 });
+        const history = await request(app).get('/api/orders/recTestOrder02001/history').set(auth(dana));
+
+        assert.equal(checkIn.status, 200);
+        assert.equal(checkIn.body.order.fields['Exception Open'], true);
+        assert.deepEqual(history.body.events.map(e => e.action).slice(0, 2), ['Exception Reported', 'Check-In']);
+    });
+
+    it('gives the app the exception types it accepts', async () => {
+        const res = await request(app).get('/api/config').set(auth(dana));
+
+        assert.deepEqual(res.body.exceptionTypes, EXCEPTION_TYPES);
+    });
+
+    it('lists the open exceptions on every order for supervisors', async () => {
+        const { body } = await report('recTestOrder02005', { type: 'Damaged Item' });
+        await report('recTestOrder02001', { type: 'Damaged Box' });
+        await resolve('recTestOrder02005', body.exception.id);
+
+        const res = await request(app).get('/api/exceptions').set(auth(supervisor));
+        const digitizer = await request(app).get('/api/exceptions').set(auth(dana));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.exceptions.map(e => [e.orderNumber, e.type]), [['HB-2001', 'Damaged Box']]);
+        assert.equal(digitizer.status, 403);
+    });
+});
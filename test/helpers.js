@@ -0,0 +1,72 @@
+/**
+ * Test helpers
+ *
+ * Each test gets a fresh copy of the app on an in-memory local store seeded
+ * from test/fixtures/seed.json, with the fake invoice provider standing in for Stripe
+ * and photos kept in memory.
+ */
+
+const path = require('path');
+const request = require('supertest');
+const Stripe = require('stripe');
+
+const SERVER_PATH = require.resolve('../server');
+const SEED_FILE = path.join(__dirname, 'fixtures', 'seed.json');
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+// Route progress logging is noise in test output; errors still show
+console.log = () => {};
+console.warn = () => {};
+
+const EMPLOYEES = {
+    supervisor: { id: 'recTestSupervisor', pin: '9999' },
+    dana: { id: 'recTestDana000001', pin: '1111' },
+    eli: { id: 'recTestEli0000001', pin: '2222' }
+};
+
+/**
+ * Load a fresh app. Returns the Express app; app.locals has { store, repo, invoices, notifications, photos, customerUpdates }.
+ */
+const createTestApp = () => {
+    Object.assign(process.env, {
+        STORAGE_BACKEND: 'local',
+        LOCAL_DATA_FILE: ':memory:',
+        LOCAL_SEED_FILE: SEED_FILE,
+        INVOICE_PROVIDER: 'fake',
+        PHOTO_STORAGE: 'memory',
+        STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+        SESSION_SECRET: 'test-session-secret'
+    });
+    delete require.cache[SERVER_PATH];
+    return require(SERVER_PATH);
+};
+
+/**
+ * Sign in as one of the fixture employees and return the session token
+ */
+const login = async (app, who) => {
+    const { id, pin } = EMPLOYEES[who];
+    const res = await request(app).post('/api/auth/login').send({ employeeId: id, pin });
+    if (res.status !== 200) throw new Error(`Login as ${who} failed: ${res.status} ${JSON.stringify(res.body)}`);
+    return res.body.token;
+};
+
+const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+/**
+ * A Stripe event body and a matching Stripe-Signature header
+ */
+const signedStripeEvent = (event, secret = WEBHOOK_SECRET) => {
+    const payload = JSON.stringify(event);
+    return { payload, signature: Stripe.webhooks.generateTestHeaderString({ payload, secret }) };
+};
+
+module.exports = {
+    EMPLOYEES,
+    WEBHOOK_SECRET,
+    createTestApp,
+    login,
+    auth,
+    signedStripeEvent
+};
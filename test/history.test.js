@@ -0,0 +1,80 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { EMPLOYEES, createTestApp, login, auth, signedStripeEvent } = require('./helpers');
+
+describe('order history', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'dana');
+    });
+
+    const history = (recordId) => request(app).get(`/api/orders/${recordId}/history`).set(auth(token));
+
+    it('records who changed what, from which device, for each write', async () => {
+        await request(app)
+            .post('/api/orders/recTestOrder02001/checkin')
+            .set(auth(token))
+            .set('X-Device-Id', 'scanner-1')
+            .send({ itemsReceived: 13 });
+        await app.locals.customerUpdates.settled();
+        await request(app)
+            .patch('/api/orders/recTestOrder02001/notes')
+            .set(auth(token))
+            .send({ notes: 'Two albums' });
+
+        const res = await history('recTestOrder02001');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.orderNumber, 'HB-2001');
+        assert.deepEqual(res.body.events.map(e => e.action), ['Check-In', 'Invoice Sent', 'Customer Notified (Digitizing)', 'Notes Updated']);
+
+        const [checkIn, , notified, notes] = res.body.events;
+        assert.deepEqual(checkIn.actor, { id: EMPLOYEES.dana.id, name: 'Dana' });
+        assert.equal(checkIn.source, 'App');
+        assert.equal(checkIn.device, 'scanner-1');
+        assert.deepEqual(checkIn.changes['Ops Status'], { from: 'Media Received', to: 'Digitizing' });
+        assert.deepEqual(checkIn.changes['Items Received'], { from: null, to: 13 });
+        assert.equal(notified.source, 'System');
+        assert.deepEqual(notes.changes, { 'Check-In Notes': { from: null, to: 'Two albums' } });
+    });
+
+    it('skips writes that change nothing', async () => {
+        const saveNotes = () => request(app).patch('/api/orders/recTestOrder02001/notes').set(auth(token)).send({ notes: 'Fragile' });
+        await saveNotes();
+        await saveNotes();
+
+        const res = await history('recTestOrder02001');
+
+        assert.equal(res.body.events.length, 1);
+    });
+
+    it('records Stripe webhook updates without an employee', async () => {
+        const event = {
+            id: 'evt_test_history',
+            object: 'event',
+            type: 'invoice.paid',
+            created: Math.floor(Date.now() / 1000),
+            data: { object: { id: 'in_test_2004', object: 'invoice', metadata: {} } }
+        };
+        const { payload, signature } = signedStripeEvent(event);
+        await request(app)
+            .post('/api/webhooks/stripe')
+            .set('Content-Type', 'application/json')
+            .set('Stripe-Signature', signature)
+            .send(payload);
+
+        const res = await history('recTestOrder02004');
+        const [paid] = res.body.events;
+
+        assert.equal(paid.action, 'Invoice Paid');
+        assert.equal(paid.source, 'Stripe Webhook');
+        assert.equal(paid.actor, null);
+        assert.equal(paid.device, 'evt_test_history');
+        assert.deepEqual(paid.changes['Extra Items Paid'], { from: null, to: true });
+    });
+});
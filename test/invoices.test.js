@@ -0,0 +1,82 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { createTestApp, login, auth } = require('./helpers');
+
+// An invoice made straight on the provider, the way a crashed check-in would leave one
+const createInvoice = (app, orderId, { amount = 30, finalize = true } = {}) => {
+    const { invoices } = app.locals;
+    return invoices.createInvoice({
+        customerEmail: 'ada@example.com',
+        orderNumber: 'HB-2001',
+        amount,
+        description: 'Additional digitization items',
+        metadata: { order_record_id: orderId }
+    }).then(invoice => (finalize ? invoices.finalizeInvoice(invoice.id) : invoice));
+};
+
+describe('invoice reconciliation', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'supervisor');
+    });
+
+    const reconcile = (body = {}) => request(app).post('/api/invoices/reconcile').set(auth(token)).send(body);
+
+    it('links an invoice to an order that has none', async () => {
+        const invoice = await createInvoice(app, 'recTestOrder02001');
+
+        const res = await reconcile();
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.results.map(r => [r.invoiceId, r.action]), [[invoice.id, 'link']]);
+        const order = await app.locals.repo.getOrder('recTestOrder02001');
+        assert.equal(order.fields['Extra Items Invoice ID'], invoice.id);
+        assert.equal(order.fields['Extra Items Invoice Status'], 'Open');
+    });
+
+    it('deletes orphaned drafts and voids unpaid duplicates, and reports paid ones', async () => {
+        const { invoices } = app.locals;
+        const current = await createInvoice(app, 'recTestOrder02001');
+        await app.locals.repo.updateOrder('recTestOrder02001', { 'Extra Items Invoice ID': current.id });
+        const draft = await createInvoice(app, 'recTestOrder02001', { finalize: false });
+        const duplicate = await createInvoice(app, 'recTestOrder02001');
+        const paidDuplicate = await createInvoice(app, 'recTestOrder02001');
+        invoices.markPaid(paidDuplicate.id);
+
+        const res = await reconcile();
+
+        assert.equal(res.status, 200);
+        const actions = Object.fromEntries(res.body.results.map(r => [r.invoiceId, r.action]));
+        assert.deepEqual(actions, {
+            [draft.id]: 'delete',
+            [duplicate.id]: 'void',
+            [paidDuplicate.id]: 'unresolved'
+        });
+        assert.equal(await invoices.getInvoice(draft.id), null);
+        assert.equal((await invoices.getInvoice(duplicate.id)).status, 'void');
+        assert.equal((await invoices.getInvoice(current.id)).status, 'open');
+    });
+
+    it('only reports in a dry run', async () => {
+        const draft = await createInvoice(app, 'recTestOrder02001', { finalize: false });
+
+        const res = await reconcile({ dryRun: true });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.dryRun, true);
+        assert.deepEqual(res.body.results.map(r => r.action), ['delete']);
+        assert.equal((await app.locals.invoices.getInvoice(draft.id)).status, 'draft');
+    });
+
+    it('is supervisor-only', async () => {
+        const danaToken = await login(app, 'dana');
+        const res = await request(app).post('/api/invoices/reconcile').set(auth(danaToken)).send({});
+
+        assert.equal(res.status, 403);
+    });
+});
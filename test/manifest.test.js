@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const { EMPLOYEES, createTestApp, login, auth } = require('./helpers');
+const pricing = require('../lib/pricing');
+const { MEDIA_TYPES } = require('../lib/manifest');
+
+describe('item manifests', () => {
+    let app;
+    let token;
+    let defaultPricing;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'dana');
+        defaultPricing = { ruleSets: pricing.getRuleSets() };
+    });
+
+    afterEach(() => pricing.setPricing(defaultPricing));
+
+    const checkIn = (recordId, body) => request(app).post(`/api/orders/${recordId}/checkin`).set(auth(token)).send(body);
+
+    // The order's line items with a quantity, as [stage, media type, quantity]
+    const lines = async (orderId) => (await app.locals.store.select('Manifest Items'))
+        .filter(line => line.fields['Order Record ID'] === orderId && line.fields['Quantity'] > 0)
+        .map(line => [line.fields['Stage'], line.fields['Media Type'], line.fields['Quantity']]);
+
+    it('records what arrived by media type and itemizes the extra items invoice', async () => {
+        // HB-2001 includes 10 items, counted against the photos first
+        const res = await checkIn('recTestOrder02001', { manifest: { 'Photos': 9, 'VHS Tapes': 3, 'Film Reels': 2 } });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.order.fields['Items Received'], 14);
+        assert.equal(res.body.order.fields['Extra Items'], 4);
+        assert.deepEqual(await lines('recTestOrder02001'), [
+            ['Received', 'Photos', 9], ['Received', 'Film Reels', 2], ['Received', 'VHS Tapes', 3]
+        ]);
+        const [invoice] = app.locals.invoices.listInvoices();
+        assert.equal(invoice.amount, 60);
+        assert.deepEqual(invoice.lineItems.map(item => [item.description, item.amount]), [
+            ['Film Reels: 1 extra item @ $15/each - Order HB-2001', 15],
+            ['VHS Tapes: 3 extra items @ $15/each - Order HB-2001', 45]
+        ]);
+    });
+
+    it('replaces the manifest on a recount', async () => {
+        await checkIn('recTestOrder02001', { manifest: { 'Photos': 12 } });
+
+        const res = await checkIn('recTestOrder02001', { manifest: { 'Photos': 10, 'Audio Cassettes': 1 }, recount: true });
+
+        assert.equal(res.body.order.fields['Items Received'], 11);
+        assert.deepEqual(await lines('recTestOrder02001'), [['Received', 'Photos', 10], ['Received', 'Audio Cassettes', 1]]);
+        assert.equal((await app.locals.store.select('Manifest Items')).length, 2);
+        const order = await request(app).get('/api/orders/by-id/recTestOrder02001').set(auth(token));
+        assert.deepEqual(order.body.fields['Manifest'].received, { 'Photos': 10, 'Audio Cassettes': 1 });
+    });
+
+    it('adds up the manifests of a multi-box order', async () => {
+        // HB-2002 includes 20 items and came in two boxes
+        await checkIn('recTestOrder02002', { label: 1, manifest: { 'Photos': 15 } });
+        const res = await checkIn('recTestOrder02002', { label: 2, manifest: { 'Photos': 5, 'VHS Tapes': 4 } });
+
+        assert.equal(res.body.order.fields['Items Received'], 24);
+        const [invoice] = app.locals.invoices.listInvoices();
+        assert.deepEqual(invoice.lineItems.map(item => [item.description, item.amount]), [
+            ['VHS Tapes: 4 extra items @ $15/each - Order HB-2002', 60]
+        ]);
+        const order = await request(app).get('/api/orders/tracking/1Z0000000000033333').set(auth(token));
+        assert.deepEqual(order.body.fields['Manifest'].received, { 'Photos': 20, 'VHS Tapes': 4 });
+        assert.deepEqual(order.body.fields['Manifest'].boxes, { 1: { 'Photos': 15 }, 2: { 'Photos': 5, 'VHS Tapes': 4 } });
+    });
+
+    it('checks the manifest adds up to the count sent with it', async () => {
+        const mismatch = await checkIn('recTestOrder02001', { itemsReceived: 5, manifest: { 'Photos': 4 } });
+        const unknown = await checkIn('recTestOrder02001', { manifest: { 'Vinyl': 2 } });
+        const missing = await checkIn('recTestOrder02001', { notes: 'No count' });
+
+        assert.equal(mismatch.status, 400);
+        assert.equal(mismatch.body.code, 'MANIFEST_MISMATCH');
+        assert.equal(unknown.status, 400);
+        assert.equal(unknown.body.details[0].field, 'manifest');
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.error, 'itemsReceived is required');
+        assert.deepEqual(await lines('recTestOrder02001'), []);
+    });
+
+    it('pays the items digitized at their media type\'s rate', async () => {
+        const [ruleSet] = defaultPricing.ruleSets;
+        pricing.setPricing({ ruleSets: [{ ...ruleSet, perItemPayByMedia: { 'Film Reels': [{ rate: 8 }] } }] });
+        await checkIn('recTestOrder02005', { manifest: { 'Photos': 6, 'Film Reels': 2 }, recount: true });
+
+        const work = await request(app).get(`/api/employees/${EMPLOYEES.dana.id}/work`).set(auth(token));
+        const order = work.body.orders.find(o => o.fields['Order Number'] === 'HB-2005');
+        assert.deepEqual(order.fields['Manifest'].received, { 'Photos': 6, 'Film Reels': 2 });
+        assert.deepEqual(order.fields['Pay Rates'].perItemPayByMedia, { 'Film Reels': [{ rate: 8 }] });
+
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02005/complete')
+            .set(auth(token))
+            .send({ digitized: { 'Photos': 6, 'Film Reels': 2 } });
+
+        // $15 base + 6 photos x $2 + 2 reels x $8
+        assert.equal(res.status, 200);
+        assert.equal(res.body.order.fields['Items Digitized'], 8);
+        assert.deepEqual(res.body.digitized, { 'Photos': 6, 'Film Reels': 2 });
+        assert.deepEqual(res.body.pay, { basePay: 15, perItemPay: 28, tierBonus: 0, totalPay: 43 });
+        assert.deepEqual((await lines('recTestOrder02005')).filter(([stage]) => stage === 'Digitized'), [
+            ['Digitized', 'Photos', 6], ['Digitized', 'Film Reels', 2]
+        ]);
+    });
+
+    it('gives the app the media types to count by', async () => {
+        const res = await request(app).get('/api/config').set(auth(token));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.mediaTypes, MEDIA_TYPES);
+    });
+
+    it('rejects media pay rates for a media type it doesn\'t know', () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-')), 'pricing.json');
+        const [ruleSet] = defaultPricing.ruleSets;
+        fs.writeFileSync(file, JSON.stringify({ ruleSets: [{ ...ruleSet, perItemPayByMedia: { 'Vinyl': [{ rate: 3 }] } }] }));
+
+        assert.throws(() => pricing.loadPricing(file), /unknown media type "Vinyl"/);
+    });
+});
@@ -0,0 +1,545 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { EMPLOYEES, createTestApp, login, auth } = require('./helpers');
+
+describe('tracking lookup', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'dana');
+    });
+
+    it('finds an order by full tracking number on any label', async () => {
+        const label1 = await request(app).get('/api/orders/tracking/1Z0000000000011111').set(auth(token));
+        const label2 = await request(app).get('/api/orders/tracking/1Z0000000000033333').set(auth(token));
+
+        assert.equal(label1.status, 200);
+        assert.equal(label1.body.fields['Order Number'], 'HB-2001');
+        assert.equal(label2.status, 200);
+        assert.equal(label2.body.fields['Order Number'], 'HB-2002');
+    });
+
+    it('finds an order by the last 5 digits and classifies its items', async () => {
+        const res = await request(app).get('/api/orders/tracking/11111').set(auth(token));
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.id, 'recTestOrder02001');
+        assert.equal(res.body.fields['USB Drive Count'], 2);
+        assert.equal(res.body.fields['Processing Tier'], 'Standard');
+        assert.deepEqual(res.body.fields['Unmapped Products'], []);
+    });
+
+    it('asks for more digits when several orders match', async () => {
+        const res = await request(app).get('/api/orders/tracking/22222').set(auth(token));
+
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.matches.map(m => m.orderNumber).sort(), ['HB-2002', 'HB-2003']);
+    });
+
+    it('returns 404 when nothing matches', async () => {
+        const res = await request(app).get('/api/orders/tracking/1Z9999999999999999').set(auth(token));
+
+        assert.equal(res.status, 404);
+        assert.equal(res.body.trackingNumber, '1Z9999999999999999');
+    });
+
+    it('requires sign-in', async () => {
+        const res = await request(app).get('/api/orders/tracking/11111');
+
+        assert.equal(res.status, 401);
+    });
+});
+
+describe('check-in', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'dana');
+    });
+
+    it('checks in without extras: no invoice, order moves to Digitizing for the signed-in employee', async () => {
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02001/checkin')
+            .set(auth(token))
+            .send({ itemsReceived: 8, notes: 'Two albums' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.invoice, null);
+
+        const { fields } = res.body.order;
+        assert.equal(fields['Items Received'], 8);
+        assert.equal(fields['Extra Items'], 0);
+        assert.equal(fields['Extra Items Charge'], 0);
+        assert.equal(fields['Ops Status'], 'Digitizing');
+        assert.deepEqual(fields['Assigned Employee'], [EMPLOYEES.dana.id]);
+        assert.equal(fields['Check-In Notes'], 'Two albums');
+        assert.ok(fields['Check-In Date']);
+        assert.deepEqual(app.locals.invoices.listInvoices(), []);
+    });
+
+    it('invoices extra items at $15 each', async () => {
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02001/checkin')
+            .set(auth(token))
+            .send({ itemsReceived: 13 });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.order.fields['Extra Items'], 3);
+        assert.equal(res.body.order.fields['Extra Items Charge'], 45);
+        assert.equal(res.body.invoice.amount, 45);
+        assert.equal(res.body.order.fields['Extra Items Invoice ID'], res.body.invoice.id);
+
+        const invoices = app.locals.invoices.listInvoices();
+        assert.equal(invoices.length, 1);
+        assert.equal(invoices[0].customerEmail, 'ada@example.com');
+        assert.equal(invoices[0].amount, 45);
+        assert.equal(invoices[0].metadata.order_number, 'HB-2001');
+    });
+
+    it('skips the invoice when the customer has no email', async () => {
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02003/checkin')
+            .set(auth(token))
+            .send({ itemsReceived: 12 });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.order.fields['Extra Items'], 2);
+        assert.equal(res.body.invoice, null);
+        assert.deepEqual(app.locals.invoices.listInvoices(), []);
+    });
+
+    it('replays a retried check-in with the same Idempotency-Key instead of invoicing twice', async () => {
+        const checkIn = () => request(app)
+            .post('/api/orders/recTestOrder02001/checkin')
+            .set(auth(token))
+            .set('Idempotency-Key', 'attempt-1')
+            .send({ itemsReceived: 13 });
+
+        const first = await checkIn();
+        const retry = await checkIn();
+
+        assert.equal(first.status, 200);
+        assert.equal(retry.status, 200);
+        assert.equal(retry.headers['idempotent-replayed'], 'true');
+        assert.equal(retry.body.invoice.id, first.body.invoice.id);
+        assert.equal(app.locals.invoices.listInvoices().length, 1);
+    });
+
+    it('refuses to check in an order twice unless it is a recount', async () => {
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02004/checkin')
+            .set(auth(token))
+            .send({ itemsReceived: 25 });
+
+        assert.equal(res.status, 409);
+        assert.equal(res.body.code, 'ALREADY_CHECKED_IN');
+        assert.equal(res.body.itemsReceived, 22);
+        const order = await app.locals.repo.getOrder('recTestOrder02004');
+        assert.equal(order.fields['Items Received'], 22);
+    });
+
+    it('sends nothing new when a recount keeps the same extras', async () => {
+        const first = await request(app).post('/api/orders/recTestOrder02001/checkin').set(auth(token)).send({ itemsReceived: 12 });
+        const recount = await request(app).post('/api/orders/recTestOrder02001/checkin').set(auth(token)).send({ itemsReceived: 12, recount: true });
+
+        assert.equal(recount.status, 200);
+        assert.equal(recount.body.invoice, null);
+        assert.deepEqual(recount.body.invoiceAdjustments, []);
+        assert.equal(recount.body.order.fields['Extra Items Invoice ID'], first.body.invoice.id);
+        assert.equal(app.locals.invoices.listInvoices().length, 1);
+    });
+
+    it('voids an unpaid invoice and reissues it when a recount changes the extras', async () => {
+        const first = await request(app).post('/api/orders/recTestOrder02001/checkin').set(auth(token)).send({ itemsReceived: 12 });
+        const recount = await request(app).post('/api/orders/recTestOrder02001/checkin').set(auth(token)).send({ itemsReceived: 14, recount: true });
+
+        assert.equal(recount.status, 200);
+        assert.equal(recount.body.invoice.amount, 60);
+        const { fields } = recount.body.order;
+        assert.equal(fields['Extra Items'], 4);
+        assert.equal(fields['Extra Items Invoice ID'], recount.body.invoice.id);
+        assert.equal(fields['Extra Items Previous Invoice IDs'], first.body.invoice.id);
+        assert.equal(fields['Extra Items Invoice Status'], 'Open');
+        // A recount doesn't move the order or reassign it
+        assert.deepEqual(fields['Assigned Employee'], [EMPLOYEES.dana.id]);
+
+        const [original, reissued] = app.locals.invoices.listInvoices();
+        assert.equal(original.status, 'void');
+        assert.equal(reissued.status, 'open');
+    });
+
+    it('bills only the difference once an invoice is paid, and credits a lower recount', async () => {
+        const first = await request(app).post('/api/orders/recTestOrder02001/checkin').set(auth(token)).send({ itemsReceived: 12 });
+        app.locals.invoices.markPaid(first.body.invoice.id);
+
+        const more = await request(app).post('/api/orders/recTestOrder02001/checkin').set(auth(token)).send({ itemsReceived: 15, recount: true });
+        assert.equal(more.status, 200);
+        assert.equal(more.body.invoice.amount, 45);
+        assert.equal(more.body.order.fields['Extra Items Charge'], 75);
+
+        app.locals.invoices.markPaid(more.body.invoice.id);
+        const fewer = await request(app).post('/api/orders/recTestOrder02001/checkin').set(auth(token)).send({ itemsReceived: 11, recount: true });
+        assert.equal(fewer.status, 200);
+        assert.equal(fewer.body.invoice, null);
+        // $75 paid, $15 owed: the newer invoice is credited in full, then $15 of the first
+        assert.deepEqual(fewer.body.invoiceAdjustments.map(a => [a.action, a.amount]), [['credited', 45], ['credited', 15]]);
+
+        const [firstInvoice, secondInvoice] = app.locals.invoices.listInvoices();
+        assert.equal(firstInvoice.amountCredited, 15);
+        assert.equal(secondInvoice.amountCredited, 45);
+    });
+
+    it('deletes the draft invoice when the order update fails', async () => {
+        const { repo } = app.locals;
+        const updateOrder = repo.updateOrder;
+        repo.updateOrder = async () => { throw new Error('Airtable is down'); };
+
+        const res = await request(app).post('/api/orders/recTestOrder02001/checkin').set(auth(token)).send({ itemsReceived: 13 });
+        repo.updateOrder = updateOrder;
+
+        assert.equal(res.status, 500);
+        assert.deepEqual(app.locals.invoices.listInvoices(), []);
+    });
+});
+
+describe('multi-box check-in', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'dana');
+    });
+
+    // HB-2002 ships in two boxes (Label 1 and Label 2), 20 items included
+    const receiveBox = (label, itemsReceived, body = {}) => request(app)
+        .post('/api/orders/recTestOrder02002/checkin')
+        .set(auth(token))
+        .send({ itemsReceived, label, ...body });
+
+    it('tells the lookup which box was scanned', async () => {
+        const res = await request(app).get('/api/orders/tracking/1Z0000000000033333').set(auth(token));
+
+        assert.equal(res.body.fields['Scanned Label'], 2);
+        assert.deepEqual(res.body.fields['Receipt'].boxes.map(b => [b.label, b.received]), [[1, false], [2, false]]);
+    });
+
+    it('keeps the order partially received, and unbilled, until the last box is in', async () => {
+        const first = await receiveBox(1, 12);
+
+        assert.equal(first.status, 200);
+        assert.equal(first.body.invoice, null);
+        assert.equal(first.body.order.fields['Ops Status'], 'Media Received');
+        assert.equal(first.body.order.fields['Items Received'], 12);
+        assert.equal(first.body.receipt.status, 'Partially Received');
+        assert.equal(first.body.receipt.boxesReceived, 1);
+        assert.equal(first.body.receipt.boxes[0].receivedByName, 'Dana');
+        assert.equal(first.body.order.fields['Check-In Date'], undefined);
+
+        const last = await receiveBox(2, 11);
+
+        assert.equal(last.status, 200);
+        assert.equal(last.body.order.fields['Ops Status'], 'Digitizing');
+        assert.equal(last.body.order.fields['Items Received'], 23);
+        assert.equal(last.body.order.fields['Extra Items'], 3);
+        assert.equal(last.body.receipt.status, 'Received');
+        assert.equal(last.body.invoice.amount, 45);
+        assert.equal(app.locals.invoices.listInvoices().length, 1);
+    });
+
+    it('refuses a box scanned twice, and a whole-order check-in of a partial receipt', async () => {
+        await receiveBox(1, 12);
+
+        const again = await receiveBox(1, 12);
+        assert.equal(again.status, 409);
+        assert.equal(again.body.code, 'ALREADY_CHECKED_IN');
+        assert.equal(again.body.label, 1);
+
+        const whole = await request(app).post('/api/orders/recTestOrder02002/checkin').set(auth(token)).send({ itemsReceived: 23 });
+        assert.equal(whole.status, 409);
+        assert.equal(whole.body.code, 'PARTIALLY_RECEIVED');
+
+        const missing = await receiveBox(3, 5);
+        assert.equal(missing.status, 400);
+    });
+
+    it('recounts a box into the total once the order is checked in', async () => {
+        await receiveBox(1, 12);
+        await receiveBox(2, 11);
+
+        const res = await receiveBox(1, 9, { recount: true });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.order.fields['Items Received'], 20);
+        assert.equal(res.body.order.fields['Extra Items'], 0);
+        assert.deepEqual(res.body.invoiceAdjustments.map(a => a.action), ['voided']);
+    });
+
+    it('lets a supervisor complete the receipt without the missing box, billing what arrived', async () => {
+        await receiveBox(1, 24);
+
+        const digitizer = await request(app)
+            .post('/api/orders/recTestOrder02002/receipt/complete')
+            .set(auth(token))
+            .send({ reason: 'Customer packed everything in one box' });
+        assert.equal(digitizer.status, 403);
+
+        const supervisorToken = await login(app, 'supervisor');
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02002/receipt/complete')
+            .set(auth(supervisorToken))
+            .send({ reason: 'Customer packed everything in one box' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.order.fields['Ops Status'], 'Digitizing');
+        assert.deepEqual(res.body.order.fields['Assigned Employee'], [EMPLOYEES.dana.id]);
+        assert.equal(res.body.invoice.amount, 60);
+        assert.equal(res.body.receipt.status, 'Received');
+        assert.equal(res.body.receipt.override.by, 'Sky');
+        assert.equal(res.body.receipt.override.reason, 'Customer packed everything in one box');
+
+        const again = await request(app)
+            .post('/api/orders/recTestOrder02002/receipt/complete')
+            .set(auth(supervisorToken))
+            .send({ reason: 'Again' });
+        assert.equal(again.status, 409);
+        assert.equal(again.body.code, 'ALREADY_CHECKED_IN');
+    });
+});
+
+describe('notes and completion', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'dana');
+    });
+
+    it('updates check-in notes', async () => {
+        const res = await request(app)
+            .patch('/api/orders/recTestOrder02004/notes')
+            .set(auth(token))
+            .send({ notes: 'Fragile slides' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.notes, 'Fragile slides');
+
+        const order = await app.locals.repo.getOrder('recTestOrder02004');
+        assert.equal(order.fields['Check-In Notes'], 'Fragile slides');
+    });
+
+    it('completes an assigned order, sends it to QC and returns the pay', async () => {
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02004/complete')
+            .set(auth(token))
+            .send({ itemsDigitized: 18 });
+
+        assert.equal(res.status, 200);
+        const { fields } = res.body.order;
+        assert.equal(fields['Ops Status'], 'Quality Check');
+        assert.equal(fields['Digitization Complete'], true);
+        assert.equal(fields['Items Digitized'], 18);
+        assert.equal(fields['Digitization Completion Date'], new Date().toISOString().split('T')[0]);
+        assert.deepEqual(fields['Employee Link'], [EMPLOYEES.dana.id]);
+        // Popular package: $22.50 base + 18 items x $2
+        assert.deepEqual(res.body.pay, { basePay: 22.5, perItemPay: 36, tierBonus: 0, totalPay: 58.5 });
+    });
+
+    it("won't let a digitizer complete someone else's order", async () => {
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02006/complete')
+            .set(auth(token))
+            .send({ itemsDigitized: 10 });
+
+        assert.equal(res.status, 403);
+        const order = await app.locals.repo.getOrder('recTestOrder02006');
+        assert.equal(order.fields['Ops Status'], 'Digitizing');
+    });
+
+    it('rejects an offline notes edit when the notes changed in between, unless forced', async () => {
+        await app.locals.repo.updateOrder('recTestOrder02004', { 'Check-In Notes': 'Box was wet' });
+        const edit = (body) => request(app).patch('/api/orders/recTestOrder02004/notes').set(auth(token)).send(body);
+
+        const res = await edit({ notes: 'Fragile slides', previousNotes: '' });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.code, 'NOTES_CHANGED');
+        assert.equal(res.body.currentNotes, 'Box was wet');
+
+        const forced = await edit({ notes: 'Fragile slides', previousNotes: '', force: true });
+        assert.equal(forced.status, 200);
+        assert.equal(forced.body.notes, 'Fragile slides');
+    });
+
+    it('replays a repeated completion and refuses one for an order that has moved on', async () => {
+        const complete = (key) => request(app)
+            .post('/api/orders/recTestOrder02004/complete')
+            .set(auth(token))
+            .set('Idempotency-Key', key)
+            .send({ itemsDigitized: 18 });
+
+        const first = await complete('outbox-1');
+        const replay = await complete('outbox-1');
+        assert.equal(replay.status, 200);
+        assert.equal(replay.headers['idempotent-replayed'], 'true');
+        assert.deepEqual(replay.body, first.body);
+
+        const other = await complete('outbox-2');
+        assert.equal(other.status, 409);
+        assert.equal(other.body.code, 'NOT_IN_DIGITIZING');
+        assert.equal(other.body.opsStatus, 'Quality Check');
+    });
+
+    it('lets a supervisor complete any order', async () => {
+        const supervisorToken = await login(app, 'supervisor');
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02006/complete')
+            .set(auth(supervisorToken))
+            .send({ itemsDigitized: 10 });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.order.fields['Ops Status'], 'Quality Check');
+        // Still paid to Eli, who the order is assigned to
+        assert.deepEqual(res.body.order.fields['Employee Link'], [EMPLOYEES.eli.id]);
+    });
+});
+
+describe('work tickets', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'dana');
+    });
+
+    it('looks up an order by the record ID on its ticket', async () => {
+        const res = await request(app).get('/api/orders/by-id/recTestOrder02005').set(auth(token));
+        const missing = await request(app).get('/api/orders/by-id/recTestOrder09999').set(auth(token));
+        const malformed = await request(app).get('/api/orders/by-id/HB-2005').set(auth(token));
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.fields['Order Number'], 'HB-2005');
+        assert.equal(res.body.fields['Processing Tier'], 'Rush');
+        assert.equal(res.body.fields['Scanned Label'], null);
+        assert.equal(missing.status, 404);
+        assert.equal(malformed.status, 400);
+    });
+
+    it('prints the order details, flag and a QR code of the record ID', async () => {
+        await request(app)
+            .patch('/api/orders/recTestOrder02005/notes')
+            .set(auth(token))
+            .send({ notes: 'Fragile <b>slides</b>' });
+
+        const res = await request(app).get('/api/orders/recTestOrder02005/ticket').set(auth(token));
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers['content-type'], /text\/html/);
+        assert.match(res.text, /<div class="order-number">HB-2005<\/div>/);
+        assert.match(res.text, /Ed Fox/);
+        assert.match(res.text, /<div class="flag">Rush<\/div>/);
+        assert.match(res.text, /<svg[\s\S]*<\/svg>\s*<div>recTestOrder02005<\/div>/);
+        assert.match(res.text, /Assigned to<\/td><td>Dana/);
+        assert.match(res.text, /Fragile &lt;b&gt;slides&lt;\/b&gt;/);
+        assert.doesNotMatch(res.text, /window\.print/);
+    });
+
+    it('adds a label per box for multi-box orders and can open the print dialog', async () => {
+        await request(app)
+            .post('/api/orders/recTestOrder02002/checkin')
+            .set(auth(token))
+            .send({ itemsReceived: 12, label: 1 });
+
+        const res = await request(app).get('/api/orders/recTestOrder02002/ticket?print=1').set(auth(token));
+
+        assert.match(res.text, /Box 1 of 2/);
+        assert.match(res.text, /Box 2 of 2/);
+        assert.match(res.text, /12 items<\/td>/);
+        assert.match(res.text, /not in yet/);
+        assert.match(res.text, /window\.print/);
+    });
+
+    it('needs a session', async () => {
+        const res = await request(app).get('/api/orders/recTestOrder02005/ticket');
+
+        assert.equal(res.status, 401);
+    });
+});
+
+describe('order search', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'dana');
+    });
+
+    const search = (q) => request(app).get('/api/orders/search').query({ q }).set(auth(token));
+
+    it('finds an order by its number, with or without the prefix', async () => {
+        const res = await search('2001');
+        const prefixed = await search('hb-2001');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.match, 'recTestOrder02001');
+        assert.deepEqual(res.body.results.map(r => [r.orderNumber, r.matchedOn]), [['HB-2001', 'Order number']]);
+        assert.equal(prefixed.body.match, 'recTestOrder02001');
+    });
+
+    it('finds orders by customer email or name, ignoring case', async () => {
+        const email = await search('BEN@example.com');
+        const name = await search('fox');
+
+        assert.equal(email.body.match, 'recTestOrder02002');
+        assert.equal(email.body.results[0].matchedOn, 'Customer email');
+        assert.equal(name.body.match, 'recTestOrder02005');
+        assert.equal(name.body.results[0].customer, 'Ed Fox');
+    });
+
+    it('lists every order whose label ends in the digits, for the employee to pick', async () => {
+        const res = await search('22222');
+
+        assert.equal(res.body.match, null);
+        assert.deepEqual(res.body.results.map(r => [r.orderNumber, r.tracking]), [
+            ['HB-2002', '1Z0000000000022222'],
+            ['HB-2003', '1Z0000000000122222']
+        ]);
+    });
+
+    it('ranks a full tracking number above partial matches and checks in its box', async () => {
+        const res = await search('1Z0000000000033333');
+        const [top] = res.body.results;
+
+        assert.equal(res.body.match, 'recTestOrder02002');
+        assert.equal(top.matchedOn, 'Label 2 tracking');
+
+        const order = await request(app)
+            .get(`/api/orders/by-id/${top.id}`)
+            .query({ tracking: top.tracking })
+            .set(auth(token));
+
+        assert.equal(order.body.fields['Scanned Label'], 2);
+    });
+
+    it('finds an order by its work ticket code', async () => {
+        const res = await search('recTestOrder02007');
+
+        assert.equal(res.body.match, 'recTestOrder02007');
+        assert.equal(res.body.results[0].matchedOn, 'Work ticket');
+    });
+
+    it('needs at least 2 characters', async () => {
+        const res = await search('H');
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { EMPLOYEES, createTestApp, login, auth } = require('./helpers');
+
+describe('pay periods', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'dana');
+    });
+
+    const getPay = async (employeeId = EMPLOYEES.dana.id) => {
+        const res = await request(app).get(`/api/employees/${employeeId}/pay`).set(auth(token));
+        assert.equal(res.status, 200);
+        return res.body;
+    };
+
+    it('lists periods newest first with the open period as current', async () => {
+        const pay = await getPay();
+
+        assert.deepEqual(pay.payPeriods.map(p => [p.name, p.status]), [['January 2026', 'Draft'], ['December 2025', 'Paid']]);
+        assert.equal(pay.currentPeriodId, 'recTestPeriodDrft');
+    });
+
+    it('totals a draft period from every order completed in its date range', async () => {
+        const draft = (await getPay()).payPeriods.find(p => p.status === 'Draft');
+
+        assert.deepEqual(draft.orders.map(o => o.orderNumber), ['HB-2007', 'HB-2009', 'HB-2008']);
+        // HB-2007: $22.50 + 10 x $2, HB-2008: $15 + 5 x $2
+        assert.equal(draft.totalPay, 67.5);
+        assert.equal(draft.totalItems, 15);
+        assert.equal(draft.totalOrders, 2);
+    });
+
+    it('holds pay for orders rejected in QC', async () => {
+        const draft = (await getPay()).payPeriods.find(p => p.status === 'Draft');
+
+        const held = draft.orders.find(o => o.orderNumber === 'HB-2009');
+        assert.equal(held.onHold, true);
+        assert.equal(held.pay, 35);
+        assert.equal(draft.heldPay, 35);
+    });
+
+    it('totals a paid period from its linked orders only', async () => {
+        const paid = (await getPay()).payPeriods.find(p => p.status === 'Paid');
+
+        // HB-2011 was completed in December but never linked to the period
+        assert.deepEqual(paid.orders.map(o => o.orderNumber), ['HB-2010']);
+        assert.equal(paid.totalPay, 35);
+        assert.equal(paid.totalItems, 10);
+        assert.equal(paid.totalOrders, 1);
+        assert.equal(paid.datePaid, '2026-01-02');
+    });
+
+    it('releases held pay once the order passes QC', async () => {
+        const supervisorToken = await login(app, 'supervisor');
+        await request(app).post('/api/orders/recTestOrder02009/complete').set(auth(token)).send({ itemsDigitized: 10 });
+        await request(app).post('/api/orders/recTestOrder02009/qc/approve').set(auth(supervisorToken));
+
+        const draft = (await getPay()).payPeriods.find(p => p.status === 'Draft');
+
+        // Re-completed today, so it only lands in January while the test runs in January
+        const rejected = draft.orders.find(o => o.orderNumber === 'HB-2009');
+        assert.ok(!rejected || rejected.onHold === false);
+        assert.equal(draft.heldPay, 0);
+    });
+
+    it('returns no periods for an employee without any', async () => {
+        const supervisorToken = await login(app, 'supervisor');
+        const res = await request(app).get(`/api/employees/${EMPLOYEES.eli.id}/pay`).set(auth(supervisorToken));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { payPeriods: [], currentPeriodId: null });
+    });
+});
@@ -0,0 +1,169 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { EMPLOYEES, createTestApp, login, auth } = require('./helpers');
+const { nextPeriodDates, periodName, isCompletedBy } = require('../lib/payroll');
+
+describe('pay period dates', () => {
+    it('follows a calendar month with the next month, and other periods with the same length', () => {
+        assert.deepEqual(nextPeriodDates({ startDate: '2026-01-01', endDate: '2026-01-31' }), { startDate: '2026-02-01', endDate: '2026-02-28' });
+        assert.deepEqual(nextPeriodDates({ startDate: '2026-01-05', endDate: '2026-01-18' }), { startDate: '2026-01-19', endDate: '2026-02-01' });
+        assert.equal(periodName('2026-02-01', '2026-02-28'), 'February 2026');
+        assert.equal(periodName('2026-01-19', '2026-02-01'), 'Jan 19 - Feb 1, 2026');
+    });
+});
+
+describe('completed orders', () => {
+    it('goes by Employee Link, and only falls back to Assigned Employee without one', () => {
+        const reassigned = { fields: { 'Employee Link': [EMPLOYEES.dana.id], 'Assigned Employee': [EMPLOYEES.eli.id] } };
+        const legacy = { fields: { 'Assigned Employee': [EMPLOYEES.eli.id] } };
+        const legacyName = { fields: { 'Employee Link': [], 'Assigned Employee': 'Eli' } };
+
+        assert.equal(isCompletedBy(reassigned, EMPLOYEES.dana.id, 'Dana'), true);
+        assert.equal(isCompletedBy(reassigned, EMPLOYEES.eli.id, 'Eli'), false);
+        assert.equal(isCompletedBy(legacy, EMPLOYEES.eli.id, 'Eli'), true);
+        assert.equal(isCompletedBy(legacyName, EMPLOYEES.eli.id, 'Eli'), true);
+    });
+
+    it('lists a reassigned order in My Work for the digitizer it\'s linked to only', async () => {
+        const app = createTestApp();
+        // HB-2007 was completed by Dana; the legacy Assigned Employee still names Eli
+        await app.locals.store.update('Orders', 'recTestOrder02007', { 'Assigned Employee': 'Eli' });
+        const completed = async (who) => {
+            const res = await request(app).get(`/api/employees/${EMPLOYEES[who].id}/work`).set(auth(await login(app, who)));
+            return res.body.completedOrders.map(o => o.fields['Order Number']);
+        };
+
+        assert.ok((await completed('dana')).includes('HB-2007'));
+        assert.ok(!(await completed('eli')).includes('HB-2007'));
+    });
+});
+
+describe('payroll close-out', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'supervisor');
+    });
+
+    const createPeriods = (body = {}) => request(app).post('/api/payroll/periods').set(auth(token)).send(body);
+    const close = (startDate) => request(app).post(`/api/payroll/periods/${startDate}/close`).set(auth(token));
+    const markPaid = (startDate, body = {}) => request(app).post(`/api/payroll/periods/${startDate}/paid`).set(auth(token)).send(body);
+    const exportCsv = (startDate) => request(app).get(`/api/payroll/periods/${startDate}/export`).set(auth(token));
+
+    it('creates the next period for every active employee, once', async () => {
+        const res = await createPeriods();
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.name, 'February 2026');
+        assert.deepEqual([res.body.startDate, res.body.endDate], ['2026-02-01', '2026-02-28']);
+        assert.deepEqual(res.body.created.map(p => p.employeeName).sort(), ['Dana', 'Eli', 'Sky']);
+
+        const again = await createPeriods({ startDate: '2026-02-01', endDate: '2026-02-28' });
+        assert.equal(again.status, 200);
+        assert.deepEqual(again.body.created, []);
+        assert.equal(again.body.existing, 3);
+    });
+
+    it('adds missing employees to an open period but not to a closed or overlapping one', async () => {
+        const res = await createPeriods({ startDate: '2026-01-01', endDate: '2026-01-31' });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.name, 'January 2026');
+        assert.deepEqual(res.body.created.map(p => p.employeeName).sort(), ['Eli', 'Sky']);
+
+        const closed = await createPeriods({ startDate: '2025-12-01', endDate: '2025-12-31' });
+        assert.equal(closed.status, 409);
+        assert.equal(closed.body.code, 'PERIOD_LOCKED');
+
+        const overlapping = await createPeriods({ startDate: '2026-01-15', endDate: '2026-02-14' });
+        assert.equal(overlapping.status, 409);
+        assert.equal(overlapping.body.code, 'PERIOD_OVERLAP');
+    });
+
+    it('snapshots completed orders into the period and locks it', async () => {
+        const res = await close('2026-01-01');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'Ready for Payment');
+        const [dana] = res.body.employees;
+        // HB-2011 was left out of December, HB-2009 is still on pay hold
+        assert.deepEqual(dana.orderNumbers, ['HB-2007', 'HB-2008', 'HB-2011']);
+        assert.deepEqual(dana.carriedOverOrders, ['HB-2011']);
+        assert.deepEqual(dana.heldOrders, ['HB-2009']);
+        assert.equal(dana.totalPay, 96);
+
+        const period = await app.locals.repo.store.find('Pay Periods', 'recTestPeriodDrft');
+        assert.equal(period.fields['Status'], 'Ready for Payment');
+        assert.deepEqual(period.fields['Locked By'], [EMPLOYEES.supervisor.id]);
+        assert.ok(period.fields['Locked At']);
+
+        const again = await close('2026-01-01');
+        assert.equal(again.status, 409);
+        assert.equal(again.body.code, 'PERIOD_LOCKED');
+    });
+
+    it('pays from the snapshot once closed, and picks up released holds at the next close', async () => {
+        await close('2026-01-01');
+        await app.locals.repo.updateOrder('recTestOrder02009', { 'Pay Hold': false });
+
+        const danaToken = await login(app, 'dana');
+        const pay = await request(app).get(`/api/employees/${EMPLOYEES.dana.id}/pay`).set(auth(danaToken));
+        const january = pay.body.payPeriods.find(p => p.id === 'recTestPeriodDrft');
+        assert.deepEqual(january.orders.map(o => o.orderNumber).sort(), ['HB-2007', 'HB-2008', 'HB-2011']);
+        assert.ok(january.lockedAt);
+
+        await createPeriods();
+        const february = await close('2026-02-01');
+        const dana = february.body.employees.find(e => e.employeeId === EMPLOYEES.dana.id);
+        assert.deepEqual(dana.orderNumbers, ['HB-2009']);
+        assert.deepEqual(dana.carriedOverOrders, ['HB-2009']);
+    });
+
+    it('only marks closed periods paid', async () => {
+        const open = await markPaid('2026-01-01');
+        assert.equal(open.status, 409);
+        assert.equal(open.body.code, 'PERIOD_NOT_CLOSED');
+
+        await close('2026-01-01');
+        const res = await markPaid('2026-01-01', { datePaid: '2026-02-03' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'Paid');
+        assert.equal(res.body.periods[0].datePaid, '2026-02-03');
+    });
+
+    it('exports a closed period as a payroll CSV', async () => {
+        const open = await exportCsv('2026-01-01');
+        assert.equal(open.status, 409);
+
+        await close('2026-01-01');
+        const res = await exportCsv('2026-01-01');
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers['content-type'], /^text\/csv/);
+        assert.match(res.headers['content-disposition'], /payroll-2026-01-01\.csv/);
+        assert.deepEqual(res.text.trim().split('\r\n'), [
+            'Employee,Employee ID,Pay Period,Start Date,End Date,Status,Orders,Order Numbers,Items,Base Pay,Per Item Pay,Tier Bonus,Total Pay',
+            'Dana,recTestDana000001,January 2026,2026-01-01,2026-01-31,Ready for Payment,3,HB-2007 HB-2008 HB-2011,18,60.00,36.00,0.00,96.00'
+        ]);
+    });
+
+    it('keeps names a spreadsheet would run as a formula as text in the CSV', async () => {
+        await app.locals.store.update('Employees', EMPLOYEES.dana.id, { 'Employee Name': '=HYPERLINK("http://example.com","Dana")' });
+        await close('2026-01-01');
+        const res = await exportCsv('2026-01-01');
+
+        const [, row] = res.text.trim().split('\r\n');
+        assert.ok(row.startsWith(`"'=HYPERLINK(""http://example.com"",""Dana"")",${EMPLOYEES.dana.id},`), row);
+    });
+
+    it('is supervisor-only', async () => {
+        const danaToken = await login(app, 'dana');
+        const res = await request(app).post('/api/payroll/periods/2026-01-01/close').set(auth(danaToken));
+
+        assert.equal(res.status, 403);
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const { EMPLOYEES, createTestApp, login, auth } = require('./helpers');
+const pricing = require('../lib/pricing');
+
+// Two rule sets: the original rates, and from 2026-01-04 tiered per-item pay,
+// a Rush bonus and a higher extra item price
+const TEST_PRICING = path.join(__dirname, 'fixtures', 'pricing.json');
+
+describe('pricing rules', () => {
+    let defaultPricing;
+
+    before(() => {
+        defaultPricing = { ruleSets: pricing.getRuleSets() };
+        pricing.setPricing(pricing.loadPricing(TEST_PRICING));
+    });
+
+    after(() => pricing.setPricing(defaultPricing));
+
+    it('uses the rule set in effect on the date, and the first one before that', () => {
+        assert.equal(pricing.getRuleSet('2026-01-03').effectiveFrom, '2024-01-01');
+        assert.equal(pricing.getRuleSet('2026-01-04T08:00:00.000Z').effectiveFrom, '2026-01-04');
+        assert.equal(pricing.getRuleSet('2020-06-01').effectiveFrom, '2024-01-01');
+        assert.equal(pricing.getRuleSet().effectiveFrom, '2026-01-04');
+    });
+
+    it('prices extra items by package type with a default', () => {
+        assert.equal(pricing.getExtraItemPrice('Eternal', '2026-02-01'), 12);
+        assert.equal(pricing.getExtraItemPrice('Popular', '2026-02-01'), 20);
+        assert.equal(pricing.getExtraItemPrice('Eternal', '2025-12-01'), 15);
+    });
+
+    it('pays per item by tier and adds the processing tier bonus', () => {
+        // $25 base + 5 x $2 + 3 x $3 + $5 Rush bonus
+        assert.deepEqual(
+            pricing.calculatePay({ packageType: 'Popular', itemsDigitized: 8, processingTier: 'Rush', date: '2026-01-10' }),
+            { basePay: 25, perItemPay: 19, tierBonus: 5, totalPay: 49, effectiveFrom: '2026-01-04' }
+        );
+        assert.equal(pricing.calculatePay({ packageType: 'Popular', itemsDigitized: 8, processingTier: 'Rush', date: '2026-01-03' }).totalPay, 38.5);
+        assert.equal(pricing.calculatePerItemPay([{ upTo: 5, rate: 2 }, { rate: 3 }], 3), 6);
+    });
+
+    it('rejects a malformed pricing file', () => {
+        const file = path.join(os.tmpdir(), `pricing-${process.pid}.json`);
+        fs.writeFileSync(file, JSON.stringify({
+            ruleSets: [{ effectiveFrom: '2026-01-01', extraItemPrice: { default: 15 }, perItemPay: [{ upTo: 5, rate: 2 }] }]
+        }));
+        try {
+            assert.throws(() => pricing.loadPricing(file), /last perItemPay tier can't have upTo/);
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+});
+
+describe('pricing in the app', () => {
+    let app;
+    let token;
+    let defaultPricing;
+
+    before(() => {
+        defaultPricing = { ruleSets: pricing.getRuleSets() };
+        pricing.setPricing(pricing.loadPricing(TEST_PRICING));
+    });
+
+    after(() => pricing.setPricing(defaultPricing));
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'dana');
+    });
+
+    it('serves the rules with the one in effect today', async () => {
+        const res = await request(app).get('/api/config/pricing').set(auth(token));
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.current.effectiveFrom, '2026-01-04');
+        assert.deepEqual(res.body.ruleSets.map(r => r.effectiveFrom), ['2024-01-01', '2026-01-04']);
+    });
+
+    it('prices extra items as of when the order was placed', async () => {
+        // HB-2002 was placed the day before the current rules, HB-2001 under them
+        const older = await request(app).get('/api/orders/tracking/1Z0000000000022222').set(auth(token));
+        const newer = await request(app).get('/api/orders/tracking/1Z0000000000011111').set(auth(token));
+        assert.equal(older.body.fields['Extra Item Price'], 15);
+        assert.equal(newer.body.fields['Extra Item Price'], 20);
+
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02001/checkin')
+            .set(auth(token))
+            .send({ itemsReceived: 12 });
+        assert.equal(res.body.order.fields['Extra Items Charge'], 40);
+        assert.equal(res.body.invoice.amount, 40);
+    });
+
+    it('pays each order under the rules in effect when it was completed', async () => {
+        const res = await request(app).get(`/api/employees/${EMPLOYEES.dana.id}/pay`).set(auth(token));
+        const draft = res.body.payPeriods.find(p => p.status === 'Draft');
+        const pay = Object.fromEntries(draft.orders.map(o => [o.orderNumber, o.pay]));
+
+        // HB-2007 (Jan 5): $25 + 5 x $2 + 5 x $3; HB-2008 (Jan 3): $15 + 5 x $2
+        assert.equal(pay['HB-2007'], 50);
+        assert.equal(pay['HB-2008'], 25);
+    });
+
+    it('adds the Rush bonus at completion and in the work queue rates', async () => {
+        const work = await request(app).get(`/api/employees/${EMPLOYEES.dana.id}/work`).set(auth(token));
+        const rush = work.body.orders.find(o => o.fields['Order Number'] === 'HB-2005');
+        assert.deepEqual(rush.fields['Pay Rates'], {
+            effectiveFrom: '2026-01-04',
+            basePay: 15,
+            perItemPay: [{ upTo: 5, rate: 2 }, { rate: 3 }],
+            tierBonus: 5
+        });
+
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02005/complete')
+            .set(auth(token))
+            .send({ itemsDigitized: 6 });
+        assert.deepEqual(res.body.pay, { basePay: 15, perItemPay: 13, tierBonus: 5, totalPay: 33 });
+    });
+});
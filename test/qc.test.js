@@ -0,0 +1,69 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { EMPLOYEES, createTestApp, login, auth } = require('./helpers');
+
+describe('quality check', () => {
+    let app;
+    let supervisorToken;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        supervisorToken = await login(app, 'supervisor');
+    });
+
+    it('lists orders waiting for review with their digitizer', async () => {
+        const res = await request(app).get('/api/qc/queue').set(auth(supervisorToken));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.orders.map(o => [o.orderNumber, o.digitizer.name]), [['HB-2007', 'Dana']]);
+    });
+
+    it('is supervisor-only', async () => {
+        const token = await login(app, 'dana');
+
+        const queue = await request(app).get('/api/qc/queue').set(auth(token));
+        const approve = await request(app).post('/api/orders/recTestOrder02007/qc/approve').set(auth(token));
+
+        assert.equal(queue.status, 403);
+        assert.equal(approve.status, 403);
+    });
+
+    it('approves an order on to Shipping Back', async () => {
+        const res = await request(app).post('/api/orders/recTestOrder02007/qc/approve').set(auth(supervisorToken));
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.order.fields['Ops Status'], 'Shipping Back');
+        assert.deepEqual(res.body.order.fields['QC Reviewed By'], [EMPLOYEES.supervisor.id]);
+    });
+
+    it('rejects an order back to its digitizer with pay held', async () => {
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02007/qc/reject')
+            .set(auth(supervisorToken))
+            .send({ reason: 'Missing photos 4-6' });
+
+        assert.equal(res.status, 200);
+        const { fields } = res.body.order;
+        assert.equal(fields['Ops Status'], 'Digitizing');
+        assert.deepEqual(fields['Assigned Employee'], [EMPLOYEES.dana.id]);
+        assert.equal(fields['QC Rejection Reason'], 'Missing photos 4-6');
+        assert.equal(fields['QC Rejections'], 1);
+        assert.equal(fields['Pay Hold'], true);
+    });
+
+    it('requires a reason to reject', async () => {
+        const res = await request(app).post('/api/orders/recTestOrder02007/qc/reject').set(auth(supervisorToken)).send({});
+
+        assert.equal(res.status, 400);
+    });
+
+    it('only reviews orders that are in Quality Check', async () => {
+        const approve = await request(app).post('/api/orders/recTestOrder02004/qc/approve').set(auth(supervisorToken));
+        const reject = await request(app).post('/api/orders/recTestOrder02004/qc/reject').set(auth(supervisorToken)).send({ reason: 'x' });
+
+        assert.equal(approve.status, 409);
+        assert.equal(reject.status, 409);
+    });
+});
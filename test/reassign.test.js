@@ -0,0 +1,76 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { EMPLOYEES, createTestApp, login, auth } = require('./helpers');
+
+describe('reassignment', () => {
+    let app;
+    let danaToken;
+    let eliToken;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        danaToken = await login(app, 'dana');
+        eliToken = await login(app, 'eli');
+    });
+
+    it('hands an order to another employee and shows it in both queues', async () => {
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02004/reassign')
+            .set(auth(danaToken))
+            .send({ employeeId: EMPLOYEES.eli.id, reason: 'Leaving early' });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.order.fields['Assigned Employee'], [EMPLOYEES.eli.id]);
+        assert.deepEqual(res.body.order.fields['Previous Assignee'], [EMPLOYEES.dana.id]);
+
+        const eliWork = await request(app).get(`/api/employees/${EMPLOYEES.eli.id}/work`).set(auth(eliToken));
+        const moved = eliWork.body.orders.find(o => o.fields['Order Number'] === 'HB-2004');
+        assert.equal(moved.fields['Handed Off From'], 'Dana');
+        assert.equal(moved.fields['Reassignment Reason'], 'Leaving early');
+
+        const danaWork = await request(app).get(`/api/employees/${EMPLOYEES.dana.id}/work`).set(auth(danaToken));
+        assert.ok(!danaWork.body.orders.some(o => o.fields['Order Number'] === 'HB-2004'));
+        assert.deepEqual(danaWork.body.handedOffOrders.map(o => [o.fields['Order Number'], o.fields['Assigned To']]), [['HB-2004', 'Eli']]);
+    });
+
+    it('requires a target and a reason', async () => {
+        const noTarget = await request(app).post('/api/orders/recTestOrder02004/reassign').set(auth(danaToken)).send({ reason: 'x' });
+        const noReason = await request(app).post('/api/orders/recTestOrder02004/reassign').set(auth(danaToken)).send({ employeeId: EMPLOYEES.eli.id });
+
+        assert.equal(noTarget.status, 400);
+        assert.equal(noReason.status, 400);
+    });
+
+    it("won't let a digitizer move someone else's order", async () => {
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02006/reassign')
+            .set(auth(danaToken))
+            .send({ employeeId: EMPLOYEES.dana.id, reason: 'Mine now' });
+
+        assert.equal(res.status, 403);
+    });
+
+    it('releases an order to the pool where another employee can claim it', async () => {
+        const release = await request(app).post('/api/orders/recTestOrder02004/release').set(auth(danaToken)).send({ reason: 'Out sick' });
+        assert.equal(release.status, 200);
+
+        const pool = await request(app).get('/api/orders/pool').set(auth(eliToken));
+        assert.deepEqual(pool.body.orders.map(o => [o.fields['Order Number'], o.fields['Released By']]), [['HB-2004', 'Dana']]);
+
+        const claim = await request(app).post('/api/orders/recTestOrder02004/claim').set(auth(eliToken));
+        assert.equal(claim.status, 200);
+        assert.deepEqual(claim.body.order.fields['Assigned Employee'], [EMPLOYEES.eli.id]);
+
+        const again = await request(app).post('/api/orders/recTestOrder02004/claim').set(auth(danaToken));
+        assert.equal(again.status, 409);
+    });
+
+    it('only moves orders that are in Digitizing', async () => {
+        const supervisorToken = await login(app, 'supervisor');
+        const res = await request(app).post('/api/orders/recTestOrder02007/release').set(auth(supervisorToken)).send({});
+
+        assert.equal(res.status, 409);
+    });
+});
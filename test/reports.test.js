@@ -0,0 +1,98 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { EMPLOYEES, createTestApp, login, auth } = require('./helpers');
+const { reportRange } = require('../lib/reports');
+
+describe('report range', () => {
+    it('defaults to the 30 days up to today and rejects inverted or overlong ranges', () => {
+        assert.deepEqual(reportRange({}, '2026-01-30'), { startDate: '2026-01-01', endDate: '2026-01-30' });
+        assert.deepEqual(reportRange({ endDate: '2026-03-01' }, '2026-06-01'), { startDate: '2026-01-31', endDate: '2026-03-01' });
+        assert.throws(() => reportRange({ startDate: '2026-02-01', endDate: '2026-01-01' }), { code: 'INVALID_RANGE' });
+        assert.throws(() => reportRange({ startDate: '2024-01-01', endDate: '2026-01-01' }), { code: 'INVALID_RANGE' });
+    });
+});
+
+describe('operations reports', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'supervisor');
+    });
+
+    const getReports = (query) => request(app).get('/api/reports').query(query).set(auth(token));
+    const january = { startDate: '2026-01-01', endDate: '2026-01-31' };
+
+    it('counts boxes received and orders completed per day', async () => {
+        const res = await getReports(january);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.throughput.days.length, 31);
+        const day = (date) => res.body.throughput.days.find(d => d.date === date);
+        assert.equal(day('2026-01-10').boxesReceived, 1);
+        assert.deepEqual([day('2026-01-05').ordersCompleted, day('2026-01-05').itemsDigitized], [1, 10]);
+        assert.equal(res.body.throughput.totals.ordersCompleted, 3);
+        assert.equal(res.body.throughput.totals.itemsDigitized, 25);
+    });
+
+    it('includes boxes checked in today', async () => {
+        const today = new Date().toISOString().split('T')[0];
+        const before = await getReports({ startDate: today, endDate: today });
+        await request(app).post('/api/orders/recTestOrder02001/checkin').set(auth(token)).send({ itemsReceived: 5 });
+
+        const after = await getReports({ startDate: today, endDate: today });
+
+        assert.equal(after.body.throughput.totals.boxesReceived, before.body.throughput.totals.boxesReceived + 1);
+        assert.equal(after.body.throughput.totals.ordersCheckedIn, before.body.throughput.totals.ordersCheckedIn + 1);
+    });
+
+    it('totals items digitized per employee and turnaround by package', async () => {
+        const res = await getReports(january);
+
+        assert.deepEqual(res.body.employees.rows, [
+            { employeeId: EMPLOYEES.dana.id, employeeName: 'Dana', orders: 3, itemsDigitized: 25 }
+        ]);
+        // HB-2007 (Popular) and HB-2009 (Starter) both took 3 days; HB-2008 was never checked in
+        assert.deepEqual(res.body.turnaround.rows.map(r => [r.packageType, r.orders, r.averageDays]), [['Popular', 1, 3], ['Starter', 1, 3]]);
+    });
+
+    it('compares extra-item revenue invoiced with what was paid', async () => {
+        const before = await getReports(january);
+        assert.deepEqual(before.body.revenue.totals, { invoiced: 30, paid: 0, refunded: 0, outstanding: 30 });
+
+        await app.locals.store.update('Orders', 'recTestOrder02004', {
+            'Extra Items Paid': true,
+            'Extra Items Payment Date': '2026-01-15T09:00:00.000Z'
+        });
+        const after = await getReports(january);
+
+        assert.deepEqual(after.body.revenue.totals, { invoiced: 30, paid: 30, refunded: 0, outstanding: 0 });
+        assert.equal(after.body.revenue.days.find(d => d.date === '2026-01-15').paid, 30);
+    });
+
+    it('exports a report as CSV', async () => {
+        const res = await request(app).get('/api/reports/employees/export').query(january).set(auth(token));
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers['content-type'], /text\/csv/);
+        assert.match(res.headers['content-disposition'], /employees-2026-01-01-to-2026-01-31\.csv/);
+        assert.deepEqual(res.text.trim().split('\r\n'), [
+            'Employee,Employee ID,Orders,Items Digitized',
+            `Dana,${EMPLOYEES.dana.id},3,25`
+        ]);
+    });
+
+    it('rejects bad ranges, unknown reports and non-supervisors', async () => {
+        const inverted = await getReports({ startDate: '2026-02-01', endDate: '2026-01-01' });
+        const unknown = await request(app).get('/api/reports/profit/export').set(auth(token));
+        const digitizer = await request(app).get('/api/reports').set(auth(await login(app, 'dana')));
+
+        assert.equal(inverted.status, 400);
+        assert.equal(inverted.body.code, 'INVALID_RANGE');
+        assert.equal(unknown.status, 400);
+        assert.equal(digitizer.status, 403);
+    });
+});
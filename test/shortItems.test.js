@@ -0,0 +1,131 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const { createTestApp, login, auth } = require('./helpers');
+const pricing = require('../lib/pricing');
+
+describe('short items', () => {
+    let app;
+    let token;
+    let defaultPricing;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'dana');
+        defaultPricing = { ruleSets: pricing.getRuleSets() };
+    });
+
+    afterEach(() => pricing.setPricing(defaultPricing));
+
+    // The original rule set with a short items policy
+    const usePolicy = (shortItems) => {
+        const [ruleSet] = defaultPricing.ruleSets;
+        pricing.setPricing({ ruleSets: [{ ...ruleSet, ...(shortItems && { shortItems }) }] });
+    };
+
+    const checkIn = (recordId, body) => request(app).post(`/api/orders/${recordId}/checkin`).set(auth(token)).send(body);
+
+    it('credits the customer\'s balance for the items they didn\'t send', async () => {
+        usePolicy({ policy: 'credit', creditPerItem: { default: 15 } });
+
+        // HB-2001 is a Starter package of 10 items
+        const res = await checkIn('recTestOrder02001', { itemsReceived: 7 });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.shortfall, { shortItems: 3, decision: 'Credit', credit: 45, credited: 45, offer: null });
+        const { fields } = res.body.order;
+        assert.equal(fields['Short Items'], 3);
+        assert.equal(fields['Short Items Follow-Up'], true);
+        assert.equal(fields['Extra Items'], 0);
+
+        const credits = app.locals.invoices.listCustomerCredits();
+        assert.deepEqual(credits.map(c => [c.customerEmail, c.amount, c.metadata.order_record_id]), [['ada@example.com', 45, 'recTestOrder02001']]);
+        assert.equal(fields['Short Items Credit IDs'], credits[0].id);
+        assert.deepEqual(app.locals.invoices.listInvoices(), []);
+
+        const history = await request(app).get('/api/orders/recTestOrder02001/history').set(auth(token));
+        assert.ok(history.body.events.some(e => e.action === 'Credit Applied'));
+    });
+
+    it('credits only the difference on a recount, and never takes a credit back', async () => {
+        usePolicy({ policy: 'credit', creditPerItem: { default: 15, Starter: 10 } });
+
+        await checkIn('recTestOrder02001', { itemsReceived: 8 });
+        const fewer = await checkIn('recTestOrder02001', { itemsReceived: 6, recount: true });
+        const same = await checkIn('recTestOrder02001', { itemsReceived: 6, recount: true });
+        const more = await checkIn('recTestOrder02001', { itemsReceived: 11, recount: true });
+
+        assert.equal(fewer.body.shortfall.credited, 40);
+        assert.equal(same.body.shortfall.credited, 40);
+        assert.deepEqual(app.locals.invoices.listCustomerCredits().map(c => c.amount), [20, 20]);
+
+        // Billed for the extra item with $40 still credited: left for someone to sort out
+        assert.equal(more.body.shortfall, null);
+        assert.equal(more.body.order.fields['Extra Items'], 1);
+        assert.equal(more.body.order.fields['Short Items'], 0);
+        assert.equal(more.body.order.fields['Short Items Credited'], 40);
+        assert.equal(more.body.order.fields['Short Items Follow-Up'], true);
+    });
+
+    it('offers the smallest package that holds what was sent', async () => {
+        usePolicy({ policy: 'downgrade', packageItems: { 'Starter': 10, 'Popular': 20, 'Mini': 5 } });
+
+        // HB-2002 is a Popular package of 20 items
+        const offered = await checkIn('recTestOrder02002', { itemsReceived: 9 });
+        const noneSmaller = await checkIn('recTestOrder02002', { itemsReceived: 14, recount: true });
+
+        assert.deepEqual(offered.body.shortfall, { shortItems: 11, decision: 'Downgrade Offered', credit: 0, credited: 0, offer: 'Starter (10 items)' });
+        assert.deepEqual(noneSmaller.body.shortfall, { shortItems: 6, decision: 'None', credit: 0, credited: 0, offer: null });
+        assert.equal(noneSmaller.body.order.fields['Short Items Follow-Up'], true);
+        assert.deepEqual(app.locals.invoices.listCustomerCredits(), []);
+    });
+
+    it('only records the shortfall without a policy, and leaves full orders alone', async () => {
+        usePolicy(null);
+
+        const short = await checkIn('recTestOrder02001', { itemsReceived: 8 });
+        const full = await checkIn('recTestOrder02003', { itemsReceived: 10 });
+
+        assert.deepEqual(short.body.shortfall, { shortItems: 2, decision: 'None', credit: 0, credited: 0, offer: null });
+        assert.equal(full.body.shortfall, null);
+        assert.equal(full.body.order.fields['Short Items'], undefined);
+        assert.deepEqual(app.locals.invoices.listCustomerCredits(), []);
+    });
+
+    it('credits only orders placed once the shipped policy is in effect', () => {
+        assert.equal(pricing.getShortItemsPolicy('Starter', '2026-10-31T23:00:00.000Z').policy, 'none');
+        assert.deepEqual(pricing.getShortItemsPolicy('Starter', '2026-11-01T12:00:00.000Z'), { policy: 'credit', creditPerItem: 15, packageItems: {} });
+    });
+
+    it('still checks in when the credit can\'t be applied', async () => {
+        usePolicy({ policy: 'credit', creditPerItem: { default: 15 } });
+        await app.locals.store.update('Orders', 'recTestOrder02001', { 'Customer Email': null });
+
+        const res = await checkIn('recTestOrder02001', { itemsReceived: 9 });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.order.fields['Ops Status'], 'Digitizing');
+        assert.equal(res.body.shortfall.credit, 15);
+        assert.equal(res.body.shortfall.credited, 0);
+        assert.match(res.body.shortfall.creditError, /no customer email/);
+    });
+
+    it('rejects a short items policy it doesn\'t know, or one missing its settings', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-'));
+        const [ruleSet] = defaultPricing.ruleSets;
+        const load = (shortItems) => {
+            const file = path.join(dir, 'pricing.json');
+            fs.writeFileSync(file, JSON.stringify({ ruleSets: [{ ...ruleSet, shortItems }] }));
+            return pricing.loadPricing(file);
+        };
+
+        assert.throws(() => load({ policy: 'refund' }), /unknown shortItems policy "refund"/);
+        assert.throws(() => load({ policy: 'credit' }), /needs a shortItems.creditPerItem.default amount/);
+        assert.throws(() => load({ policy: 'downgrade' }), /needs shortItems.packageItems/);
+        assert.throws(() => load({ policy: 'downgrade', packageItems: { 'Starter': 0 } }), /invalid item count for package "Starter"/);
+    });
+});
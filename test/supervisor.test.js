@@ -0,0 +1,60 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { createTestApp, login, auth } = require('./helpers');
+
+describe('supervisor views', () => {
+    let app;
+    let supervisorToken;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        supervisorToken = await login(app, 'supervisor');
+    });
+
+    it('groups the floor by stage with per-employee counts', async () => {
+        const res = await request(app).get('/api/supervisor/floor').set(auth(supervisorToken));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(
+            Object.fromEntries(res.body.stages.map(s => [s.status, s.count])),
+            { 'Media Received': 3, 'Digitizing': 4, 'Quality Check': 1, 'Shipping Back': 1, 'Complete': 2 }
+        );
+
+        const dana = res.body.employees.find(e => e.name === 'Dana');
+        assert.equal(dana.counts['Digitizing'], 3);
+        assert.equal(dana.total, 3);
+    });
+
+    it('flags orders stuck in a stage past its threshold', async () => {
+        const res = await request(app).get('/api/supervisor/floor').set(auth(supervisorToken));
+
+        // The fixture's Digitizing orders were checked in weeks ago
+        assert.ok(res.body.stalled.some(o => o.orderNumber === 'HB-2004'));
+        assert.ok(res.body.stalled.every(o => o.stalled));
+    });
+
+    it('lists overdue orders as at risk, soonest due first', async () => {
+        const res = await request(app).get('/api/orders/at-risk').set(auth(supervisorToken));
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.orders[0].orderNumber, 'HB-2005');
+        assert.equal(res.body.orders[0].processingTier, 'Rush');
+        assert.ok(res.body.orders.every(o => o.atRisk));
+
+        // The app's due badges use the same threshold
+        const config = await request(app).get('/api/config').set(auth(supervisorToken));
+        assert.equal(config.body.atRiskDays, res.body.atRiskDays);
+    });
+
+    it('is supervisor-only', async () => {
+        const token = await login(app, 'dana');
+
+        const floor = await request(app).get('/api/supervisor/floor').set(auth(token));
+        const atRisk = await request(app).get('/api/orders/at-risk').set(auth(token));
+
+        assert.equal(floor.status, 403);
+        assert.equal(atRisk.status, 403);
+    });
+});
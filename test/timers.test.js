@@ -0,0 +1,108 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { EMPLOYEES, createTestApp, login, auth } = require('./helpers');
+
+describe('order timers', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'dana');
+    });
+
+    const timer = (recordId, action) => request(app).post(`/api/orders/${recordId}/timer/${action}`).set(auth(token));
+    const sessions = () => app.locals.store.select('Work Sessions');
+
+    // A session of Dana's that started `minutes` ago, ended now unless it's left open
+    const addSession = (order, minutes, { open = false } = {}) => app.locals.store.create('Work Sessions', {
+        'Order Number': order.number,
+        'Order Record ID': order.id,
+        'Employee': [EMPLOYEES.dana.id],
+        'Employee Record ID': EMPLOYEES.dana.id,
+        'Started At': new Date(Date.now() - minutes * 60 * 1000).toISOString(),
+        ...(!open && { 'Ended At': new Date().toISOString(), 'End Reason': 'Stopped' })
+    });
+
+    it('starts, pauses and resumes as separate sessions', async () => {
+        const started = await timer('recTestOrder02005', 'start');
+        const again = await timer('recTestOrder02005', 'start');
+        const paused = await timer('recTestOrder02005', 'pause');
+        const resumed = await timer('recTestOrder02005', 'start');
+
+        assert.equal(started.status, 200);
+        assert.equal(started.body.timer.running, true);
+        assert.equal(again.body.timer.sessions, 1);
+        assert.equal(paused.body.timer.running, false);
+        assert.equal(resumed.body.timer.sessions, 2);
+
+        const current = await request(app).get('/api/orders/recTestOrder02005/timer').set(auth(token));
+        assert.equal(current.body.timer.running, true);
+        assert.deepEqual((await sessions()).map(s => s.fields['End Reason'] || null), ['Paused', null]);
+    });
+
+    it('pauses the running timer when another order is started', async () => {
+        await timer('recTestOrder02005', 'start');
+
+        const res = await timer('recTestOrder02004', 'start');
+
+        assert.deepEqual(res.body.paused, ['HB-2005']);
+        const work = await request(app).get(`/api/employees/${EMPLOYEES.dana.id}/work`).set(auth(token));
+        const running = work.body.orders.filter(o => o.fields['Timer'].running).map(o => o.fields['Order Number']);
+        assert.deepEqual(running, ['HB-2004']);
+    });
+
+    it('only times orders in the employee\'s own queue', async () => {
+        const notMine = await timer('recTestOrder02006', 'start');
+        const notRunning = await timer('recTestOrder02005', 'pause');
+
+        assert.equal(notMine.status, 403);
+        assert.equal(notMine.body.code, 'NOT_ASSIGNED');
+        assert.equal(notRunning.status, 409);
+        assert.equal(notRunning.body.code, 'TIMER_NOT_RUNNING');
+    });
+
+    it('stops the timer when the order is handed off', async () => {
+        await timer('recTestOrder02005', 'start');
+
+        await request(app).post('/api/orders/recTestOrder02005/release').set(auth(token)).send({ reason: 'End of shift' });
+
+        assert.deepEqual((await sessions()).map(s => s.fields['End Reason']), ['Reassigned']);
+    });
+
+    it('stops the timer at completion and reports the time and hourly rate', async () => {
+        await addSession({ id: 'recTestOrder02005', number: 'HB-2005' }, 60, { open: true });
+
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02005/complete')
+            .set(auth(token))
+            .send({ itemsDigitized: 10 });
+
+        assert.equal(res.status, 200);
+        assert.ok(Math.abs(res.body.time.seconds - 3600) < 5);
+        assert.equal(res.body.time.sessions, 1);
+        assert.equal(res.body.time.hourlyRate, Math.round(res.body.pay.totalPay / (res.body.time.seconds / 3600) * 100) / 100);
+        assert.deepEqual((await sessions()).map(s => s.fields['End Reason']), ['Completed']);
+    });
+
+    it('shows time spent and the effective rate in each pay period', async () => {
+        // HB-2007 pays $42.50 (Popular), HB-2008 $25 (Starter)
+        await addSession({ id: 'recTestOrder02007', number: 'HB-2007' }, 90);
+        await addSession({ id: 'recTestOrder02007', number: 'HB-2007' }, 30);
+        await addSession({ id: 'recTestOrder02008', number: 'HB-2008' }, 30);
+
+        const res = await request(app).get(`/api/employees/${EMPLOYEES.dana.id}/pay`).set(auth(token));
+        const draft = res.body.payPeriods.find(p => p.status === 'Draft');
+        const byNumber = Object.fromEntries(draft.orders.map(o => [o.orderNumber, o]));
+
+        assert.equal(byNumber['HB-2007'].seconds, 7200);
+        assert.equal(byNumber['HB-2007'].hourlyRate, 21.25);
+        assert.equal(byNumber['HB-2008'].hourlyRate, 50);
+        assert.equal(byNumber['HB-2009'].hourlyRate, null);
+        assert.equal(draft.timedSeconds, 9000);
+        assert.equal(draft.hourlyRate, 27);
+        assert.deepEqual(draft.byPackage.map(p => [p.packageType, p.orders, p.hourlyRate]), [['Popular', 1, 21.25], ['Starter', 1, 50]]);
+    });
+});
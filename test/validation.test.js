@@ -0,0 +1,99 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { createTestApp, login, auth } = require('./helpers');
+const { compileWhere } = require('../lib/storage/airtable');
+
+describe('request validation', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'dana');
+    });
+
+    const checkIn = (recordId, body) => request(app).post(`/api/orders/${recordId}/checkin`).set(auth(token)).send(body);
+
+    it('rejects item counts that are not whole numbers of 0 or more', async () => {
+        for (const itemsReceived of ['12', -1, 2.5, 1000000]) {
+            const res = await checkIn('recTestOrder02001', { itemsReceived });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_FAILED');
+            assert.equal(res.body.details[0].field, 'itemsReceived');
+        }
+
+        const order = await request(app).get('/api/orders/recTestOrder02001/history').set(auth(token));
+        assert.deepEqual(order.body.events, []);
+    });
+
+    it('lists every problem with the body', async () => {
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02001/complete')
+            .set(auth(token))
+            .send({});
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'itemsDigitized is required');
+        assert.deepEqual(res.body.details, [{ field: 'itemsDigitized', message: 'itemsDigitized is required' }]);
+    });
+
+    it('rejects malformed record IDs before looking anything up', async () => {
+        const res = await checkIn("rec') OR TRUE()", { itemsReceived: 3 });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+        assert.equal(res.body.details[0].field, 'params.recordId');
+    });
+
+    it('answers 404 NOT_FOUND for a well-formed ID with no record', async () => {
+        const res = await checkIn('recTestOrder09999', { itemsReceived: 3 });
+
+        assert.equal(res.status, 404);
+        assert.deepEqual(res.body, { error: 'Record not found', code: 'NOT_FOUND' });
+    });
+
+    it('gives every error response a code', async () => {
+        const unauthenticated = await request(app).get('/api/orders/pool');
+        const forbidden = await request(app).get('/api/qc/queue').set(auth(token));
+        const unknown = await request(app).get('/api/nothing-here').set(auth(token));
+
+        assert.equal(unauthenticated.body.code, 'UNAUTHENTICATED');
+        assert.equal(forbidden.body.code, 'FORBIDDEN');
+        assert.equal(unknown.status, 404);
+        assert.equal(unknown.body.code, 'NOT_FOUND');
+    });
+
+    it('answers INVALID_JSON for a body that does not parse', async () => {
+        const res = await request(app)
+            .post('/api/orders/recTestOrder02001/checkin')
+            .set(auth(token))
+            .set('Content-Type', 'application/json')
+            .send('{"itemsReceived": ');
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'INVALID_JSON');
+    });
+});
+
+describe('airtable formulas', () => {
+    it('escapes quotes and backslashes in values', () => {
+        assert.equal(
+            compileWhere({ field: 'Tracking Number', eq: "1Z' & TRUE() & '\\" }),
+            "{Tracking Number}='1Z\\' & TRUE() & \\'\\\\'"
+        );
+    });
+
+    it('escapes closing braces in field names', () => {
+        assert.equal(compileWhere({ field: 'Odd}Name', eq: 'x' }), "{Odd\\}Name}='x'");
+    });
+
+    it('matches text case-insensitively, quoting the search', () => {
+        assert.equal(
+            compileWhere({ field: 'Customer Email', containsText: "O'Brien" }),
+            "FIND(LOWER('O\\'Brien'), LOWER({Customer Email} & ''))>0"
+        );
+    });
+});
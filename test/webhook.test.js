@@ -0,0 +1,157 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { createTestApp, signedStripeEvent } = require('./helpers');
+
+const ORDER_ID = 'recTestOrder02004';
+const INVOICE_ID = 'in_test_2004';
+
+let eventCount = 0;
+
+// A Stripe event about an invoice (or, for charge.* events, the invoice's charge)
+const stripeEvent = (type, { invoiceId = INVOICE_ID, created = Math.floor(Date.now() / 1000), charge = {} } = {}) => ({
+    id: `evt_test_${++eventCount}`,
+    object: 'event',
+    type,
+    created,
+    data: {
+        object: type.startsWith('charge.')
+            ? { id: 'ch_test_1', object: 'charge', invoice: invoiceId, amount: 3000, amount_refunded: 3000, refunded: true, ...charge }
+            : { id: invoiceId, object: 'invoice', metadata: { order_number: 'HB-2004' } }
+    }
+});
+
+describe('stripe webhook', () => {
+    let app;
+
+    beforeEach(() => {
+        app = createTestApp();
+    });
+
+    const deliver = (event, secret) => {
+        const { payload, signature } = signedStripeEvent(event, secret);
+        return request(app)
+            .post('/api/webhooks/stripe')
+            .set('Content-Type', 'application/json')
+            .set('Stripe-Signature', signature)
+            .send(payload);
+    };
+
+    const getOrder = () => app.locals.repo.getOrder(ORDER_ID);
+
+    it('rejects a payload with a bad signature', async () => {
+        const res = await deliver(stripeEvent('invoice.paid'), 'whsec_wrong');
+
+        assert.equal(res.status, 400);
+        assert.equal((await getOrder()).fields['Extra Items Paid'], undefined);
+    });
+
+    it('rejects a payload without a signature', async () => {
+        const res = await request(app)
+            .post('/api/webhooks/stripe')
+            .set('Content-Type', 'application/json')
+            .send(JSON.stringify(stripeEvent('invoice.paid')));
+
+        assert.equal(res.status, 400);
+    });
+
+    it('marks extra items paid on invoice.paid, finding the order by invoice ID', async () => {
+        const res = await deliver(stripeEvent('invoice.paid'));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { received: true });
+        const { fields } = await getOrder();
+        assert.equal(fields['Extra Items Paid'], true);
+        assert.equal(fields['Extra Items Payment Date'], new Date().toISOString().split('T')[0]);
+        assert.equal(fields['Extra Items Invoice Status'], 'Paid');
+    });
+
+    it('writes failed, voided and uncollectible invoices back to the order', async () => {
+        const statuses = [];
+        for (const type of ['invoice.payment_failed', 'invoice.marked_uncollectible', 'invoice.voided']) {
+            await deliver(stripeEvent(type));
+            statuses.push((await getOrder()).fields['Extra Items Invoice Status']);
+        }
+
+        assert.deepEqual(statuses, ['Payment Failed', 'Uncollectible', 'Void']);
+    });
+
+    it('records full and partial refunds', async () => {
+        await deliver(stripeEvent('invoice.paid'));
+        await deliver(stripeEvent('charge.refunded', { charge: { amount_refunded: 1500, refunded: false } }));
+
+        let { fields } = await getOrder();
+        assert.equal(fields['Extra Items Invoice Status'], 'Partially Refunded');
+        assert.equal(fields['Extra Items Refunded Amount'], 15);
+        assert.equal(fields['Extra Items Paid'], true);
+
+        await deliver(stripeEvent('charge.refunded'));
+
+        ({ fields } = await getOrder());
+        assert.equal(fields['Extra Items Invoice Status'], 'Refunded');
+        assert.equal(fields['Extra Items Refunded Amount'], 30);
+        assert.equal(fields['Extra Items Paid'], undefined);
+    });
+
+    it('processes a duplicate event only once', async () => {
+        const paid = stripeEvent('invoice.paid');
+        await deliver(paid);
+        // Voided later by hand in Stripe, then Stripe redelivers the old paid event
+        await deliver(stripeEvent('invoice.voided', { created: paid.created + 60 }));
+
+        const res = await deliver(paid);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.duplicate, true);
+        assert.equal((await getOrder()).fields['Extra Items Invoice Status'], 'Void');
+        const logged = await app.locals.store.select('Webhook Events', { where: { field: 'Event ID', eq: paid.id } });
+        assert.equal(logged.length, 1);
+    });
+
+    it('skips an event older than the last status written to the order', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        await deliver(stripeEvent('invoice.paid', { created: now }));
+        await deliver(stripeEvent('invoice.payment_failed', { created: now - 3600 }));
+
+        assert.equal((await getOrder()).fields['Extra Items Invoice Status'], 'Paid');
+    });
+
+    it('logs events for unknown invoices without changing anything', async () => {
+        const event = stripeEvent('invoice.paid', { invoiceId: 'in_unknown' });
+        const res = await deliver(event);
+
+        assert.equal(res.status, 200);
+        const [logged] = await app.locals.store.select('Webhook Events', { where: { field: 'Event ID', eq: event.id } });
+        assert.equal(logged.fields['Result'], 'No order for invoice in_unknown');
+    });
+
+    it('logs events for an invoice a recount replaced without changing the order', async () => {
+        await app.locals.repo.updateOrder(ORDER_ID, {
+            'Extra Items Invoice ID': 'in_test_2004b',
+            'Extra Items Previous Invoice IDs': INVOICE_ID
+        });
+        const event = stripeEvent('invoice.voided');
+
+        const res = await deliver(event);
+
+        assert.equal(res.status, 200);
+        assert.equal((await getOrder()).fields['Extra Items Invoice Status'], undefined);
+        const [logged] = await app.locals.store.select('Webhook Events', { where: { field: 'Event ID', eq: event.id } });
+        assert.equal(logged.fields['Result'], 'Superseded invoice - order is on in_test_2004b');
+        assert.deepEqual(logged.fields['Order'], [ORDER_ID]);
+    });
+
+    it('acknowledges event types it does not handle', async () => {
+        const res = await deliver(stripeEvent('customer.created'));
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.ignored, true);
+    });
+
+    it('still parses JSON for the other routes', async () => {
+        const res = await request(app).post('/api/auth/login').send({ employeeId: 'recTestDana000001', pin: '1111' });
+
+        assert.equal(res.status, 200);
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { EMPLOYEES, createTestApp, login, auth } = require('./helpers');
+
+describe('work queue', () => {
+    let app;
+    let token;
+
+    beforeEach(async () => {
+        app = createTestApp();
+        token = await login(app, 'dana');
+    });
+
+    it("lists the employee's Digitizing orders, most urgent due date first", async () => {
+        const res = await request(app).get(`/api/employees/${EMPLOYEES.dana.id}/work`).set(auth(token));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(
+            res.body.orders.map(o => [o.fields['Order Number'], o.fields['Processing Tier'], o.fields['Due Date']]),
+            [
+                ['HB-2005', 'Rush', '2026-01-15'],
+                ['HB-2009', 'Standard', '2026-01-22'],
+                ['HB-2004', 'Standard', '2026-01-31']
+            ]
+        );
+    });
+
+    it('shows the QC rejection reason on orders sent back with pay held', async () => {
+        const res = await request(app).get(`/api/employees/${EMPLOYEES.dana.id}/work`).set(auth(token));
+
+        const rejected = res.body.orders.find(o => o.fields['Order Number'] === 'HB-2009');
+        const normal = res.body.orders.find(o => o.fields['Order Number'] === 'HB-2004');
+        assert.equal(rejected.fields['QC Rejection Reason'], 'Blurry scans');
+        assert.equal(rejected.fields['QC Rejections'], 1);
+        assert.equal(normal.fields['QC Rejection Reason'], '');
+    });
+
+    it("lists completed orders from the employee's current pay period", async () => {
+        const res = await request(app).get(`/api/employees/${EMPLOYEES.dana.id}/work`).set(auth(token));
+
+        assert.deepEqual(
+            res.body.completedOrders.map(o => [o.fields['Order Number'], o.fields['Pay Hold']]),
+            [['HB-2007', false], ['HB-2009', true], ['HB-2008', false]]
+        );
+    });
+
+    it('picks up an order as soon as it is checked in', async () => {
+        await request(app).post('/api/orders/recTestOrder02001/checkin').set(auth(token)).send({ itemsReceived: 10 });
+
+        const res = await request(app).get(`/api/employees/${EMPLOYEES.dana.id}/work`).set(auth(token));
+
+        assert.ok(res.body.orders.some(o => o.fields['Order Number'] === 'HB-2001'));
+    });
+
+    it('is empty for an employee with nothing assigned', async () => {
+        const supervisorToken = await login(app, 'supervisor');
+        const res = await request(app).get(`/api/employees/${EMPLOYEES.supervisor.id}/work`).set(auth(supervisorToken));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.orders, []);
+        assert.deepEqual(res.body.handedOffOrders, []);
+    });
+});